@@ -0,0 +1,365 @@
+/**
+ * 内置英文词表（本地离线抽词使用，无需网络）
+ *  - STOPWORDS：功能词/代词/助动词等，直接排除；
+ *  - FREQUENCY_LIST：常用词按词频从高到低排列（均为原形），下标即词频排名，
+ *    用于“过滤简单词”与“按稀有度排序”；
+ *  - IRREGULAR_FORMS：不规则变形 → 原形（went→go、children→child、better→good）；
+ *  - INVARIANT_FORMS：以 -s 结尾但本身就是原形的词（news、species），词形还原时不去 -s；
+ *  - SPELLING_VARIANTS：英式 → 美式拼写（原形，colour→color、apologise→apologize）；
+ *  - PHRASES：常见短语动词/固定搭配/习语（原形），短语模式下按原形序列在原文中匹配；
+ *  - GAZETTEER：常见专有名词（国家/地区、城市、公司/品牌、名人、月份星期等）的规范大小写，
+ *    专有名词策略为“只保留常见专有名词”时使用。
+ *
+ * 词表以空格分隔的字符串保存，加载时拆分，便于增删。
+ */
+
+/** 把 "a b c" 拆成数组 */
+function splitWords(s) {
+  return s.split(/\s+/).filter(function (w) { return !!w; });
+}
+
+/** 把 "went:go gone:go" 拆成 { went: "go", gone: "go" } */
+function splitPairs(s) {
+  var out = {};
+  var items = splitWords(s);
+  for (var i = 0; i < items.length; i++) {
+    var kv = items[i].split(":");
+    if (kv.length === 2) out[kv[0]] = kv[1];
+  }
+  return out;
+}
+
+var STOPWORDS = splitWords(
+  "a about above after again against all am an and any are aren't as at be because been before being " +
+  "below between both but by can can't cannot could couldn't did didn't do does doesn't doing don't " +
+  "down during each few for from further had hadn't has hasn't have haven't having he he'd he'll he's " +
+  "her here here's hers herself him himself his how how's i i'd i'll i'm i've if in into is isn't it " +
+  "it's its itself let's me more most mustn't my myself no nor not of off on once only or other ought " +
+  "our ours ourselves out over own same shan't she she'd she'll she's should shouldn't so some such " +
+  "than that that's the their theirs them themselves then there there's these they they'd they'll " +
+  "they're they've this those through to too under until up very was wasn't we we'd we'll we're we've " +
+  "were weren't what what's when when's where where's which while who who's whom why why's with won't " +
+  "would wouldn't you you'd you'll you're you've your yours yourself yourselves also just yet still " +
+  "even ever however thus hence whether either neither may might must shall will etc ok okay oh yeah " +
+  "hey hi hello via per upon"
+);
+
+var FREQUENCY_LIST = splitWords(
+  "the be and of a in to have it i that for you he with on do say this they at but we his from not by " +
+  "she or as what go their can who get if would her all my make about know will up one time there year " +
+  "so think when which them some me people take out into just see him your come could now than like " +
+  "other how then its our two more these want way look first also new because day use no man find here " +
+  "thing give many well only those tell very even back any good woman through us life child work down " +
+  "may after should call world over school still try last ask need too feel three state never become " +
+  "between high really something most another much family own leave put old while mean keep student why " +
+  "let great same big group begin seem country help talk where turn problem every start hand might " +
+  "american show part against place such again few case week company system each right program hear " +
+  "question during play government run small number off always move night live point believe hold today " +
+  "bring happen next without before large million must home under water room write mother area national " +
+  "money story young fact month different lot study book eye job word though business issue side kind " +
+  "four head far black long both little house yes since provide service around friend important father " +
+  "sit away until power hour game often yet line political end among ever stand bad lose however member " +
+  "pay law meet car city almost include continue set later community name five once white least " +
+  "president learn real change team minute best several idea kid body information nothing ago lead " +
+  "social understand whether watch together follow parent stop face anything create public already " +
+  "speak others read level allow add office spend door health person art sure war history party within " +
+  "grow result open morning walk reason low win research girl guy early food moment himself air teacher " +
+  "force offer enough education across although remember foot second boy maybe toward able age policy " +
+  "everything love process music including consider appear actually buy probably human wait serve " +
+  "market die send expect sense build stay fall oh nation plan cut college interest death course " +
+  "someone experience behind reach local kill six remain effect yeah suggest class control raise care " +
+  "perhaps late hard field else pass former sell major sometimes require along development themselves " +
+  "report role better economic effort decide rate strong possible heart drug leader light voice wife " +
+  "whole police mind finally pull return free military price less according decision explain son hope " +
+  "develop view relationship carry town road drive arm true federal break difference thank receive " +
+  "value international building action full model join season society tax director position player " +
+  "agree especially record pick wear paper special space ground form support event official whose " +
+  "matter everyone center couple site project hit base activity star table court produce eat oil half " +
+  "situation easy cost industry figure street image itself phone either data cover quite picture clear " +
+  "practice piece land recent describe product doctor wall patient worker news test movie certain north " +
+  "personal simply third technology catch step baby computer type attention draw film tree source red " +
+  "nearly organization choose cause hair century evidence window difficult listen soon culture billion " +
+  "chance brother energy period summer realize hundred available plant likely opportunity term short " +
+  "letter condition choice single rule daughter administration south husband floor campaign material " +
+  "population economy medical hospital church close thousand risk current fire future wrong involve " +
+  "defense anyone increase security bank myself certainly west sport board seek per subject officer " +
+  "private rest behavior deal performance fight throw top quickly past goal bed order author fill " +
+  "represent focus foreign drop blood upon agency push nature color recently store reduce sound note " +
+  "fine near movement page enter share common poor natural race concern series significant similar hot " +
+  "language usually response dead rise animal factor decade article shoot east save seven artist scene " +
+  "stock career despite central eight thus treatment beyond happy exactly protect approach lie size dog " +
+  "fund serious occur media ready sign thought list individual simple quality pressure accept answer " +
+  "resource identify left meeting determine prepare disease whatever success argue cup particularly " +
+  "amount ability staff recognize indicate character growth loss degree wonder attack herself region " +
+  "television box training pretty trade election everybody physical lay general feeling standard bill " +
+  "message fail outside arrive analysis benefit sex forward lawyer present section environmental glass " +
+  "skill sister professor operation financial crime stage ok compare authority miss design sort act ten " +
+  "knowledge gun station blue strategy clearly discuss indeed truth song example democratic check " +
+  "environment leg dark various rather laugh guess executive prove hang entire rock forget claim remove " +
+  "manager enjoy network legal religious cold final main science green memory card above seat cell " +
+  "establish nice trial expert spring firm radio visit management avoid imagine tonight huge ball " +
+  "finish yourself theory impact respond statement maintain charge popular traditional onto reveal " +
+  "direction weapon employee cultural contain peace pain apply measure wide shake fly interview manage " +
+  "chair fish particular camera structure politics perform bit weight suddenly discover candidate " +
+  "production treat trip evening affect inside conference unit style adult worry range mention deep " +
+  "edge specific writer trouble necessary throughout challenge fear shoulder institution middle sea " +
+  "dream bar beautiful property instead improve stuff detail method somebody magazine hotel soldier " +
+  "reflect heavy sexual bag heat marriage tough sing surface purpose exist pattern whom skin agent " +
+  "owner machine gas ahead generation commercial address cancer item reality coach yard beat violence " +
+  "total tend investment discussion finger garden notice collection modern task partner positive civil " +
+  "kitchen consumer shot budget wish painting scientist safe agreement capital mouth nor victim " +
+  "newspaper threat responsibility smile attorney score account interesting audience rich dinner vote " +
+  "western relate travel debate prevent citizen majority none front born admit senior assume wind key " +
+  "professional mission fast alone customer suffer speech successful option participant southern fresh " +
+  "eventually forest video global senate reform access restaurant judge publish relation release bird " +
+  "opinion credit critical corner concerned recall version stare safety effective neighborhood original " +
+  "troop income directly hurt species immediately track basic strike sky freedom absolutely plane " +
+  "nobody achieve object attitude labor refer concept client powerful perfect nine therefore conduct " +
+  "announce conversation examine touch please attend completely variety sleep involved investigation " +
+  "nuclear researcher press conflict spirit replace british encourage argument camp brain feature " +
+  "afternoon weekend dozen possibility insurance department battle beginning date generally african " +
+  "sorry crisis complete fan stick define easily hole element vision status normal chinese ship " +
+  "solution stone slowly scale university introduce driver attempt park spot lack ice boat drink sun " +
+  "distance wood handle truck mountain survey supposed tradition winter village refuse roll " +
+  "communication screen gain resident hide gold club farm potential european presence independent " +
+  "district shape reader contract crowd christian express apartment willing strength previous band " +
+  "obviously horse interested target prison ride guard terms demand reporter deliver text tool wild " +
+  "vehicle observe flight facility understanding average emerge advantage quick leadership earn pound " +
+  "basis bright operate guest sample contribute tiny block protection settle feed collect additional " +
+  "highly identity title mostly lesson faith river promote living count unless marry tomorrow technique " +
+  "path ear shop folk principle survive lift border competition jump gather limit fit cry equipment " +
+  "worth associate critic warm aspect insist failure annual french christmas comment responsible affair " +
+  "procedure regular spread chairman baseball soft ignore egg belief demonstrate anybody murder gift " +
+  "religion review editor engage coffee document speed cross influence anyway threaten commit female " +
+  "youth wave afraid quarter background native broad wonderful deny apparently slightly reaction twice " +
+  "suit perspective growing blow construction intelligence destroy cook connection burn shoe grade " +
+  "context committee hey mistake location clothes indian quiet dress promise aware neighbor function " +
+  "bone active extend chief combine wine below cool voter learning bus hell dangerous remind moral " +
+  "united category relatively victory academic internet healthy negative following historical medicine " +
+  "tour depend photo finding grab direct classroom contact justice participate daily fair pair famous " +
+  "exercise knee flower tape hire familiar appropriate supply fully actor birth search tie democracy " +
+  "eastern primary yesterday circle device progress bottom island exchange clean studio train lady " +
+  "colleague application neck lean damage plastic tall plate hate otherwise writing male alive " +
+  "expression football intend chicken army abuse theater shut map extra session danger welcome domestic " +
+  "lots literature rain desire assessment injury respect northern nod paint fuel leaf dry russian " +
+  "instruction pool climb sweet engine fourth salt expand importance metal fat ticket software " +
+  "disappear corporate strange lip reading urban mental increasingly lunch educational somewhere farmer " +
+  "sugar planet favorite explore obtain enemy greatest complex surround athlete invite repeat carefully " +
+  "soul scientific impossible panel meaning mom married instrument predict weather presidential " +
+  "emotional commitment supreme bear pocket thin temperature surprise poll proposal consequence breath " +
+  "sight balance adopt minority straight connect works teaching belong aid advice okay photograph empty " +
+  "regional trail novel code somehow organize jury breast iraqi acknowledge theme storm union desk " +
+  "thanks fruit expensive yellow conclusion prime shadow struggle conclude analyst dance regulation " +
+  "being ring largely shift revenue mark locate county appearance package difficulty bridge recommend " +
+  "obvious basically generate anymore propose thinking possibly trend visitor loan currently " +
+  "comfortable investor profit angry crew accident meal hearing traffic muscle notion capture prefer " +
+  "truly earth japanese chest thick cash museum beauty emergency unique internal ethnic link stress " +
+  "content select root nose declare appreciate actual bottle hardly setting launch file sick outcome ad " +
+  "defend duty sheet ought ensure catholic extremely extent component mix slow contrast zone wake " +
+  "airport brown shirt pilot warn ultimately cat contribution capacity ourselves estate guide " +
+  "circumstance snow english politician steal pursue slip percentage meat funny neither soil surgery " +
+  "correct jewish blame estimate due basketball golf investigate crazy significantly chain branch " +
+  "combination frequently governor relief user dad kick manner ancient silence rating golden motion " +
+  "german gender solve fee landscape used bowl equal frame typical except conservative eliminate host " +
+  "hall trust ocean row producer afford meanwhile regime division confirm fix appeal mirror tooth smart " +
+  "length entirely rely topic complain variable telephone perception attract confidence bedroom secret " +
+  "debt rare tank nurse coverage opposition aside anywhere bond pleasure master era requirement fun " +
+  "expectation wing separate somewhat pour stir judgment beer reference tear doubt grant seriously " +
+  "minister totally hero industrial cloud stretch winner volume seed surprised fashion pepper busy " +
+  "intervention copy tip cheap aim cite welfare vegetable gray dish beach improvement everywhere " +
+  "opening overall divide initial terrible oppose contemporary route multiple essential league criminal " +
+  "careful core upper rush necessarily specifically tired employ holiday vast resolution household " +
+  "fewer abortion apart witness match barely sector representative beneath beside incident limited " +
+  "proud flow faculty increased waste merely mass emphasize experiment definitely bomb enormous tone " +
+  "liberal massive engineer wheel decline invest cable towards expose rural aids jew narrow cream " +
+  "secretary gate solid hill typically noise grass unfortunately hat legislation succeed celebrate " +
+  "achievement fishing accuse useful reject talent taste characteristic milk escape cast sentence " +
+  "unusual closely convince height physician assess plenty virtually addition sharp creative lower " +
+  "approve explanation gay campus proper guilty acquire compete technical plus immigrant weak illegal " +
+  "hi alternative interaction column personality signal curriculum honor passenger assistance forever " +
+  "regard israeli association twenty knock wrap lab display criticism asset depression spiritual " +
+  "musical journalist prayer suspect scholar warning climate cheese observation childhood payment sir " +
+  "permit cigarette definition priority bread creation graduate request emotion scream dramatic " +
+  "universe gap excellent deeply prosecutor lucky drag airline library agenda recover factory selection " +
+  "primarily roof unable expense initiative diet arrest funding therapy wash schedule sad brief housing " +
+  "post purchase existing steel regarding shout remaining visual fairly chip violent silent suppose " +
+  "self bike tea perceive comparison settlement layer planning description slide widely wedding inform " +
+  "portion territory immediate opponent abandon lake transform tension leading bother consist alcohol " +
+  "enable bend saving desert shall error cop arab double sand spanish print preserve passage formal " +
+  "transition existence album participation arrange atmosphere joint reply cycle opposite lock deserve " +
+  "consistent resistance discovery exposure pose stream sale pot grand mine hello coalition tale knife " +
+  "resolve racial phase joke coat mexican symptom manufacturer philosophy potato foundation quote " +
+  "online negotiation urge occasion dust breathe elect investigator jacket glad ordinary reduction " +
+  "rarely pack suicide numerous substance discipline elsewhere iron practical moreover passion " +
+  "volunteer implement essentially gene enforcement sauce independence marketing priest amazing intense " +
+  "advance employer shock inspire adjust retire visible kiss illness cap habit competitive juice " +
+  "congressional involvement dominate previously whenever transfer analyze attach disaster parking " +
+  "prospect boss complaint championship fundamental severe enhance mystery impose poverty entry " +
+  "spending king evaluate symbol maker mood accomplish emphasis illustrate boot monitor asian " +
+  "entertainment bean evaluation creature commander digital arrangement concentrate usual anger " +
+  "psychological heavily peak approximately increasing disorder missile equally vary wire round " +
+  "distribution transportation holy twin command commission interpretation breakfast strongly " +
+  "engineering luck constant clinic veteran smell tablespoon capable nervous tourist toss crucial bury " +
+  "pray tomato exception butter deficit bathroom objective electronic ally journey reputation mixture " +
+  "surely tower smoke confront pure glance dimension toy prisoner fellow smooth nearby peer designer " +
+  "personnel educator relative immigration belt teaspoon birthday implication perfectly coast supporter " +
+  "accompany silver teenager recognition retirement flag recovery whisper gentleman corn moon inner " +
+  "junior throat salary swing observer publication crop dig permanent phenomenon anxiety unlike wet " +
+  "literally resist convention embrace assist exhibition construct viewer pan consultant administrator " +
+  "occasionally mayor consideration ceo secure pink buck historic poem grandmother bind fifth " +
+  "constantly enterprise favor testing stomach apparent weigh install sensitive suggestion mail recipe " +
+  "reasonable preparation wooden elementary concert aggressive false intention channel extreme tube " +
+  "drawing protein quit absence latin rapidly jail diversity honest palestinian pace employment speaker " +
+  "impression essay respondent giant cake historian negotiate restore substantial pop specialist origin " +
+  "approval quietly advise conventional depth wealth disability shell criticize effectively biological " +
+  "onion deputy flat brand assure mad award criteria dealer via utility precisely arise armed " +
+  "nevertheless highway clinical routine wage normally phrase ingredient stake muslim fiber activist " +
+  "islamic snap terrorism refugee incorporate hip ultimate switch corporation valuable assumption gear " +
+  "barrier minor provision killer assign gang developing classic chemical label teen index vacation " +
+  "advocate draft extraordinary heaven rough yell pregnant distant drama satellite personally clock " +
+  "chocolate italian canadian ceiling sweep advertising universal spin button bell rank darkness " +
+  "clothing super yield fence portrait survival roughly lawsuit testimony bunch found burden react " +
+  "chamber furniture cooperation string ceremony communicate cheek lost profile mechanism disagree " +
+  "penalty resort destruction unlikely tissue constitutional pant stranger infection cabinet broken " +
+  "apple electric proceed bet literary virus stupid dispute fortune strategic assistant overcome " +
+  "remarkable occupy statistics shopping cousin encounter wipe initially blind port electricity genetic " +
+  "adviser spokesman retain latter incentive slave translate accurate whereas terror expansion elite " +
+  "olympic dirt odd rice bullet tight bible chart solar square concentration complexity hypothesis " +
+  "resign rescue dependent elderly controversy curious tragedy colonial"
+);
+
+var IRREGULAR_FORMS = splitPairs(
+  "am:be is:be are:be was:be were:be been:be being:be has:have had:have having:have does:do did:do " +
+  "done:do doing:do went:go gone:go goes:go arose:arise arisen:arise awoke:awake awoken:awake " +
+  "borne:bear beat:beat beaten:beat became:become began:begin begun:begin bent:bend bet:bet bit:bite " +
+  "bitten:bite bled:bleed blew:blow blown:blow broke:break broken:break bred:breed brought:bring " +
+  "built:build burnt:burn burst:burst bought:buy caught:catch chose:choose chosen:choose clung:cling " +
+  "came:come crept:creep dealt:deal dug:dig drew:draw drawn:draw dreamt:dream drank:drink drunk:drink " +
+  "drove:drive driven:drive ate:eat eaten:eat fallen:fall fed:feed felt:feel fought:fight fled:flee " +
+  "flung:fling flew:fly flown:fly forbade:forbid forbidden:forbid forgot:forget forgotten:forget " +
+  "forgave:forgive forgiven:forgive froze:freeze frozen:freeze got:get gotten:get gave:give given:give " +
+  "grew:grow grown:grow hung:hang heard:hear hid:hide hidden:hide held:hold kept:keep knelt:kneel " +
+  "knew:know known:know laid:lay led:lead leapt:leap learnt:learn lent:lend lost:lose made:make " +
+  "meant:mean met:meet mistook:mistake mistaken:mistake overcame:overcome paid:pay proved:prove " +
+  "proven:prove quit:quit ran:run rode:ride ridden:ride rang:ring rung:ring risen:rise said:say " +
+  "seen:see sought:seek sold:sell sent:send shook:shake shaken:shake shone:shine shot:shoot shown:show " +
+  "shrank:shrink shrunk:shrink sang:sing sung:sing sank:sink sunk:sink sat:sit slept:sleep slid:slide " +
+  "slung:sling spoke:speak spoken:speak sped:speed spent:spend spun:spin spat:spit split:split " +
+  "spread:spread sprang:spring sprung:spring stood:stand stole:steal stolen:steal stuck:stick " +
+  "stung:sting stank:stink strode:stride struck:strike strove:strive striven:strive swore:swear " +
+  "sworn:swear swept:sweep swam:swim swum:swim swung:swing took:take taken:take taught:teach tore:tear " +
+  "torn:tear told:tell thought:think threw:throw thrown:throw thrust:thrust trod:tread trodden:tread " +
+  "understood:understand undertook:undertake undertaken:undertake woke:wake woken:wake wore:wear " +
+  "worn:wear wove:weave woven:weave wept:weep won:win withdrew:withdraw withdrawn:withdraw wrung:wring " +
+  "wrote:write written:write children:child men:man women:woman people:person feet:foot teeth:tooth " +
+  "geese:goose mice:mouse lice:louse oxen:ox knives:knife lives:life wives:wife leaves:leaf halves:half " +
+  "selves:self shelves:shelf wolves:wolf thieves:thief loaves:loaf calves:calf analyses:analysis " +
+  "crises:crisis theses:thesis hypotheses:hypothesis diagnoses:diagnosis " +
+  "phenomena:phenomenon criteria:criterion bacteria:bacterium curricula:curriculum indices:index " +
+  "appendices:appendix matrices:matrix vertices:vertex cacti:cactus fungi:fungus nuclei:nucleus " +
+  "stimuli:stimulus syllabi:syllabus alumni:alumnus better:good best:good worse:bad worst:bad " +
+  "further:far furthest:far farther:far farthest:far"
+);
+
+var INVARIANT_FORMS = splitWords(
+  "news species series means physics mathematics economics politics ethics statistics linguistics " +
+  "athletics gymnastics genetics electronics logistics aesthetics acoustics chaos lens bias atlas canvas " +
+  "corps pants scissors glasses clothes thanks whereabouts headquarters crossroads premises savings " +
+  "outskirts surroundings congratulations belongings barracks measles diabetes rabies herpes"
+);
+
+var SPELLING_VARIANTS = splitPairs(
+  "colour:color flavour:flavor honour:honor humour:humor labour:labor neighbour:neighbor " +
+  "behaviour:behavior favour:favor favourite:favorite harbour:harbor rumour:rumor vapour:vapor " +
+  "odour:odor endeavour:endeavor savour:savor armour:armor vigour:vigor rigour:rigor clamour:clamor " +
+  "candour:candor parlour:parlor splendour:splendor tumour:tumor saviour:savior valour:valor ardour:ardor " +
+  "honourable:honorable favourable:favorable neighbourhood:neighborhood " +
+  "centre:center theatre:theater metre:meter litre:liter fibre:fiber calibre:caliber lustre:luster " +
+  "sombre:somber spectre:specter sabre:saber manoeuvre:maneuver " +
+  "realise:realize recognise:recognize organise:organize apologise:apologize emphasise:emphasize " +
+  "criticise:criticize summarise:summarize categorise:categorize prioritise:prioritize maximise:maximize " +
+  "minimise:minimize optimise:optimize utilise:utilize jeopardise:jeopardize scrutinise:scrutinize " +
+  "sympathise:sympathize visualise:visualize capitalise:capitalize characterise:characterize " +
+  "customise:customize finalise:finalize legalise:legalize memorise:memorize mobilise:mobilize " +
+  "modernise:modernize monopolise:monopolize neutralise:neutralize normalise:normalize " +
+  "patronise:patronize penalise:penalize publicise:publicize rationalise:rationalize " +
+  "revolutionise:revolutionize stabilise:stabilize standardise:standardize subsidise:subsidize " +
+  "symbolise:symbolize synthesise:synthesize trivialise:trivialize vandalise:vandalize " +
+  "authorise:authorize globalise:globalize harmonise:harmonize hospitalise:hospitalize idealise:idealize " +
+  "localise:localize marginalise:marginalize polarise:polarize specialise:specialize fertilise:fertilize " +
+  "familiarise:familiarize popularise:popularize privatise:privatize agonise:agonize antagonise:antagonize " +
+  "organisation:organization realisation:realization civilisation:civilization globalisation:globalization " +
+  "analyse:analyze paralyse:paralyze catalyse:catalyze " +
+  "defence:defense offence:offense licence:license pretence:pretense " +
+  "catalogue:catalog analogue:analog " +
+  "anaemia:anemia anaesthetic:anesthetic encyclopaedia:encyclopedia paediatric:pediatric " +
+  "orthopaedic:orthopedic oestrogen:estrogen foetus:fetus haemorrhage:hemorrhage " +
+  "traveller:traveler jewellery:jewelry counsellor:counselor marvellous:marvelous woollen:woolen " +
+  "enrol:enroll fulfil:fulfill instil:instill skilful:skillful wilful:willful instalment:installment " +
+  "enrolment:enrollment fulfilment:fulfillment " +
+  "grey:gray tyre:tire kerb:curb plough:plow aluminium:aluminum programme:program cheque:check " +
+  "sceptical:skeptical sceptic:skeptic moustache:mustache pyjamas:pajamas aeroplane:airplane " +
+  "ageing:aging judgement:judgment acknowledgement:acknowledgment practise:practice mould:mold " +
+  "smoulder:smolder storey:story"
+);
+
+var PHRASES = (
+  "give up | give up on | give in | give away | give off | give out | take off | take on | take over | " +
+  "take up | take after | take apart | take for granted | take into account | take part in | take place " +
+  "| take care of | look after | look forward to | look into | look up to | look down on | look out for " +
+  "| look over | put off | put up with | put forward | put out | put away | put on | bring up | bring " +
+  "about | bring out | bring down | carry out | carry on | come across | come up with | come down with " +
+  "| come about | come up | come along | get along with | get over | get rid of | get away with | get " +
+  "by | get through | get across | get on with | go through | go over | go along with | go off | go on " +
+  "| turn down | turn out | turn up | turn into | turn off | set up | set off | set out | set aside | " +
+  "make up | make up for | make out | make sense | make do with | break down | break out | break up | " +
+  "break into | break through | call off | call for | call on | run into | run out of | run over | " +
+  "figure out | find out | point out | rule out | work out | sort out | pick up | pick out | hold on | " +
+  "hold back | hold off | keep up with | keep up | keep track of | keep in mind | catch up with | catch " +
+  "up | cut down on | cut off | fill out | fill in | drop out | drop by | back up | back down | show up " +
+  "| show off | stand for | stand out | stand by | end up | wind up | account for | deal with | cope " +
+  "with | rely on | depend on | insist on | focus on | comply with | consist of | refer to | result in " +
+  "| stem from | phase out | opt out | roll out | lay off | lay out | weigh up | bear in mind | by and " +
+  "large | in terms of | on behalf of | in spite of | as well as | in charge of | in light of | with " +
+  "regard to | in the long run | at stake | on the other hand | by no means | in the meantime | for the " +
+  "sake of | at the expense of | in the wake of | in favor of | on the verge of | at odds with | by " +
+  "virtue of | in accordance with | as a matter of fact | once in a while | sooner or later | more or " +
+  "less | first and foremost | all in all | up to date | out of date | under way | on the fly | break " +
+  "the ice | hit the nail on the head | a piece of cake | cost an arm and a leg | once in a blue moon | " +
+  "beat around the bush | bite the bullet | call it a day | cut corners | get the hang of | go the " +
+  "extra mile | in a nutshell | on the same page | spill the beans | the last straw | under the weather " +
+  "| the tip of the iceberg | a blessing in disguise | play it by ear | rule of thumb | state of the " +
+  "art | trial and error | pros and cons | ups and downs"
+).split("|").map(function (p) { return p.trim(); }).filter(function (p) { return !!p; });
+
+var GAZETTEER = splitWords(
+  "Afghanistan Africa America Antarctica Arctic Argentina Asia Atlantic Australia Austria Bangladesh " +
+  "Belgium Brazil Britain Canada Chile China Colombia Cuba Denmark Egypt England Ethiopia Europe " +
+  "Finland France Germany Greece Greenland Hungary Iceland India Indonesia Iran Iraq Ireland Israel " +
+  "Italy Japan Kenya Korea Mexico Morocco Netherlands Nigeria Norway Pacific Pakistan Peru " +
+  "Philippines Poland Portugal Russia Scotland Singapore Spain Sweden Switzerland Syria Taiwan " +
+  "Thailand Turkey Ukraine Vietnam Wales " +
+  "Amsterdam Athens Bangkok Beijing Berlin Boston Brussels Cairo Chicago Dubai Dublin Geneva " +
+  "Hollywood Istanbul Jerusalem London Madrid Manhattan Melbourne Moscow Mumbai Munich Paris Rome " +
+  "Seattle Seoul Shanghai Sydney Tokyo Toronto Venice Vienna Washington " +
+  "Amazon Apple Adobe Airbnb Alibaba Android Boeing BMW Disney Facebook Ferrari Google Huawei IBM " +
+  "Instagram Intel iPhone Linux Mercedes Meta Microsoft Netflix Nike Nintendo Nvidia OpenAI Oracle " +
+  "Samsung Sony Spotify Starbucks Tesla TikTok Toyota Twitter Uber Wikipedia Windows YouTube " +
+  "NASA NATO UNESCO BBC CNN FBI CIA EU UN WHO " +
+  "Aristotle Beethoven Buddha Churchill Confucius Darwin Einstein Freud Gandhi Galileo Jesus " +
+  "Lincoln Mandela Marx Mozart Napoleon Newton Picasso Plato Shakespeare Socrates " +
+  "Christianity Islam Buddhism Judaism Bible Koran Olympics Christmas Easter Ramadan " +
+  "January February March April May June July August September October November December " +
+  "Monday Tuesday Wednesday Thursday Friday Saturday Sunday " +
+  "English Chinese French German Spanish Japanese Russian Arabic Latin Greek Italian Korean"
+);
+
+module.exports = {
+  STOPWORDS: STOPWORDS,
+  FREQUENCY_LIST: FREQUENCY_LIST,
+  IRREGULAR_FORMS: IRREGULAR_FORMS,
+  INVARIANT_FORMS: INVARIANT_FORMS,
+  SPELLING_VARIANTS: SPELLING_VARIANTS,
+  PHRASES: PHRASES,
+  GAZETTEER: GAZETTEER
+};
@@ -2,10 +2,11 @@
  * 单词本插件（本地过滤 + 火山LLM 5s兜底）
  * 核心目标：
  *  1) 先本地严格校验是否“像英文单词”；
- *  2) 再用火山 LLM 做 Yes/No 判定（关闭思考模式，低 token，确定性）；
- *  3) LLM 节点超过 5s（可配）无返回 → 默认通过（添加单词本）；
- *  4) 所有 HTTP 统一使用 $http.request + timeout(秒) + cancelSignal；
- *  5) 业务级再加一层 withTimeout()，双重兜底避免“悬挂无响应”。
+ *  2) 再用 LLM 做 Yes/No 判定（Provider 可选：火山方舟/OpenAI 兼容/Ollama/DeepSeek/Azure/Anthropic；低 token，确定性）；
+ *  3) LLM / 单词本写入分阶段超时（可配），超时如实报错或进入离线重试队列；
+ *  4) 所有 HTTP 统一经 requestWithRetry：$http.request + timeout(秒) + cancelSignal，429/5xx 指数退避重试；
+ *  5) 每次请求再加一层 withTimeout()（$timer 计时），双重兜底避免“悬挂无响应”；
+ *  6) 抽词/写入过程经 query.onStream 流式推送进度（抽出的单词、逐个写入结果），最后再给出汇总。
  *
  * 重要参考（官方）：
  *  - $http.request + timeout + cancelSignal：https://bobtranslate.com/plugin/api/http.html  （超时单位=秒）  ← 必看
@@ -17,13 +18,41 @@
 // 0) 常量 & 通用工具
 ///////////////////////////////
 
-// 有道单词本（GET）
+// 有道单词本添加 / 删除（GET）
 var YOUDAO_ADD_WORD_URL = "https://dict.youdao.com/wordbook/webapi/v2/ajax/add?lan=en&word=";
-// 扇贝单词本（POST）
+var YOUDAO_DELETE_WORD_URL = "https://dict.youdao.com/wordbook/webapi/v2/ajax/delete?lan=en&word=";
+// 扇贝单词本批量上传 / 批量删除（POST）
 var SHANBAY_ADD_WORD_URL = "https://apiv3.shanbay.com/wordscollection/words_bulk_upload";
-// 欧路单词本（POST）与单词本列表（GET）
+var SHANBAY_DELETE_WORDS_URL = "https://apiv3.shanbay.com/wordscollection/words_bulk_delete";
+// 欧路单词本（POST 添加 / DELETE 删除）、单词本列表（GET）与新建单词本（POST）
 var EUDIC_ADD_WORD_URL = "https://api.frdic.com/api/open/v1/studylist/words";
 var EUDIC_BOOK_LIST_URL = "https://api.frdic.com/api/open/v1/studylist/category?language=en";
+var EUDIC_BOOK_CREATE_URL = "https://api.frdic.com/api/open/v1/studylist/category";
+// 扇贝单词书列表 / 当前在学的单词书（GET）
+var SHANBAY_BOOK_LIST_URL = "https://apiv3.shanbay.com/wordsapp/user_material_books?page=1&ipp=100";
+var SHANBAY_CURRENT_BOOK_URL = "https://apiv3.shanbay.com/wordsapp/user_material_books/current";
+
+// 内置词表（停用词 / 词频 / 不规则变形），供本地离线抽词使用
+var LEXICON = require("./lexicon.js");
+
+// 多词典同时写入（dict_type=0）
+var MULTI_DICT_TYPE = "0";
+
+/**
+ * 各单词本服务元信息（dictType → 展示名 / 专属凭据字段）
+ * - credentialOption：该服务独立的 Cookie/Token 配置项；credentialLabel：认证失效时提示重填的名称；noCredential：无需凭据
+ * - acceptsPhrases：是否接受短语（短语模式下不接受的服务只写单词）
+ * - batchSize / qps：单次请求最多写入的单词数 / 每秒最多请求数（0 = 不限），批量导入时按此分批限速
+ * - 旧配置兼容：单词典模式下未填专属凭据时，回退到共享的 authorization
+ */
+var WORDBOOK_SERVICES = {
+  "1": { key: "youdao",  name: "有道", credentialOption: "youdao_cookie", credentialLabel: "有道 Cookie",      acceptsPhrases: true,  batchSize: 1,   qps: 2 },
+  "2": { key: "eudic",   name: "欧路", credentialOption: "eudic_token",   credentialLabel: "欧路 Token",       acceptsPhrases: true,  batchSize: 100, qps: 1 },
+  // 扇贝批量上传接口只识别单词，短语会被忽略
+  "3": { key: "shanbay", name: "扇贝", credentialOption: "shanbay_token", credentialLabel: "扇贝 auth_token", acceptsPhrases: false, batchSize: 50,  qps: 1 },
+  // Anki 无需凭据（AnkiConnect 可选 key 由 anki_connect_key 配置）；多词典模式下填写了牌组才写入
+  "4": { key: "anki",    name: "Anki", credentialOption: "", credentialLabel: "AnkiConnect 密钥", noCredential: true, acceptsPhrases: true, batchSize: 100, qps: 0 }
+};
 
 /**
  * httpRequestP：强制把 $http.request 变成 Promise。
@@ -78,9 +107,25 @@ function supportLanguages() {
   return ["zh-Hans", "en"];
 }
 
-/** 读取 UI 中的 5s 配置（毫秒）；转秒用于 $http.timeout */
-var WORD_CHECK_TIMEOUT_MS = Number($option.word_check_timeout_ms) || 50000;
-var WORD_CHECK_TIMEOUT_S  = Math.max(1, Math.ceil(WORD_CHECK_TIMEOUT_MS / 50000));
+/**
+ * 分阶段超时（毫秒）：
+ *  - llm：「LLM 超时」word_check_timeout_ms；
+ *  - write：「单词本写入超时」write_timeout_ms（有道/欧路/扇贝/AnkiConnect）；
+ *  - lookup：释义查询、单词本列表等辅助请求。
+ */
+var STAGE_TIMEOUT_DEFAULTS_MS = { llm: 15000, write: 8000, lookup: 5000 };
+var STAGE_TIMEOUT_OPTIONS = { llm: "word_check_timeout_ms", write: "write_timeout_ms" };
+
+function stageTimeoutMs(stage) {
+  var opt = STAGE_TIMEOUT_OPTIONS[stage];
+  return opt ? setting(opt) : (STAGE_TIMEOUT_DEFAULTS_MS[stage] || STAGE_TIMEOUT_DEFAULTS_MS.lookup);
+}
+
+// 429/5xx 重试：首次之外最多再试 HTTP_MAX_RETRIES 次；等待时间指数增长并加随机抖动
+var HTTP_MAX_RETRIES = 2;
+var HTTP_BACKOFF_BASE_MS = 500;
+// 单次等待上限：Retry-After 超过该值时不再等待，直接返回（写入交给离线重试队列）
+var HTTP_BACKOFF_MAX_MS = 8000;
 
 /**
  * finalize：统一结束一次翻译（新旧回调兼容；防止重复回调）
@@ -101,16 +146,211 @@ function finalize(query, completion, payload) {
 }
 
 /**
- * withTimeout：业务级 Promise 超时器（实现 5s 竞速兜底）
+ * attachProgress：为本次查询建立流式进度面板（query.__progress），供 streamProgress / streamProgressLine 使用
+ * - Bob 每次 onStream 都整体替换窗口内容，因此每次推送“已保留的行 + 当前阶段提示”的完整文本；
+ * - 已保留的行：抽词结果、每个单词/每批的写入结果；阶段提示只显示到下一次推送为止
+ */
+function attachProgress(query) {
+  var lines = [];
+  query.__progress = {
+    emit: function (status) {
+      var all = status ? lines.concat([status]) : lines;
+      if (!all.length || typeof query.onStream !== "function") return;
+      try {
+        query.onStream({ result: buildResult(all.join("\n")) });
+      } catch (_) {}
+    },
+    keep: function (line, status) {
+      lines.push(line);
+      this.emit(status);
+    }
+  };
+  return query.__progress;
+}
+
+/**
+ * streamProgress：通过 Bob 的 onStream 回调报告当前阶段（Bob 1.8+；不支持时忽略）
+ * - 最终结果仍由 finalize / onCompletion 给出
+ */
+function streamProgress(query, line) {
+  if (!query || typeof query.onStream !== "function") return;
+  if (query.__progress) return query.__progress.emit(line);
+  try {
+    query.onStream({ result: buildResult(line) });
+  } catch (_) {}
+}
+
+/** streamProgressLine：推送一行需保留的进度（后续阶段提示显示在其下方）；status 为可选的当前阶段提示 */
+function streamProgressLine(query, line, status) {
+  if (!query || typeof query.onStream !== "function") return;
+  if (!query.__progress) return streamProgress(query, status ? (line + "\n" + status) : line);
+  query.__progress.keep(line, status);
+}
+
+/**
+ * scheduleAfter：延时执行（Bob 插件环境无 setTimeout，使用 $timer.schedule）
+ * @returns {function} 取消函数；运行环境没有任何计时器时返回空操作且 fn 永不执行
+ */
+function scheduleAfter(ms, fn) {
+  if (typeof $timer !== "undefined" && $timer && typeof $timer.schedule === "function") {
+    var timer = $timer.schedule({ interval: Math.max(0, ms) / 1000, repeats: false, handler: fn });
+    return function () {
+      try { $timer.invalidate(timer); } catch (_) {}
+    };
+  }
+  if (typeof setTimeout === "function") {
+    var id = setTimeout(fn, Math.max(0, ms));
+    return function () { clearTimeout(id); };
+  }
+  return function () {};
+}
+
+/** 订阅 Bob 的 cancelSignal（无信号时忽略） */
+function onCancel(cancelSignal, fn) {
+  try {
+    if (cancelSignal && typeof cancelSignal.subscribe === "function") cancelSignal.subscribe(fn);
+  } catch (_) {}
+}
+
+/**
+ * sleepMs：可取消的等待；取消时 reject(Error("cancelled"))
+ * - 没有计时器的运行环境里立即 resolve（退化为立即重试）
+ */
+function sleepMs(ms, cancelSignal) {
+  return new Promise(function (resolve, reject) {
+    var done = false;
+    var hasTimer = (typeof $timer !== "undefined" && $timer && typeof $timer.schedule === "function") || typeof setTimeout === "function";
+    var cancel = scheduleAfter(ms, function () {
+      if (done) return;
+      done = true;
+      resolve();
+    });
+    onCancel(cancelSignal, function () {
+      if (done) return;
+      done = true;
+      cancel();
+      reject(new Error("cancelled"));
+    });
+    if (!hasTimer && !done) {
+      done = true;
+      resolve();
+    }
+  });
+}
+
+/**
+ * withTimeout：业务级 Promise 超时器（$http 自身 timeout 之外的第二道兜底）
  * @param {Promise<any>} p           要保护的 Promise
  * @param {number} ms                超时毫秒
  * @param {*} onTimeoutValue         超时时返回的替代值
  * @returns {Promise<any>}
  */
 function withTimeout(p, ms, onTimeoutValue) {
-  // Bob 插件环境无 setTimeout，这里改为直通。
-  // 依赖各个 $http.request 自身的 timeout（秒）与上层 .catch 兜底。
-  return p;
+  return new Promise(function (resolve, reject) {
+    var settled = false;
+    var cancel = scheduleAfter(ms, function () {
+      if (settled) return;
+      settled = true;
+      resolve(onTimeoutValue);
+    });
+    p.then(function (v) {
+      if (settled) return;
+      settled = true;
+      cancel();
+      resolve(v);
+    }, function (e) {
+      if (settled) return;
+      settled = true;
+      cancel();
+      reject(e);
+    });
+  });
+}
+
+/** 响应头取值（大小写不敏感） */
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  var lower = String(name).toLowerCase();
+  for (var k in headers) {
+    if (Object.prototype.hasOwnProperty.call(headers, k) && String(k).toLowerCase() === lower) return headers[k];
+  }
+  return undefined;
+}
+
+/** Retry-After：秒数或 HTTP 日期 → 毫秒；缺失/无法解析返回 null */
+function parseRetryAfterMs(headers) {
+  var v = headerValue(headers, "retry-after");
+  if (v == null || v === "") return null;
+  if (/^\s*\d+(?:\.\d+)?\s*$/.test(String(v))) return Math.round(Number(v) * 1000);
+  var at = Date.parse(String(v));
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/** 第 attempt 次失败后的等待：Retry-After 优先，否则 base·2^(n-1) 取 [50%, 100%] 随机抖动 */
+function backoffDelayMs(attempt, retryAfterMs) {
+  if (retryAfterMs != null) return retryAfterMs;
+  var exp = Math.min(HTTP_BACKOFF_MAX_MS, HTTP_BACKOFF_BASE_MS * Math.pow(2, attempt - 1));
+  return Math.round(exp / 2 + Math.random() * exp / 2);
+}
+
+function isRetryableStatus(sc) {
+  return sc === 429 || (sc >= 500 && sc <= 599);
+}
+
+/**
+ * requestWithRetry：统一请求层（所有 HTTP 调用都经过这里）
+ *  - opts 同 $http.request，另加 stage（"llm"|"write"|"lookup"，决定超时）与 retries（覆盖默认重试次数）；
+ *  - 429/5xx：指数退避 + 抖动后重试，遵守 Retry-After；
+ *  - cancelSignal：取消后不再发起重试，等待中的退避立即结束；
+ *  - 网络错误/超时/取消 → reject（不重试，写入层交给离线重试队列）；HTTP 响应（含重试耗尽的 4xx/5xx）→ resolve；
+ *  - resolve 的 res 与 reject 的 err 都带 __meta = { stage, attempts, durationMs, timeoutMs }。
+ */
+function requestWithRetry(opts) {
+  var stage = opts.stage || "lookup";
+  var timeoutMs = stageTimeoutMs(stage);
+  var maxRetries = opts.retries != null ? Number(opts.retries) : HTTP_MAX_RETRIES;
+  var started = Date.now();
+  var attempts = 0;
+  var cancelled = false;
+  onCancel(opts.cancelSignal, function () { cancelled = true; });
+
+  var req = {};
+  for (var k in opts) {
+    if (Object.prototype.hasOwnProperty.call(opts, k) && k !== "stage" && k !== "retries") req[k] = opts[k];
+  }
+  req.timeout = Math.max(1, Math.ceil(timeoutMs / 1000));
+
+  function meta() {
+    return { stage: stage, attempts: attempts, durationMs: Date.now() - started, timeoutMs: timeoutMs };
+  }
+  var TIMED_OUT = {};
+
+  function attempt() {
+    attempts++;
+    // 比 $http 的 timeout 多留 1s，只在运行时没有按时超时的情况下兜底
+    return withTimeout(httpRequestP(req), timeoutMs + 1000, TIMED_OUT).then(function (res) {
+      if (res === TIMED_OUT) throw new Error("timeout（" + timeoutMs + "ms）");
+      if (res && res.__error) throw res.__error;
+      // handler 模式：网络层错误在 res.error 中，且没有状态码
+      if (res && res.error && !(res.response && res.response.statusCode)) throw new Error(errorToMessage(res.error));
+      var sc = (res && res.response && res.response.statusCode) || 0;
+      if (isRetryableStatus(sc) && attempts <= maxRetries && !cancelled) {
+        var wait = backoffDelayMs(attempts, parseRetryAfterMs(res.response.headers));
+        if (wait <= HTTP_BACKOFF_MAX_MS) {
+          try { $log.info("HTTP " + sc + "，" + wait + "ms 后重试（第 " + attempts + " 次）：" + req.url); } catch (_) {}
+          return sleepMs(wait, opts.cancelSignal).then(attempt);
+        }
+      }
+      if (res && typeof res === "object") res.__meta = meta();
+      return res;
+    });
+  }
+
+  return attempt().catch(function (err) {
+    var e = (err && typeof err === "object") ? err : new Error(errorToMessage(err));
+    try { e.__meta = meta(); } catch (_) {}
+    throw e;
+  });
 }
 
 /**
@@ -166,7 +406,7 @@ function safeJSONStringify(obj) {
 
 /**
  * 生成 LLM 请求的可读报告文本（不隐藏、不兜底为 [LLM 无返回]）
- * @param {object} info - {ok, statusCode, data, headers, durationMs, url, model, endpoint, errorMessage}
+ * @param {object} info - {ok, statusCode, data, headers, durationMs, url, provider, model, endpoint, errorMessage}
  * @returns {string}
  */
 function makeLLMDebugMessage(info) {
@@ -176,7 +416,10 @@ function makeLLMDebugMessage(info) {
     lines.push("ok=" + String(!!(info && info.ok)));
     lines.push("statusCode=" + String((info && info.statusCode) != null ? info.statusCode : "n/a"));
     lines.push("durationMs=" + String((info && info.durationMs) != null ? info.durationMs : "n/a"));
+    lines.push("attempts=" + String((info && info.attempts) != null ? info.attempts : "n/a") +
+               (info && info.timeoutMs ? (" timeoutMs=" + String(info.timeoutMs)) : ""));
     lines.push("url=" + String((info && info.url) || "n/a"));
+    lines.push("provider=" + String((info && info.provider) || "n/a"));
     lines.push("endpoint=" + String((info && info.endpoint) || "n/a"));
     lines.push("model=" + String((info && info.model) || "n/a"));
     // 取可能的请求 ID
@@ -210,6 +453,150 @@ function pickMessageFromPluginPayload(p) {
   return "";
 }
 
+/**
+ * 本地持久化（$file 写入插件沙盒，JSON 文本）
+ * - loadStore 读取失败/文件不存在/内容损坏 → 返回 fallback；
+ * - saveStore 失败不抛错，返回 false。
+ */
+function storePath(name) {
+  return "$sandbox/" + name + ".json";
+}
+
+function loadStore(name, fallback) {
+  try {
+    var path = storePath(name);
+    if (!$file.exists(path)) return fallback;
+    var d = $file.read(path);
+    var s = d && d.toUTF8();
+    if (!s) return fallback;
+    var obj = JSON.parse(s);
+    return (obj && typeof obj === "object") ? obj : fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function saveStore(name, obj) {
+  try {
+    return !!$file.write({ data: $data.fromUTF8(JSON.stringify(obj)), path: storePath(name) });
+  } catch (e) {
+    try { $log.error("saveStore(" + name + ") failed: " + errorToMessage(e)); } catch (_) {}
+    return false;
+  }
+}
+
+///////////////////////////////
+// 0.5) 配置项（声明 / 取值校验 / 旧名兼容）
+///////////////////////////////
+
+/**
+ * SETTINGS：插件读取的全部配置项（与 info.json 的 options 一一对应）
+ *  - type：text / menu / int；menu 的 values 为可选值，int 的 min / max 为合法范围；
+ *  - def：未填写或取值不合法时使用的默认值（运行时不因配置错误而失败，由 pluginValidate 报告）；
+ *  - url：非空时必须是 http(s) 地址；
+ *  - legacy：旧版本使用的配置项名，新名未填写时回退读取（旧名仍在 info.json 中声明，否则 Bob 不会传入已保存的值）；
+ *  - deprecated：只为兼容旧配置而保留的配置项，代码不直接读取；
+ *  - validate：自定义校验，返回错误文案（只报告、不回退默认值，由使用方跳过其中无效的部分）。
+ */
+var SETTINGS = {
+  dict_type:             { title: "词典类型", type: "menu", values: ["1", "2", "3", "4", "0"], def: "1" },
+  authorization:         { title: "认证信息", type: "text", def: "" },
+  youdao_cookie:         { title: "有道 Cookie", type: "text", def: "" },
+  eudic_token:           { title: "欧路 Token", type: "text", def: "" },
+  shanbay_token:         { title: "扇贝 auth_token", type: "text", def: "" },
+  anki_mode:             { title: "Anki 写入方式", type: "menu", values: ["connect", "file"], def: "connect" },
+  anki_connect_url:      { title: "AnkiConnect 地址", type: "text", url: true, def: "" },
+  anki_connect_key:      { title: "AnkiConnect apiKey", type: "text", def: "" },
+  anki_deck:             { title: "Anki 牌组", type: "text", def: "" },
+  anki_note_type:        { title: "Anki 笔记类型", type: "text", def: "" },
+  anki_fields:           { title: "Anki 字段映射", type: "text", def: "" },
+  word_only:             { title: "仅保存单词", type: "menu", values: ["1", "0"], def: "1" },
+  spelling_variant:      { title: "拼写变体", type: "menu", values: ["us", "uk", "keep"], def: "us" },
+  vocab_level:           { title: "词频过滤", type: "menu", values: ["auto", "A2", "B1", "B2", "C1", "C2"], def: "auto" },
+  known_words:           { title: "已掌握单词", type: "text", def: "" },
+  proper_nouns:          { title: "专有名词", type: "menu", values: ["gazetteer", "keep", "drop"], def: "gazetteer" },
+  proper_noun_allow:     { title: "专有名词允许列表", type: "text", def: "" },
+  proper_noun_deny:      { title: "拒绝列表", type: "text", def: "" },
+  llm_provider:          { title: "LLM 服务商", type: "menu", values: ["volcano", "openai", "ollama", "deepseek", "azure", "anthropic", "local"], def: "volcano" },
+  llm_api_key:           { title: "LLM API Key", type: "text", def: "" },
+  llm_endpoint:          { title: "LLM Endpoint", type: "text", url: true, def: "" },
+  llm_model:             { title: "LLM 模型名称", type: "text", def: "" },
+  azure_api_version:     { title: "Azure api-version", type: "text", def: "" },
+  volcano_api_key:       { title: "火山 API Key", type: "text", def: "" },
+  volcano_endpoint:      { title: "火山 Endpoint", type: "text", url: true, def: "" },
+  volcano_model:         { title: "火山模型名称", type: "text", def: "" },
+  llm_words_system_prompt: { title: "LLM 系统提示词", type: "text", def: "", legacy: ["llm_system_prompt"] },
+  llm_system_prompt:     { title: "LLM 系统提示词（旧，已弃用）", type: "text", def: "", deprecated: true },
+  llm_words_max_add:     { title: "LLM 最多加入单词数", type: "int", min: 1, max: 1000, def: 200 },
+  context_gloss:         { title: "语境释义", type: "menu", values: ["auto", "llm", "dict", "off"], def: "auto" },
+  word_definition:       { title: "释义卡片", type: "menu", values: ["auto", "llm", "dict", "off"], def: "auto" },
+  bulk_max_words:        { title: "长文/单词列表最多写入数", type: "int", min: 1, max: 5000, def: 500 },
+  word_check_timeout_ms: { title: "LLM 超时（毫秒）", type: "int", min: 1000, max: 120000, def: STAGE_TIMEOUT_DEFAULTS_MS.llm },
+  write_timeout_ms:      { title: "单词本写入超时（毫秒）", type: "int", min: 1000, max: 60000, def: STAGE_TIMEOUT_DEFAULTS_MS.write },
+  wordbook_id:           { title: "欧路单词本 id", type: "text", def: "" },
+  wordbook_name:         { title: "欧路单词本名称", type: "text", def: "" },
+  routing_rules:         { title: "路由规则", type: "text", def: "", validate: function (s) { return parseRoutingRules(s).errors.join("；"); } }
+};
+
+function isBlankSetting(v) {
+  return v === undefined || v === null || String(v).trim() === "";
+}
+
+/** 原始配置值：新名未填写时依次读取 legacy 旧名 */
+function rawSetting(name) {
+  var opts = (typeof $option !== "undefined" && $option) ? $option : {};
+  var v = opts[name];
+  var legacy = (SETTINGS[name] && SETTINGS[name].legacy) || [];
+  for (var i = 0; i < legacy.length && isBlankSetting(v); i++) v = opts[legacy[i]];
+  return v;
+}
+
+/**
+ * checkSetting：按声明校验一个配置值
+ * @returns {{ok:boolean, value:any, message?:string}}  未填写 → ok，value 为默认值
+ */
+function checkSetting(spec, raw) {
+  if (isBlankSetting(raw)) return { ok: true, value: spec.def };
+  var s = String(raw).trim();
+  if (spec.type === "int") {
+    var n = Number(s);
+    if (!isFinite(n) || Math.floor(n) !== n) return { ok: false, value: spec.def, message: "「" + s + "」不是整数" };
+    if (n < spec.min || n > spec.max) return { ok: false, value: spec.def, message: "取值范围 " + spec.min + "–" + spec.max + "，当前为 " + n };
+    return { ok: true, value: n };
+  }
+  if (spec.type === "menu" && spec.values.indexOf(s) < 0) {
+    return { ok: false, value: spec.def, message: "「" + s + "」不是可选值" };
+  }
+  if (spec.url && !/^https?:\/\/\S+$/i.test(s)) {
+    return { ok: false, value: spec.def, message: "必须以 http:// 或 https:// 开头" };
+  }
+  var value = spec.type === "text" ? String(raw) : s;
+  var invalid = spec.validate ? spec.validate(value) : "";
+  if (invalid) return { ok: false, value: value, message: invalid };
+  return { ok: true, value: value };
+}
+
+/** setting：读取配置项（已做旧名兼容与取值校验；不合法时返回默认值） */
+function setting(name) {
+  var spec = SETTINGS[name];
+  if (!spec) return rawSetting(name);
+  return checkSetting(spec, rawSetting(name)).value;
+}
+
+/**
+ * settingIssues：列出所有取值不合法的配置项（供 pluginValidate 报告）
+ * @returns {Array<{name:string, title:string, message:string}>}
+ */
+function settingIssues() {
+  var out = [];
+  for (var name in SETTINGS) {
+    if (!Object.prototype.hasOwnProperty.call(SETTINGS, name)) continue;
+    var r = checkSetting(SETTINGS[name], rawSetting(name));
+    if (!r.ok) out.push({ name: name, title: SETTINGS[name].title, message: r.message });
+  }
+  return out;
+}
+
 ///////////////////////////////
 // 1) 规范化 & 本地严格过滤
 ///////////////////////////////
@@ -239,6 +626,29 @@ function isLikelyEnglishWord(text) {
   return true;
 }
 
+/**
+ * 短语判定（短语模式使用）
+ *  - 2～6 个由单个空格分隔的 token，每个 token 都满足 isLikelyEnglishWord；
+ *  - 总长度不超过 64（与单词上限一致）。
+ */
+function isLikelyEnglishPhrase(text) {
+  if (!text || typeof text !== "string") return false;
+  var s = text.trim();
+  if (s.length === 0 || s.length > 64) return false;
+  if (/\s{2,}|[\t\r\n]/.test(s)) return false;
+  var tokens = s.split(" ");
+  if (tokens.length < 2 || tokens.length > 6) return false;
+  for (var i = 0; i < tokens.length; i++) {
+    if (!isLikelyEnglishWord(tokens[i])) return false;
+  }
+  return true;
+}
+
+/** 单词，或（短语模式下）短语 */
+function isLikelyEnglishTerm(text, allowPhrases) {
+  return isLikelyEnglishWord(text) || (!!allowPhrases && isLikelyEnglishPhrase(text));
+}
+
 /**
  * classifyInput：将输入分为三类
  * - 'single_word'：单个英文单词（走旧流程：LLM Yes/No 判定再写库）
@@ -293,9 +703,291 @@ function uniqueStable(arr) {
   return out;
 }
 
+///////////////////////////////
+// 1.5) 本地离线抽词（未配置 LLM 时：切词 → 去停用词 → 词形还原 → 按稀有度排序）
+///////////////////////////////
+
+// 词频排名小于该值视为“简单词”，本地模式下不加入单词本
+var LOCAL_SIMPLE_RANK = 1000;
+
+var _lexiconIndex = null;
+
+/**
+ * 词表索引（懒加载）：rank[词] = 词频排名；stop[词] = 1；invariant[词] = 1；
+ * us[美式原形] = 1、uk[美式原形] = 英式原形（SPELLING_VARIANTS 反查）；gazetteer[小写] = 规范大小写（GAZETTEER）
+ */
+function lexiconIndex() {
+  if (_lexiconIndex) return _lexiconIndex;
+  var rank = Object.create(null);
+  var stop = Object.create(null);
+  var invariant = Object.create(null);
+  var us = Object.create(null);
+  var uk = Object.create(null);
+  var gazetteer = Object.create(null);
+  var bases = Object.create(null);
+  var freq = LEXICON.FREQUENCY_LIST || [];
+  for (var i = 0; i < freq.length; i++) {
+    if (rank[freq[i]] === undefined) rank[freq[i]] = i;
+  }
+  var sw = LEXICON.STOPWORDS || [];
+  for (var j = 0; j < sw.length; j++) stop[sw[j]] = 1;
+  var inv = LEXICON.INVARIANT_FORMS || [];
+  for (var k = 0; k < inv.length; k++) invariant[inv[k]] = 1;
+  var variants = LEXICON.SPELLING_VARIANTS || {};
+  for (var b in variants) {
+    if (!Object.prototype.hasOwnProperty.call(variants, b)) continue;
+    us[variants[b]] = 1;
+    uk[variants[b]] = b;
+  }
+  var gaz = LEXICON.GAZETTEER || [];
+  for (var g = 0; g < gaz.length; g++) gazetteer[gaz[g].toLowerCase()] = gaz[g];
+  var irr = LEXICON.IRREGULAR_FORMS || {};
+  for (var f in irr) {
+    if (Object.prototype.hasOwnProperty.call(irr, f)) bases[irr[f]] = 1;
+  }
+  _lexiconIndex = { rank: rank, stop: stop, invariant: invariant, us: us, uk: uk, gazetteer: gazetteer, bases: bases };
+  return _lexiconIndex;
+}
+
+/** 词频排名（越小越常见）；词表外返回 Infinity（视为最稀有） */
+function wordRank(word) {
+  var r = lexiconIndex().rank[word];
+  return r === undefined ? Infinity : r;
+}
+
+function isStopword(word) {
+  return !!lexiconIndex().stop[word];
+}
+
+/** 词表中认识的原形（词频表 / 停用词） */
+function isKnownLemma(word) {
+  var idx = lexiconIndex();
+  return idx.rank[word] !== undefined || !!idx.stop[word];
+}
+
+/** 去掉词尾双写辅音：stopp → stop、quizz → quiz；l/s 双写保留（fall / pass） */
+function undoubleConsonant(stem) {
+  if (/([b-df-hj-np-tv-z])\1$/.test(stem) && !/(?:ll|ss)$/.test(stem)) return stem.slice(0, -1);
+  return "";
+}
+
+/** 规则候选能否作为原形：须是词表认识的词（词频表 / 停用词 / 美式拼写表 / 不规则变形表中的原形） */
+function isLemmaCandidate(word) {
+  var idx = lexiconIndex();
+  return isKnownLemma(word) || !!idx.us[word] || !!idx.bases[word];
+}
+
+/**
+ * ed/ing 去词尾后的候选原形：去双写 / stem / stem+e（wrestl → wrestle）
+ * - 多音节的 -ll / -uss（compelled / cancelled / focussed）另加去掉一个字母的候选
+ */
+function stripVerbSuffix(stem) {
+  var undoubled = undoubleConsonant(stem);
+  var cands = [stem, stem + "e"];
+  if (undoubled) cands.unshift(undoubled);
+  // fill / thrill / kiss 这类单音节词保留双写；多音节词先认词表里的原词（install / discuss）
+  if (!undoubled && /[aeiou][^aeiou]*[aeiou]ll$|[aeiou][^aeiou]*uss$/.test(stem)) cands.push(stem.slice(0, -1));
+  return cands;
+}
+
+/**
+ * lemmaCandidates：按英语规则生成原形候选（按优先级排列）
+ * @returns {string[]}
+ */
+function lemmaCandidates(w) {
+  var m;
+  if (/ies$/.test(w) && w.length > 4) return [w.slice(0, -3) + "y"];
+  if (/ied$/.test(w) && w.length > 4) return [w.slice(0, -3) + "y"];
+  if (/zzes$/.test(w)) return [w.slice(0, -2), w.slice(0, -3)];
+  if (/(?:sses|xes|ches|shes|zes|oes)$/.test(w)) return [w.slice(0, -2), w.slice(0, -1)];
+  if (/ses$/.test(w)) return [w.slice(0, -1), w.slice(0, -2)];
+  if (/[^su]s$/.test(w) && !/(?:is|us|ss)$/.test(w)) return [w.slice(0, -1)];
+  if ((m = /^(.{2,})ed$/.exec(w))) return stripVerbSuffix(m[1]);
+  if ((m = /^(.{2,})ing$/.exec(w))) return stripVerbSuffix(m[1]);
+  if (/iest$/.test(w) && w.length > 5) return [w.slice(0, -4) + "y"];
+  if (/ier$/.test(w) && w.length > 4) return [w.slice(0, -3) + "y"];
+  if ((m = /^(.{2,})est$/.exec(w))) return stripVerbSuffix(m[1]);
+  if ((m = /^(.{2,})er$/.exec(w))) return stripVerbSuffix(m[1]);
+  return [];
+}
+
+/**
+ * lemmatize：基于规则的英文词形还原（小写输出）
+ *  1) 不规则变形表（went→go、children→child、better→good）；
+ *  2) 词本身在词频表中或以 -s 结尾的原形（news / species / building）→ 原样返回；短语逐词处理；
+ *  3) 规则候选中第一个词表认识的（running→run、created→create、studies→study）；
+ *  4) 都不认识 → 保持原词：宁可不还原，也不写入 pud / wrestl / sible 这类不存在的词。
+ */
+function lemmatize(word) {
+  var w = normalizeWord(word);
+  if (!w) return "";
+  // 短语：逐词还原（gave up on → give up on）
+  if (/\s/.test(w)) return w.split(/\s+/).map(lemmatize).join(" ");
+  var irr = LEXICON.IRREGULAR_FORMS && LEXICON.IRREGULAR_FORMS[w];
+  if (irr) return irr;
+  if (w.length <= 3 || isKnownLemma(w) || lexiconIndex().invariant[w]) return w;
+  var cands = lemmaCandidates(w);
+  for (var i = 0; i < cands.length; i++) {
+    var c = cands[i];
+    if (LEXICON.IRREGULAR_FORMS && LEXICON.IRREGULAR_FORMS[c]) continue;
+    if (isLemmaCandidate(c)) return c;
+  }
+  return w;
+}
+
+// 英式拼写的词形规则（作用于原词，含变形）：候选的原形在词频表或美式拼写表中才采用
+var SPELLING_RULES = [
+  [/is(e|es|ed|ing|ation|ations)$/, "iz$1"],
+  [/ys(e|es|ed|ing)$/, "yz$1"],
+  [/our(s|ed|ing|ite|ites|able|ably|less)?$/, "or$1"],
+  [/tre(s|d)?$/, "ter$1"],
+  [/ll(ed|ing)$/, "l$1"]
+];
+// -ize 结尾但英式同样拼作 -ize 的词（转英式拼写时不改）
+var UK_IZE_EXCEPTIONS = { capsize: 1, baize: 1, maize: 1, seize: 1, prize: 1, size: 1 };
+
+/** 拼写变体偏好：us（默认）/ uk / keep（保持输入的拼写习惯） */
+function spellingVariant() {
+  return String(setting("spelling_variant"));
+}
+
+/**
+ * americanSpelling：单个词的英式拼写 → 美式（colour→color、realised→realized、centres→centers、travelled→traveled）
+ * - 拼写表直接命中；否则按 SPELLING_RULES 改写，且仅当原词不认识、改写后的原形认识时才采用（tour / premise 不会被误改）
+ */
+function americanSpelling(w) {
+  var idx = lexiconIndex();
+  var table = LEXICON.SPELLING_VARIANTS || {};
+  if (Object.prototype.hasOwnProperty.call(table, w)) return table[w];
+  if (isKnownLemma(lemmatize(w))) return w;
+  for (var i = 0; i < SPELLING_RULES.length; i++) {
+    var c = w.replace(SPELLING_RULES[i][0], SPELLING_RULES[i][1]);
+    if (c === w) continue;
+    var lemma = lemmatize(c);
+    if (isKnownLemma(lemma) || idx.us[lemma]) return c;
+  }
+  return w;
+}
+
+/** 美式原形 → 英式：查拼写表，表外的 -ize / -ization / -yze 按规则改为 -ise / -isation / -yse */
+function britishSpelling(lemma) {
+  var uk = lexiconIndex().uk[lemma];
+  if (uk) return uk;
+  if (lemma.length >= 7 && !UK_IZE_EXCEPTIONS[lemma]) return lemma.replace(/iz(e|ation|ations)$/, "is$1").replace(/yze$/, "yse");
+  return lemma;
+}
+
+/**
+ * lemmaByPos：按 LLM 给出的词性还原（无词性时按全部规则）
+ * - 名词只还原复数（building / teacher 不动）；形容词、副词等保持模型给出的原形
+ */
+function lemmaByPos(w, pos) {
+  if (!pos || pos === "verb") return lemmatize(w);
+  var irr = LEXICON.IRREGULAR_FORMS && LEXICON.IRREGULAR_FORMS[w];
+  if (pos === "noun") return (irr || /s$/.test(w)) ? lemmatize(w) : w;
+  return w;
+}
+
+/**
+ * normalizeTerm：确定性的本地规范化（不依赖 LLM），所有抽词路径在去重与写入前统一经过
+ *  1) 小写、合并空白；
+ *  2) 英式拼写先转为美式，再做词形还原：不规则变形表 + 规则（running / ran / runs → run）；pos 为 LLM 给出的词性；
+ *  3) 按 spelling_variant 输出：us 美式；uk 英式；keep 英式输入仍输出英式（realised → realise）。
+ * 短语：各词只统一拼写；内置短语表中的短语保持原样（pros and cons），否则只还原首词（gave up on → give up on）。
+ */
+function normalizeTerm(term, pos) {
+  var w = normalizeWord(String(term || "")).replace(/\s+/g, " ");
+  if (!w) return "";
+  var variant = spellingVariant();
+  if (/\s/.test(w)) {
+    var parts = w.split(" ").map(function (p) {
+      if (variant === "keep") return p;
+      return variant === "uk" ? britishSpelling(americanSpelling(p)) : americanSpelling(p);
+    });
+    var phrase = parts.join(" ");
+    var known = LEXICON.PHRASES || [];
+    if (known.indexOf(phrase) >= 0) return phrase;
+    if (known.indexOf(lemmatize(phrase)) >= 0) return lemmatize(phrase);
+    parts[0] = normalizeTerm(parts[0], "verb");
+    return parts.join(" ");
+  }
+  var us = americanSpelling(w);
+  var lemma = americanSpelling(lemmaByPos(us, pos));
+  var british = variant === "uk" || (variant === "keep" && us !== w);
+  return british ? britishSpelling(lemma) : lemma;
+}
+
+/**
+ * detectPhrases：按原形序列在原文中匹配内置短语表（LEXICON.PHRASES）
+ * - "She gave up on it" 中的 gave up on → give up on；
+ * - 长短语优先（give up on 命中时不再重复报告 give up）。
+ * @returns {string[]} 命中的短语原形（按出现顺序）
+ */
+function detectPhrases(text) {
+  var tokens = (String(text || "").match(/[A-Za-z](?:[A-Za-z'-]*[A-Za-z])?/g) || []).map(function (t) { return normalizeTerm(t); });
+  var phrases = (LEXICON.PHRASES || []).map(function (p) { return { text: p, parts: p.split(" ") }; });
+  phrases.sort(function (a, b) { return b.parts.length - a.parts.length; });
+  var hits = [];
+  var covered = Object.create(null); // 已被更长短语覆盖的起始位置
+  for (var i = 0; i < tokens.length; i++) {
+    for (var k = 0; k < phrases.length; k++) {
+      var parts = phrases[k].parts;
+      if (i + parts.length > tokens.length) continue;
+      var match = true;
+      for (var j = 0; j < parts.length; j++) {
+        if (tokens[i + j] !== parts[j]) { match = false; break; }
+      }
+      if (!match) continue;
+      if (!covered[i]) hits.push({ text: phrases[k].text, at: i });
+      covered[i] = 1;
+      break;
+    }
+  }
+  return uniqueStable(hits.map(function (h) { return h.text; }));
+}
+
+/**
+ * extractWordsLocally：完整的本地离线抽词流程（不依赖任何网络）
+ *  1) localExtractWords 切词；
+ *  2) normalizeTerm 统一拼写、还原原形并去重（原文中的专有名词不还原；句首大写词只还原成词表认识的原形：Jones 不会变成 jone）；
+ *  3) 去掉停用词与词频排名前 simpleWordRank() 的常见词（随所选词频过滤档位变化）；
+ *  4) 按稀有度排序（词表外的词最靠前，其余按排名从低频到高频，同级保持原文顺序）；
+ *     词形还原只产出词表认识的原形，词表外的词按原词排序（pudding 不会变成 pud 再排到最前）；
+ *  5) 短语模式：内置短语表命中的短语排在单词之前。
+ * maxAdd 缺省为 llm_words_max_add（长文由调用方放宽到 bulk_max_words）。
+ * 返回结构与 extractWordsByLLM 保持一致（mode="local"）。
+ */
+function extractWordsLocally(text, allowPhrases, maxAdd) {
+  var _start = Date.now();
+  maxAdd = maxAdd || setting("llm_words_max_add");
+  var proper = properNounsInText(text);
+  // 句首的大写词无从判断是否专有名词：normalizeTerm 只还原成词表认识的原形（Phones → phone），Jones 不会变成 jone
+  var lemmas = uniqueStable(localExtractWords(text).map(function (w) { return proper[w] ? w : normalizeTerm(w); }).filter(function (w) { return !!w; }));
+  var kept = [];
+  for (var i = 0; i < lemmas.length; i++) {
+    var w = lemmas[i];
+    if (w.length < 3 || isStopword(w) || !isLikelyEnglishWord(w)) continue;
+    if (wordRank(w) < simpleWordRank()) continue;
+    kept.push({ word: w, order: i, rank: wordRank(w) });
+  }
+  kept.sort(function (a, b) {
+    if (a.rank !== b.rank) return a.rank === Infinity ? -1 : (b.rank === Infinity ? 1 : b.rank - a.rank);
+    return a.order - b.order;
+  });
+  var words = kept.map(function (x) { return x.word; });
+  if (allowPhrases) words = detectPhrases(text).concat(words);
+  return {
+    ok: true,
+    mode: "local",
+    statusCode: 0,
+    words: words.slice(0, maxAdd),
+    durationMs: Date.now() - _start
+  };
+}
+
 /**
  * addWordP：将回调式 addWord 包装为 Promise（便于批量顺序写入）
- * @returns {Promise<{word:string, ok:boolean, message:string}>}
+ * @returns {Promise<{word:string, ok:boolean, queued:boolean, message:string}>}
  */
 function addWordP(query, dictType, authorization, word) {
   return new Promise(function (resolve) {
@@ -303,53 +995,21 @@ function addWordP(query, dictType, authorization, word) {
       addWord(query, dictType, authorization, word, function (res) {
         // 从插件 payload 中提取中文提示（复用已有逻辑）
         var msg = pickMessageFromPluginPayload(res);
-        if (res && res.result) {
-          resolve({ word: word, ok: true,  message: msg || ("添加单词成功：" + word) });
+        var status = (res && res.outcome && res.outcome.status) || (res && res.result ? "added" : "unknown");
+        if (res && res.__queued) {
+          resolve({ word: word, ok: false, queued: true, status: status, message: msg || ("已加入离线重试队列：" + word) });
+        } else if (res && res.result) {
+          resolve({ word: word, ok: true,  status: status, message: msg || ("添加单词成功：" + word) });
         } else {
-          resolve({ word: word, ok: false, message: msg || ("添加单词失败：" + word) });
+          resolve({ word: word, ok: false, status: status, message: msg || ("添加单词失败：" + word) });
         }
       });
     } catch (e) {
-      resolve({ word: word, ok: false, message: "添加单词异常：" + errorToMessage(e) });
+      resolve({ word: word, ok: false, status: "unknown", message: "添加单词异常：" + errorToMessage(e) });
     }
   });
 }
 
-/**
- * addWordsInSeries：串行添加多词，避免 Promise.all 并发导致 UI 阻塞或超时放大
- * @param {string[]} words  待添加的单词列表
- * @returns {Promise<{success:string[], failed:Array<{word:string, reason:string}>}>}
- */
-function addWordsInSeries(query, dictType, authorization, words) {
-  var idx = 0;
-  var success = [];
-  var failed = [];
-  function next() {
-    if (idx >= words.length) {
-      return Promise.resolve({ success: success, failed: failed });
-    }
-    var w = words[idx++];
-    return addWordP(query, dictType, authorization, w).then(function (r) {
-      if (r.ok) success.push(w);
-      else failed.push({ word: w, reason: r.message || "未知原因" });
-      return next();
-    });
-  }
-  return next();
-}
-
-/** 统一决策入口：先本地过滤，减少 LLM 调用 */
-function shouldAddToWordbook(text, from_language) {
-  var norm = normalizeWord(text);
-  if (from_language && from_language !== "en") {
-    return { pass: false, reason: "中文、非英语单词无需添加单词本" };
-  }
-  if (!isLikelyEnglishWord(norm)) {
-    return { pass: false, reason: "非英语单词无需添加单词本" };
-  }
-  return { pass: true, reason: "OK" };
-}
-
 /**
  * 解析 LLM 返回的 Yes/No，容错大小写、句点、引号、代码块等
  * @param {string} s
@@ -422,316 +1082,3548 @@ function extractArkContent(resp) {
 
 
 ///////////////////////////////
-// 2) 火山 LLM 判定（仅此通道）
+// 2) LLM 抽词（可插拔 Provider：火山方舟 / OpenAI 兼容 / Ollama / DeepSeek / Azure / Anthropic）
 ///////////////////////////////
 
-
 /**
- * extractWordsByLLMVolcano：让 LLM 从句子/短语中抽取“可加入单词本的英文词”
- * 返回 JSON 数组（小写、去重、仅字母/内部可含 - '）
- * 失败或超时时，调用方应回退到 localExtractWords()
+ * 从 Anthropic Messages API 响应中提取文本
+ * - content 为数组：[{type:'text', text:'...'}, ...]，拼接所有 text 片段
+ * 返回：{ text: string, finish_reason: string }
  */
-function extractWordsByLLMVolcano(text, cancelSignal) {
-  var _start = Date.now();
-  var vKey  = $option.volcano_api_key;
-  var vBase = $option.volcano_endpoint; // 例如 https://ark.cn-beijing.volces.com/api/v3
-  var vModel= $option.volcano_model;
+function extractAnthropicContent(resp) {
+  try {
+    var data = (resp && resp.data) || {};
+    var content = data.content;
+    if (Array.isArray(content)) {
+      var buf = [];
+      for (var i = 0; i < content.length; i++) {
+        var part = content[i];
+        if (part && part.type === 'text' && typeof part.text === 'string') buf.push(part.text);
+      }
+      return { text: buf.join(''), finish_reason: data.stop_reason || '' };
+    }
+    return { text: '', finish_reason: data.stop_reason || '' };
+  } catch (_) {
+    return { text: '', finish_reason: '' };
+  }
+}
 
-  // 允许在 Bob 选项中配置最大保留数；默认 200（与写入上限保持一致）
-  var _maxAdd = Number($option.llm_words_max_add) || 200;
+/** OpenAI 风格 Chat Completions 请求体（火山/OpenAI/DeepSeek/Azure/Ollama 共用） */
+function buildChatCompletionsBody(model, req) {
+  var body = {
+    model: model,
+    messages: [
+      { role: "system", content: req.system },
+      { role: "user",   content: req.user }
+    ],
+    temperature: 0,
+    max_tokens: req.maxTokens || 1024,
+    n: 1
+  };
+  // JSON 模式：要求模型只输出一个 JSON 对象
+  if (req.json) body.response_format = { type: "json_object" };
+  return body;
+}
 
-  if (!(vKey && vBase && vModel)) {
-    return Promise.resolve({ ok: false, statusCode: 0, words: [], data: "[LLM 未配置]" });
+/**
+ * LLM_PROVIDERS：各 Provider 适配器
+ *  - defaultEndpoint：未配置 llm_endpoint 时使用的基址（空串表示必须配置）；
+ *  - needsKey：是否必须配置 API Key；
+ *  - buildRequest(cfg, req) → { url, endpoint, header, body }；
+ *    req = { system, user, maxTokens, json }；json=true 时请求 JSON 模式（Anthropic 无此参数，仅靠提示词约束）；
+ *  - parseResponse(resp) → { text, finish_reason }。
+ */
+var LLM_PROVIDERS = {
+  // 火山方舟 v3：自动补全 /api/v3；bot- 模型走 /bots；关闭思考模式
+  volcano: {
+    name: "火山方舟",
+    defaultEndpoint: "https://ark.cn-beijing.volces.com/api/v3",
+    needsKey: true,
+    buildRequest: function (cfg, req) {
+      var base = String(cfg.endpoint || "").replace(/\/+$/, "");
+      if (!/\/api\/v?3$/.test(base)) {
+        base = /\/api$/.test(base) ? (base + "/v3") : (base + "/api/v3");
+      }
+      if (/^https?:\/\/(?:ark[-.]cn-beijing\.bytedance\.net|ark\.bytedance\.net)/i.test(base)) {
+        try { $log.info("endpoint 域名疑似内部/历史，自动重写为 https://ark.cn-beijing.volces.com/api/v3"); } catch (_) {}
+        base = "https://ark.cn-beijing.volces.com/api/v3";
+      }
+      var isBotModel = /^bot-/i.test(String(cfg.model));
+      var body = buildChatCompletionsBody(cfg.model, req);
+      body.thinking = { type: "disabled" };
+      return {
+        url: base + (isBotModel ? "/bots/chat/completions" : "/chat/completions"),
+        endpoint: base,
+        header: { "Authorization": "Bearer " + cfg.apiKey },
+        body: body
+      };
+    },
+    parseResponse: extractArkContent
+  },
+  // 通用 OpenAI 兼容：基址形如 https://api.openai.com/v1
+  openai: {
+    name: "OpenAI 兼容",
+    defaultEndpoint: "https://api.openai.com/v1",
+    needsKey: true,
+    buildRequest: function (cfg, req) {
+      var base = String(cfg.endpoint || "").replace(/\/+$/, "").replace(/\/chat\/completions$/, "");
+      return {
+        url: base + "/chat/completions",
+        endpoint: base,
+        header: { "Authorization": "Bearer " + cfg.apiKey },
+        body: buildChatCompletionsBody(cfg.model, req)
+      };
+    },
+    parseResponse: extractArkContent
+  },
+  // 本地 Ollama / llama.cpp server：均提供 /v1/chat/completions，可不填 Key
+  ollama: {
+    name: "Ollama/llama.cpp 本地",
+    defaultEndpoint: "http://127.0.0.1:11434",
+    needsKey: false,
+    buildRequest: function (cfg, req) {
+      var base = String(cfg.endpoint || "").replace(/\/+$/, "").replace(/\/v1$/, "");
+      var header = {};
+      if (cfg.apiKey) header["Authorization"] = "Bearer " + cfg.apiKey;
+      return {
+        url: base + "/v1/chat/completions",
+        endpoint: base,
+        header: header,
+        body: buildChatCompletionsBody(cfg.model, req)
+      };
+    },
+    parseResponse: extractArkContent
+  },
+  deepseek: {
+    name: "DeepSeek",
+    defaultEndpoint: "https://api.deepseek.com",
+    needsKey: true,
+    buildRequest: function (cfg, req) {
+      var base = String(cfg.endpoint || "").replace(/\/+$/, "");
+      return {
+        url: base + "/chat/completions",
+        endpoint: base,
+        header: { "Authorization": "Bearer " + cfg.apiKey },
+        body: buildChatCompletionsBody(cfg.model, req)
+      };
+    },
+    parseResponse: extractArkContent
+  },
+  // Azure OpenAI：模型名即部署名；api-key 头；api-version 查询参数
+  azure: {
+    name: "Azure OpenAI",
+    defaultEndpoint: "",
+    needsKey: true,
+    buildRequest: function (cfg, req) {
+      var base = String(cfg.endpoint || "").replace(/\/+$/, "").replace(/\/openai$/, "");
+      var body = buildChatCompletionsBody(cfg.model, req);
+      delete body.model;
+      return {
+        url: base + "/openai/deployments/" + encodeURIComponent(cfg.model) + "/chat/completions?api-version=" +
+             encodeURIComponent(cfg.apiVersion || "2024-06-01"),
+        endpoint: base,
+        header: { "api-key": cfg.apiKey },
+        body: body
+      };
+    },
+    parseResponse: extractArkContent
+  },
+  // Anthropic Messages API：system 独立字段；x-api-key + anthropic-version 头
+  anthropic: {
+    name: "Anthropic",
+    defaultEndpoint: "https://api.anthropic.com",
+    needsKey: true,
+    buildRequest: function (cfg, req) {
+      var base = String(cfg.endpoint || "").replace(/\/+$/, "").replace(/\/v1$/, "");
+      return {
+        url: base + "/v1/messages",
+        endpoint: base,
+        header: { "x-api-key": cfg.apiKey, "anthropic-version": "2023-06-01" },
+        body: {
+          model: cfg.model,
+          system: req.system,
+          messages: [{ role: "user", content: req.user }],
+          temperature: 0,
+          max_tokens: req.maxTokens || 1024
+        }
+      };
+    },
+    parseResponse: extractAnthropicContent
   }
+};
 
-  var systemPrompt =
-    ($option.llm_words_system_prompt) ||
-    (
-      "ROLE: You are a vocabulary notebook manager for an English learner.\n" +
-      "TASK: From the user's TEXT, extract DISTINCT English single WORDS only, then RANK by MEMORY VALUE and output the top " + String(_maxAdd) + ".\n" +
-      "MEMORY VALUE (high → low):\n" +
-      "  • CEFR B2–C2 or academic/technical usefulness (STEM/business/legal),\n" +
-      "  • high utility across contexts (polysemy/collocations),\n" +
-      "  • morphological productivity (useful roots that yield many derivatives),\n" +
-      "  • topic relevance to the input.\n" +
-      "EXCLUDE:\n" +
-      "  • trivial/common function words (the, is, and, to, of, etc.),\n" +
-      "  • URLs/emails/numbers/hashtags/SKUs/codes/emojis,\n" +
-      "  • NON‑typical personal names or idiosyncratic capitalized tokens (e.g., \"Licard\"),\n" +
-      "  • random strings or non-English tokens,\n" +
-      "  • multi‑word phrases.\n" +
-      "PROPER NOUNS & BRANDS:\n" +
-      "  • Keep only well‑known proper nouns/brands/places or domain‑critical names; otherwise skip.\n" +
-      "  • For proper nouns and special names, KEEP initial capitalization (Title Case). For common words, use lowercase.\n" +
-      "LEMMA RULES:\n" +
-      "  • Output the BASE FORM (lemma): verbs → infinitive (go, run), nouns → singular (mouse), adjectives → base (good), handle irregulars (went→go; better→good).\n" +
-      "OUTPUT (STRICT JSON, NO explanations): Prefer {\"add\":[...],\"skip\":[...]}. If unsure, output just [\"word1\",\"word2\",...].\n" +
-      "CONSTRAINTS:\n" +
-      "  • No duplicates; order by descending MEMORY VALUE.\n" +
-      "  • Do not wrap in code fences.\n"
-    );
+/**
+ * getLLMConfig：读取当前 LLM 配置
+ *  - llm_provider 缺省为 volcano；
+ *  - 火山方舟兼容旧配置：llm_* 为空时回退到 volcano_api_key / volcano_endpoint / volcano_model。
+ */
+function getLLMConfig() {
+  var provider = setting("llm_provider");
+  if (!LLM_PROVIDERS[provider]) provider = "volcano";
+  var adapter = LLM_PROVIDERS[provider];
+  var legacy = provider === "volcano";
+  return {
+    provider: provider,
+    adapter: adapter,
+    apiKey: String(setting("llm_api_key") || (legacy ? setting("volcano_api_key") : "") || ""),
+    endpoint: String(setting("llm_endpoint") || (legacy ? setting("volcano_endpoint") : "") || adapter.defaultEndpoint || ""),
+    model: String(setting("llm_model") || (legacy ? setting("volcano_model") : "") || ""),
+    apiVersion: String(setting("azure_api_version") || "")
+  };
+}
 
+/** 是否走本地离线抽词：显式选择「本地离线」或当前 Provider 配置不全 */
+function useLocalExtraction() {
+  return setting("llm_provider") === "local" || !isLLMConfigured(getLLMConfig());
+}
 
-  var base = String(vBase || "").replace(/\/+$/, "");
-  if (!/\/api\/v?3$/.test(base)) {
-    base = /\/api$/.test(base) ? (base + "/v3") : (base + "/api/v3");
-  }
-  if (/^https?:\/\/(?:ark[-.]cn-beijing\.bytedance\.net|ark\.bytedance\.net)/i.test(base)) {
-    try { $log.info("endpoint 域名疑似内部/历史，自动重写为 https://ark.cn-beijing.volces.com/api/v3"); } catch (_) {}
-    base = "https://ark.cn-beijing.volces.com/api/v3";
+/** 当前 Provider 所需配置是否齐全 */
+function isLLMConfigured(cfg) {
+  if (!cfg || !cfg.endpoint || !cfg.model) return false;
+  if (cfg.adapter.needsKey && !cfg.apiKey) return false;
+  return true;
+}
+
+/**
+ * callLLM：按当前 Provider 发起一次对话请求
+ * @param {{system:string, user:string, maxTokens?:number}} req
+ * @returns {Promise<{ok, statusCode, text, finish_reason, data, headers, durationMs, attempts, timeoutMs, url, endpoint, model, provider, errorMessage?}>}
+ *          永不 reject；未配置时 ok=false, data="[LLM 未配置]"
+ */
+function callLLM(req, cancelSignal) {
+  var _start = Date.now();
+  var cfg = getLLMConfig();
+  if (!isLLMConfigured(cfg)) {
+    return Promise.resolve({ ok: false, statusCode: 0, text: "", data: "[LLM 未配置]", provider: cfg.provider, model: cfg.model, endpoint: cfg.endpoint });
   }
-  var isBotModel = /^bot-/i.test(String(vModel));
-  var url = base + (isBotModel ? "/bots/chat/completions" : "/chat/completions");
+  var built = cfg.adapter.buildRequest(cfg, req);
+  var header = Object.assign({
+    "Content-Type": "application/json",
+    "Accept": "application/json",
+    "User-Agent": "BobPlugin-Wordbook/1.0 (+yuhaowin/wordbook-bob-plugin)"
+  }, built.header || {});
 
-  return httpRequestP({
+  return requestWithRetry({
     method: "POST",
-    url: url,
-    header: {
-      "Authorization": "Bearer " + vKey,
-      "Content-Type": "application/json",
-      "Accept": "application/json",
-      "User-Agent": "BobPlugin-Wordbook/1.0 (+yuhaowin/wordbook-bob-plugin)"
-    },
-    body: {
-      model: vModel,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user",   content: String(text || "") }
-      ],
-      thinking: { type: "disabled" },
-      temperature: 0,
-      max_tokens: 1024,
-      n: 1
-    },
-    timeout: WORD_CHECK_TIMEOUT_S,
+    url: built.url,
+    header: header,
+    body: built.body,
+    stage: "llm",
     cancelSignal: cancelSignal
   }).then(function (resp) {
     var sc = (resp && resp.response && resp.response.statusCode) || 0;
-    var headers = (resp && resp.response && resp.response.headers) || {};
-    var ext = extractArkContent({ data: resp && resp.data });
-    var content = (ext && ext.text) ? ext.text.trim() : "";
-    // content 可能是：1) 纯数组；2) {add:[], skip:[]}
-    var wordsToAdd = [];
-    try {
-      var parsed = JSON.parse(content);
-      if (Array.isArray(parsed)) {
-        wordsToAdd = parsed;
-      } else if (parsed && typeof parsed === "object" && Array.isArray(parsed.add)) {
-        wordsToAdd = parsed.add;
+    var m = (resp && resp.__meta) || {};
+    var ext = cfg.adapter.parseResponse({ data: resp && resp.data });
+    return {
+      ok: sc >= 200 && sc < 300,
+      statusCode: sc,
+      text: (ext && ext.text) ? ext.text.trim() : "",
+      finish_reason: (ext && ext.finish_reason) || "",
+      data: resp && resp.data,
+      headers: (resp && resp.response && resp.response.headers) || {},
+      durationMs: Date.now() - _start,
+      url: built.url,
+      endpoint: built.endpoint,
+      model: cfg.model,
+      provider: cfg.provider,
+      attempts: m.attempts,
+      timeoutMs: m.timeoutMs
+    };
+  }, function (err) {
+    var m = (err && err.__meta) || {};
+    return {
+      ok: false,
+      statusCode: (err && err.response && err.response.statusCode) || 0,
+      text: "",
+      data: (err && err.response && err.response.data) || null,
+      headers: (err && err.response && err.response.headers) || {},
+      durationMs: Date.now() - _start,
+      url: built.url,
+      endpoint: built.endpoint,
+      model: cfg.model,
+      provider: cfg.provider,
+      attempts: m.attempts,
+      timeoutMs: m.timeoutMs,
+      errorMessage: errorToMessage(err)
+    };
+  });
+}
+
+// 抽词结果的词性取值（pos）与 CEFR 等级（cefr，可为 null：专有名词/短语等无等级）
+var EXTRACTION_POS = ["noun", "verb", "adjective", "adverb", "phrase", "proper_noun", "preposition", "conjunction", "pronoun", "determiner", "interjection", "other"];
+var EXTRACTION_CEFR = ["A1", "A2", "B1", "B2", "C1", "C2"];
+
+/** 抽词输出格式说明（自定义提示词时同样追加，保证输出可校验） */
+function extractionOutputSpec(maxAdd) {
+  return "OUTPUT (STRICT JSON OBJECT ONLY, no prose, no code fences):\n" +
+    "{\"add\":[{\"word\":\"<as in text>\",\"lemma\":\"<base form to save>\",\"pos\":\"<" + EXTRACTION_POS.join("|") + ">\"," +
+    "\"cefr\":\"<" + EXTRACTION_CEFR.join("|") + ">\" or null,\"reason\":\"<why it is worth memorizing, ≤ 12 words>\"}]," +
+    "\"skip\":[{\"word\":\"<word>\",\"reason\":\"<why skipped, ≤ 6 words>\"}]}\n" +
+    "CONSTRAINTS:\n" +
+    "  • \"add\" holds at most " + String(maxAdd) + " items, no duplicates, ordered by descending MEMORY VALUE.\n" +
+    "  • Every field is required; list at most 20 notable skipped words in \"skip\".\n";
+}
+
+/** 去掉包裹 JSON 的代码块标记（```json … ```） */
+function stripCodeFence(s) {
+  return String(s || "").trim().replace(/^```[a-z]*\s*/i, "").replace(/\s*```$/, "").trim();
+}
+
+/**
+ * validateExtraction：按抽词 schema 严格校验 LLM 输出
+ * - 顶层必须是 {add:[…], skip:[…]} 对象；每个 add 项必须含合法的 word / lemma / pos / cefr / reason；
+ * - lemma 需通过 isLikelyEnglishTerm 二次校验（短语模式下允许短语）
+ * @returns {{ok:boolean, errors:string[], add:Array<object>, skip:Array<object>}}  add 只含合法项
+ */
+function validateExtraction(content, allowPhrases) {
+  var out = { ok: false, errors: [], add: [], skip: [] };
+  var parsed;
+  try {
+    parsed = JSON.parse(stripCodeFence(content));
+  } catch (e) {
+    out.errors.push("not valid JSON: " + errorToMessage(e));
+    return out;
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    out.errors.push("top level must be an object with \"add\" and \"skip\"");
+    return out;
+  }
+  if (!Array.isArray(parsed.add)) out.errors.push("\"add\" must be an array");
+  if (!Array.isArray(parsed.skip)) out.errors.push("\"skip\" must be an array");
+  var add = Array.isArray(parsed.add) ? parsed.add : [];
+  for (var i = 0; i < add.length; i++) {
+    var it = add[i];
+    var where = "add[" + i + "]";
+    if (!it || typeof it !== "object") { out.errors.push(where + " must be an object"); continue; }
+    var lemma = typeof it.lemma === "string" ? it.lemma.trim() : "";
+    if (allowPhrases) lemma = lemma.replace(/\s+/g, " ");
+    var bad = [];
+    if (typeof it.word !== "string" || !it.word.trim()) bad.push("word");
+    if (!lemma || !isLikelyEnglishTerm(lemma, allowPhrases)) bad.push("lemma");
+    if (EXTRACTION_POS.indexOf(String(it.pos)) < 0) bad.push("pos");
+    if (it.cefr !== null && EXTRACTION_CEFR.indexOf(String(it.cefr)) < 0) bad.push("cefr");
+    if (typeof it.reason !== "string") bad.push("reason");
+    if (bad.length) { out.errors.push(where + " has invalid " + bad.join("/")); continue; }
+    out.add.push({ word: it.word.trim(), lemma: lemma, pos: it.pos, cefr: it.cefr, reason: it.reason.trim() });
+  }
+  var skip = Array.isArray(parsed.skip) ? parsed.skip : [];
+  for (var j = 0; j < skip.length; j++) {
+    var sk = skip[j];
+    if (!sk || typeof sk !== "object" || typeof sk.word !== "string" || typeof sk.reason !== "string") {
+      out.errors.push("skip[" + j + "] must be {word, reason}");
+      continue;
+    }
+    out.skip.push({ word: sk.word.trim(), reason: sk.reason.trim() });
+  }
+  out.ok = !out.errors.length;
+  return out;
+}
+
+/**
+ * renderWordInfo：抽词元信息行，如 "Info: ubiquitous（adjective, C1）found everywhere；…"
+ * - 只列出最终写入的单词（前 10 个）；模型跳过的词另起一行 "Skip:" 列出原因（前 5 个）
+ */
+function renderWordInfo(items, words, skipped) {
+  var lines = [];
+  var parts = [];
+  for (var i = 0; i < words.length; i++) {
+    var it = items && items[words[i]];
+    if (!it) continue;
+    parts.push(words[i] + "（" + it.pos + (it.cefr ? (", " + it.cefr) : "") + "）" + (it.reason ? (" " + it.reason) : ""));
+  }
+  if (parts.length) {
+    lines.push("Info: " + parts.slice(0, 10).join("；") + (parts.length > 10 ? (" … 等 " + (parts.length - 10) + " 个") : ""));
+  }
+  var skip = (skipped || []).map(function (x) { return x.word + (x.reason ? ("（" + x.reason + "）") : ""); });
+  if (skip.length) {
+    lines.push("Skip: 模型跳过 " + skip.length + " 个 → " + skip.slice(0, 5).join("；") + (skip.length > 5 ? " …" : ""));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * extractWordsByLLM：让 LLM 从句子/短语中抽取“可加入单词本的英文词”
+ * - 请求使用 JSON 模式（支持 response_format 的服务商；不支持时 400 → 去掉 JSON 模式再请求一次）；
+ * - 输出按 validateExtraction 严格校验，不合格时附上错误让模型修复一次；仍不合格则如实报错，
+ *   不再从模型的解释文字里正则取词；
+ * - 返回 words（lemma，去重截断）与 items（lemma → {word, pos, cefr, reason}）、skipped（模型跳过的词及原因）
+ * allowPhrases=true（短语模式）时同时保留短语动词/固定搭配/习语
+ */
+function extractWordsByLLM(text, cancelSignal, allowPhrases) {
+  // 允许在 Bob 选项中配置最大保留数；默认 200（与写入上限保持一致）
+  var _maxAdd = setting("llm_words_max_add");
+  var dropProper = properNounPolicy() === "drop";
+
+  var systemPrompt =
+    (setting("llm_words_system_prompt")) ||
+    (
+      "ROLE: You are a vocabulary notebook manager for an English learner.\n" +
+      (allowPhrases
+        ? "TASK: From the user's TEXT, extract DISTINCT English WORDS and multi-word EXPRESSIONS (phrasal verbs, collocations, idioms such as \"give up on\", \"by and large\"), then RANK by MEMORY VALUE and output the top " + String(_maxAdd) + ".\n"
+        : "TASK: From the user's TEXT, extract DISTINCT English single WORDS only, then RANK by MEMORY VALUE and output the top " + String(_maxAdd) + ".\n") +
+      "MEMORY VALUE (high → low):\n" +
+      "  • CEFR B2–C2 or academic/technical usefulness (STEM/business/legal),\n" +
+      "  • high utility across contexts (polysemy/collocations),\n" +
+      "  • morphological productivity (useful roots that yield many derivatives),\n" +
+      "  • topic relevance to the input.\n" +
+      "EXCLUDE:\n" +
+      "  • trivial/common function words (the, is, and, to, of, etc.),\n" +
+      "  • URLs/emails/numbers/hashtags/SKUs/codes/emojis,\n" +
+      (dropProper ? "  • ALL proper nouns (names of people, places, organizations, brands and products),\n" : "") +
+      "  • random strings or non-English tokens,\n" +
+      (allowPhrases
+        ? "  • free word combinations that are not fixed expressions (e.g., \"big house\").\n" +
+          "PHRASES:\n" +
+          "  • Keep phrasal verbs, fixed collocations and idioms as ONE item (2–6 words, single spaces), in base form (gave up on → give up on), with pos \"phrase\".\n" +
+          "  • A phrase does not make its component words worth adding on their own.\n"
+        : "  • multi‑word phrases.\n") +
+      (dropProper ? "" :
+        "PROPER NOUNS & BRANDS:\n" +
+        "  • Include names of people, places, organizations, brands and products with pos \"proper_noun\"; they are filtered locally by the user's policy.\n" +
+        "  • For proper nouns, KEEP initial capitalization (Title Case). For common words, use lowercase.\n") +
+      "LEMMA RULES:\n" +
+      "  • \"lemma\" is the BASE FORM: verbs → infinitive (go, run), nouns → singular (mouse), adjectives → base (good), handle irregulars (went→go; better→good).\n"
+    );
+  systemPrompt += extractionOutputSpec(_maxAdd);
+
+  var user = String(text || "");
+  var jsonMode = true;
+  var repaired = false;
+  var attempts = 0;
+  var _start = Date.now();
+
+  function ask(prompt) {
+    return callLLM({ system: systemPrompt, user: prompt, maxTokens: 2048, json: jsonMode }, cancelSignal).then(function (info) {
+      attempts += Number(info.attempts) || 1;
+      // 服务商/模型不支持 response_format → 去掉 JSON 模式重试一次（仍按 schema 校验）
+      if (!info.ok && info.statusCode === 400 && jsonMode) {
+        jsonMode = false;
+        return ask(prompt);
+      }
+      return info;
+    });
+  }
+
+  function finish(info, v) {
+    info.attempts = attempts;
+    info.durationMs = Date.now() - _start;
+    info.repaired = repaired;
+    var words = [];
+    var items = {};
+    for (var i = 0; i < v.add.length; i++) {
+      // 模型给出的原形再经本地规范化：同一单词不因模型输出不同而出现 running / ran / runs
+      var lemma = normalizeTerm(v.add[i].lemma, v.add[i].pos);
+      if (!lemma || items[lemma]) continue;
+      items[lemma] = { word: v.add[i].word, pos: v.add[i].pos, cefr: v.add[i].cefr, reason: v.add[i].reason };
+      words.push(lemma);
+    }
+    info.words = words.slice(0, _maxAdd);
+    info.items = items;
+    info.skipped = v.skip;
+    return info;
+  }
+
+  return ask(user).then(function (info) {
+    if (!info.ok) return info;
+    var v = validateExtraction(info.text, allowPhrases);
+    if (v.ok) return finish(info, v);
+    // 修复重试：带上原文、上次输出与校验错误，只重试一次
+    repaired = true;
+    var repair = "TEXT:\n" + user + "\n\nYour previous output did not match the required JSON schema.\n" +
+                 "ERRORS:\n- " + v.errors.slice(0, 10).join("\n- ") + "\n\nPREVIOUS OUTPUT:\n" + String(info.text || "").slice(0, 4000) +
+                 "\n\nReturn the corrected JSON object only.";
+    return ask(repair).then(function (info2) {
+      if (!info2.ok) return info2;
+      var v2 = validateExtraction(info2.text, allowPhrases);
+      // 顶层结构正确时保留合法项（个别项不合格不影响其余单词）；否则如实报错
+      if (v2.ok || (v2.add.length && v2.errors.every(function (e) { return /^(add|skip)\[/.test(e); }))) return finish(info2, v2);
+      info2.ok = false;
+      info2.attempts = attempts;
+      info2.errorMessage = "LLM 输出不符合抽词 JSON 格式（已自动修复重试 1 次）：" + v2.errors.slice(0, 3).join("；");
+      return info2;
+    });
+  });
+}
+
+///////////////////////////////
+// 2.3) 个人已掌握词表 & 词频过滤（本地、可解释、不耗 token）
+///////////////////////////////
+
+var KNOWN_WORDS_STORE = "known_words";
+
+/**
+ * 词频过滤档位 → 内置词频表排名阈值：排名小于 rank 的单词视为已掌握，不加入单词本
+ * - 只是内置词频表（约 2400 个常用词）的排名区间，不对应 CEFR 或考试词表（CET / IELTS / GRE 词表未随插件分发）；
+ * - 键名沿用旧版本的 A2–C2，已保存的配置无需迁移；
+ * - rank=Infinity：内置词频表中的词全部视为已掌握，只保留表外的低频词
+ */
+var VOCAB_LEVELS = {
+  A2: { label: "常用词前 500", rank: 500 },
+  B1: { label: "常用词前 1000", rank: 1000 },
+  B2: { label: "常用词前 1500", rank: 1500 },
+  C1: { label: "常用词前 2000", rank: 2000 },
+  C2: { label: "内置词频表全部常用词", rank: Infinity }
+};
+
+/** 当前选择的词频过滤档位；未选择（auto）时返回 null */
+function vocabLevel() {
+  var key = String(setting("vocab_level")).toUpperCase();
+  return VOCAB_LEVELS[key] || null;
+}
+
+/** 本地离线抽词的“简单词”阈值：选了词频过滤档位时与之一致，否则为 LOCAL_SIMPLE_RANK */
+function simpleWordRank() {
+  var level = vocabLevel();
+  return level ? level.rank : LOCAL_SIMPLE_RANK;
+}
+
+/** 已掌握词表：{ words: { <原形>: 加入时间 } }（/known 维护） */
+function loadKnownWords() {
+  var k = loadStore(KNOWN_WORDS_STORE, null) || {};
+  if (!k.words || typeof k.words !== "object") k.words = {};
+  return k;
+}
+
+/** 已掌握单词集合：/known 维护的词表 + 设置中的「已掌握单词」（逗号/空白分隔） */
+function knownWordSet() {
+  var set = Object.create(null);
+  var stored = loadKnownWords().words;
+  for (var w in stored) {
+    if (Object.prototype.hasOwnProperty.call(stored, w)) set[w] = 1;
+  }
+  var extra = String(setting("known_words") || "").split(/[,，;；\n]+/);
+  for (var i = 0; i < extra.length; i++) {
+    var x = normalizeTerm(extra[i]);
+    if (x) set[x] = 1;
+  }
+  return set;
+}
+
+/**
+ * filterByVocabulary：按已掌握词表与词频过滤档位过滤单词（LLM 调用前后、本地抽词共用）
+ * - 已掌握：单词或其原形在已掌握词表中；
+ * - 常用词：单词原形在内置词频表中的排名小于所选档位的阈值（短语不按词频过滤）；
+ * - applyLevel=false 时只按已掌握词表过滤（单词列表按用户给出的单词写入，不按词频过滤）
+ * @returns {{kept:string[], known:string[], belowLevel:string[], level:object|null}}
+ */
+function filterByVocabulary(words, applyLevel) {
+  var known = knownWordSet();
+  var level = applyLevel === false ? null : vocabLevel();
+  var out = { kept: [], known: [], belowLevel: [], level: level };
+  for (var i = 0; i < words.length; i++) {
+    var norm = normalizeWord(words[i]);
+    var lemma = normalizeTerm(norm);
+    if (known[norm] || known[lemma]) out.known.push(words[i]);
+    else if (level && !/\s/.test(norm) && wordRank(lemma) < level.rank) out.belowLevel.push(words[i]);
+    else out.kept.push(words[i]);
+  }
+  return out;
+}
+
+/** 过滤说明行（没有过滤掉任何词时为空串） */
+function renderVocabFilter(f) {
+  if (!f) return "";
+  var parts = [];
+  if (f.known.length) parts.push("已掌握 " + f.known.length + " 个（" + joinPreview(f.known, 10) + "）");
+  if (f.belowLevel.length) parts.push("属于「" + f.level.label + "」的 " + f.belowLevel.length + " 个（" + joinPreview(f.belowLevel, 10) + "）");
+  return parts.length ? ("Level: 已跳过 " + parts.join("，")) : "";
+}
+
+/**
+ * hasUnfilteredCandidates：LLM 调用前的本地预过滤
+ * - 原文中的候选词（去停用词后的原形）全部已掌握/属于所选常用词范围时无需调用 LLM；
+ * - 短语模式下 LLM 可能抽出词表外的短语，不做预过滤
+ * @returns {{pass:boolean, filter:object}}
+ */
+function hasUnfilteredCandidates(text, allowPhrases) {
+  if (allowPhrases) return { pass: true, filter: null };
+  var lemmas = uniqueStable(localExtractWords(text).map(function (w) { return normalizeTerm(w); }).filter(function (w) {
+    return !!w && !isStopword(w);
+  }));
+  var f = filterByVocabulary(lemmas);
+  return { pass: f.kept.length > 0, filter: f };
+}
+
+/**
+ * /known 命令：维护已掌握词表
+ * - /known：查看数量与当前词频过滤档位；/known add w1 w2：加入（按原形保存）；
+ * - /known remove w1：移除；/known clear：清空
+ */
+function handleKnownCommand(query, args) {
+  var k = loadKnownWords();
+  var sub = String(args[0] || "").toLowerCase();
+  var words = uniqueStable(args.slice(1).map(function (w) {
+    return normalizeTerm(w.replace(/^[,，]+|[,，]+$/g, ""));
+  }).filter(function (w) { return isLikelyEnglishWord(w); }));
+  if (sub === "add") {
+    if (!words.length) return Promise.resolve({ error: buildError("用法：/known add 单词1 单词2 …") });
+    var now = Date.now();
+    for (var i = 0; i < words.length; i++) k.words[words[i]] = now;
+    saveStore(KNOWN_WORDS_STORE, k);
+    return Promise.resolve({ result: buildResult("已加入已掌握词表 " + words.length + " 个：" + joinPreview(words, 30)) });
+  }
+  if (sub === "remove" || sub === "rm") {
+    var removed = words.filter(function (w) { return Object.prototype.hasOwnProperty.call(k.words, w); });
+    for (var j = 0; j < removed.length; j++) delete k.words[removed[j]];
+    saveStore(KNOWN_WORDS_STORE, k);
+    return Promise.resolve({ result: buildResult("已从已掌握词表移除 " + removed.length + " 个" + (removed.length ? ("：" + joinPreview(removed, 30)) : "")) });
+  }
+  if (sub === "clear") {
+    var n = Object.keys(k.words).length;
+    k.words = {};
+    saveStore(KNOWN_WORDS_STORE, k);
+    return Promise.resolve({ result: buildResult("已清空已掌握词表 " + n + " 个") });
+  }
+  var all = Object.keys(k.words).sort();
+  var level = vocabLevel();
+  var lines = [
+    "已掌握 " + all.length + " 个" + (all.length ? ("：" + joinPreview(all, 50)) : "") + "（/known add 单词 加入，/known remove 单词 移除）",
+    "词频过滤：" + (level ? ("「" + level.label + "」视为已掌握") : "未设置")
+  ];
+  return Promise.resolve({ result: buildResult(lines.join("\n")) });
+}
+
+///////////////////////////////
+// 2.35) 专有名词策略：常见专有名词表 + 允许/拒绝列表
+///////////////////////////////
+
+/** 专有名词策略：gazetteer 只保留内置名录中的常见专有名词；keep 全部保留；drop 全部跳过 */
+function properNounPolicy() {
+  return String(setting("proper_nouns"));
+}
+
+/**
+ * parseNameList：解析允许/拒绝列表（逗号/分号/换行分隔）
+ * @returns {Object<string,string>} 小写 → 用户写法
+ */
+function parseNameList(s) {
+  var out = Object.create(null);
+  var parts = String(s || "").split(/[,，;；\n]+/);
+  for (var i = 0; i < parts.length; i++) {
+    var name = parts[i].trim().replace(/\s+/g, " ");
+    if (name && !out[normalizeWord(name)]) out[normalizeWord(name)] = name;
+  }
+  return out;
+}
+
+/**
+ * properNounsInText：按原文大小写判断专有名词（不依赖 LLM）
+ * - 至少一次出现在句中（非句首）且首字母大写，并且原文中从未以小写出现：Licard / Tesla / NASA；
+ * - 标题式的行（多数单词首字母大写）不作为依据。
+ * @returns {Object<string,string>} 小写 → 原文写法
+ */
+function properNounsInText(text) {
+  var capital = Object.create(null);
+  var lower = Object.create(null);
+  var lines = String(text || "").split(/\n+/);
+  for (var i = 0; i < lines.length; i++) {
+    var re = /[A-Za-z](?:[A-Za-z'-]*[A-Za-z])?/g;
+    var tokens = [];
+    var m;
+    while ((m = re.exec(lines[i]))) tokens.push({ text: m[0], at: m.index });
+    var caps = tokens.filter(function (t) { return /^[A-Z]/.test(t.text); }).length;
+    var titleLine = tokens.length >= 4 && caps / tokens.length > 0.6;
+    for (var j = 0; j < tokens.length; j++) {
+      var t = tokens[j];
+      var key = normalizeWord(t.text);
+      if (!/^[A-Z]/.test(t.text)) {
+        lower[key] = 1;
+        continue;
+      }
+      if (titleLine || t.text.length < 2) continue;
+      var before = lines[i].slice(0, t.at).replace(/\s+$/, "");
+      var initial = !before || /[.!?:;"“”'‘’(\[{—–•*#>-]$/.test(before);
+      if (!initial && !capital[key]) capital[key] = t.text;
+    }
+  }
+  var out = Object.create(null);
+  for (var w in capital) {
+    if (!lower[w]) out[w] = capital[w];
+  }
+  return out;
+}
+
+/**
+ * applyProperNounPolicy：抽词后在本地应用专有名词策略与允许/拒绝列表
+ * - 拒绝列表（任何词，含其原形）优先；其次允许列表（按列表中的写法保留）；最后按 proper_nouns 策略；
+ * - 专有名词：LLM 标为 proper_noun，或按原文大小写判断（properNounsInText）；
+ * - 单词列表只应用允许/拒绝列表（列表中的大小写不作为依据）；
+ * - 保留的专有名词恢复大小写（内置名录 / 原文写法），items 同时以新写法登记。
+ * @returns {{kept:string[], dropped:Array<{word:string, reason:string}>}}
+ */
+function applyProperNounPolicy(words, items, text, mode) {
+  var policy = properNounPolicy();
+  var allow = parseNameList(setting("proper_noun_allow"));
+  var denyList = parseNameList(setting("proper_noun_deny"));
+  var deny = Object.create(null);
+  for (var d in denyList) {
+    deny[d] = 1;
+    deny[normalizeTerm(d)] = 1;
+  }
+  var gazetteer = lexiconIndex().gazetteer;
+  var inText = mode === "list" ? Object.create(null) : properNounsInText(text);
+  var out = { kept: [], dropped: [] };
+  for (var i = 0; i < words.length; i++) {
+    var w = words[i];
+    var key = normalizeWord(w);
+    var item = items && items[w];
+    var surface = allow[key] || gazetteer[key] || inText[key] ||
+                  (item && /^[A-Z]/.test(String(item.word || "")) && normalizeWord(item.word) === key ? item.word : w);
+    var display = w;
+    if (deny[key]) {
+      out.dropped.push({ word: surface, reason: "拒绝列表" });
+      continue;
+    }
+    if (allow[key]) {
+      display = allow[key];
+    } else if (mode !== "list" && ((item && item.pos === "proper_noun") || inText[key])) {
+      if (policy === "drop") {
+        out.dropped.push({ word: surface, reason: "专有名词" });
+        continue;
+      }
+      if (policy === "gazetteer" && !gazetteer[key]) {
+        out.dropped.push({ word: surface, reason: "不在常见专有名词表" });
+        continue;
+      }
+      display = surface;
+    }
+    if (display !== w && items && item) items[display] = item;
+    out.kept.push(display);
+  }
+  return out;
+}
+
+/** 专有名词说明行（没有跳过任何词时为空串） */
+function renderProperNouns(p) {
+  if (!p || !p.dropped.length) return "";
+  return "Proper: 已跳过 " + p.dropped.length + " 个 → " + joinPreview(p.dropped.map(function (x) {
+    return x.word + "（" + x.reason + "）";
+  }), 10);
+}
+
+///////////////////////////////
+// 2.4) 批量导入：长文分段抽词 / 单词列表
+///////////////////////////////
+
+// 超过该长度视为长文：按段落切块分别抽词（单次请求的 max_tokens 有限，整篇发送会被截断）
+var CHUNK_MAX_CHARS = 2000;
+// 单词列表：至少这么多条，且每条都是单词（短语模式下也可以是短语）
+var WORD_LIST_MIN_ITEMS = 5;
+/** 长文 / 单词列表一次最多写入的单词数（bulk_max_words，默认 500） */
+function bulkMaxWords() {
+  return setting("bulk_max_words");
+}
+
+// 单词列表中的短语条目：不超过这么多词，且不以代词/冠词/限定词开头（否则更像逗号分隔的句子）
+var WORD_LIST_PHRASE_MAX_WORDS = 4;
+var CLAUSE_OPENERS = {
+  i: 1, you: 1, he: 1, she: 1, it: 1, we: 1, they: 1, the: 1, a: 1, an: 1, "this": 1, that: 1, these: 1, those: 1,
+  my: 1, your: 1, his: 1, her: 1, its: 1, our: 1, their: 1, there: 1, nobody: 1, somebody: 1, someone: 1, everyone: 1, everybody: 1
+};
+
+/**
+ * isListPhrase：单词列表中的短语条目
+ * - 内置短语表中的短语（按原形）；
+ * - 或 2～4 个词、不以代词/冠词开头、首词为原形（"the dog barked twice" / "went home early" 是句子成分，不算）
+ */
+function isListPhrase(t) {
+  if (!isLikelyEnglishPhrase(t)) return false;
+  if ((LEXICON.PHRASES || []).indexOf(normalizeTerm(t)) >= 0) return true;
+  var tokens = normalizeWord(t).split(" ");
+  return tokens.length <= WORD_LIST_PHRASE_MAX_WORDS && !CLAUSE_OPENERS[tokens[0]] && normalizeTerm(tokens[0]) === tokens[0];
+}
+
+/**
+ * parseWordList：识别“单词列表”输入（逐行，或逗号/分号/制表符分隔；允许 1. / - 等列表前缀）
+ * - 短语模式下条目也可以是短语（isListPhrase），逗号分隔的普通句子不会被当作列表
+ * @returns {string[]|null}  不是单词列表时返回 null
+ */
+function parseWordList(text, allowPhrases) {
+  var items = String(text || "").split(/[\n,;，；、\t]+/);
+  var words = [];
+  for (var i = 0; i < items.length; i++) {
+    var t = items[i].replace(/^\s*(?:\d+[.)、]|[-*•])\s*/, "").trim();
+    if (!t) continue;
+    if (allowPhrases) t = t.replace(/\s+/g, " ");
+    if (!isLikelyEnglishWord(t) && !(allowPhrases && isListPhrase(t))) return null;
+    words.push(normalizeTerm(t));
+  }
+  return words.length >= WORD_LIST_MIN_ITEMS ? uniqueStable(words) : null;
+}
+
+/**
+ * splitIntoChunks：按段落把长文切成不超过 maxChars 的块
+ * - 相邻短段落合并到同一块；超长段落再按句子切分
+ */
+function splitIntoChunks(text, maxChars) {
+  var paragraphs = String(text || "").replace(/\r\n?/g, "\n").split(/\n+/);
+  var pieces = [];
+  for (var i = 0; i < paragraphs.length; i++) {
+    var p = paragraphs[i].trim();
+    if (!p) continue;
+    if (p.length <= maxChars) {
+      pieces.push(p);
+      continue;
+    }
+    var sentences = splitSentences(p);
+    for (var j = 0; j < sentences.length; j++) {
+      // 极端情况：单句超长 → 硬切
+      for (var k = 0; k < sentences[j].length; k += maxChars) pieces.push(sentences[j].slice(k, k + maxChars));
+    }
+  }
+  var chunks = [];
+  var cur = "";
+  for (var n = 0; n < pieces.length; n++) {
+    if (cur && cur.length + 1 + pieces[n].length > maxChars) {
+      chunks.push(cur);
+      cur = "";
+    }
+    cur = cur ? (cur + "\n" + pieces[n]) : pieces[n];
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+/**
+ * mergeRankedLists：合并各块的排序结果并重新排序
+ * - 每个词取其在各块中最好的相对名次（名次 / 该块词数），出现在多个块中的词略微前移；
+ * - 大小写不敏感去重，保留首次出现的写法。
+ */
+function mergeRankedLists(lists, limit) {
+  var byKey = Object.create(null);
+  var order = [];
+  for (var i = 0; i < lists.length; i++) {
+    var list = lists[i] || [];
+    for (var j = 0; j < list.length; j++) {
+      var key = String(list[j]).toLowerCase();
+      var rel = j / Math.max(1, list.length);
+      var e = byKey[key];
+      if (!e) {
+        e = byKey[key] = { word: list[j], best: rel, hits: 0, first: order.length };
+        order.push(e);
+      }
+      e.best = Math.min(e.best, rel);
+      e.hits++;
+    }
+  }
+  order.sort(function (a, b) {
+    var sa = a.best - 0.1 * (a.hits - 1);
+    var sb = b.best - 0.1 * (b.hits - 1);
+    return (sa - sb) || (a.first - b.first);
+  });
+  return order.slice(0, limit).map(function (e) { return e.word; });
+}
+
+/**
+ * extractWordsInChunks：长文分段调用 LLM 抽词，合并后重新排序
+ * - 串行请求，每段通过 onStream 报告进度；部分段失败时用其余段的结果（failedChunks 记录失败数）；
+ * - 全部失败时返回第一段的失败信息（供 makeLLMDebugMessage 展示）。
+ */
+function extractWordsInChunks(query, text, allowPhrases) {
+  var chunks = splitIntoChunks(text, CHUNK_MAX_CHARS);
+  var lists = [];
+  var items = {};
+  var skipped = [];
+  var firstOk = null;
+  var firstFail = null;
+  var failed = 0;
+  var attempts = 0;
+  var started = Date.now();
+  var idx = 0;
+  function next() {
+    if (idx >= chunks.length) {
+      if (!firstOk) return Promise.resolve(firstFail);
+      var info = Object.assign({}, firstOk);
+      info.mode = "chunked";
+      info.chunks = chunks.length;
+      info.failedChunks = failed;
+      info.attempts = attempts;
+      info.durationMs = Date.now() - started;
+      info.words = mergeRankedLists(lists, bulkMaxWords());
+      info.items = items;
+      info.skipped = skipped;
+      return Promise.resolve(info);
+    }
+    var i = idx++;
+    streamProgress(query, "Agent: 长文分段抽词 " + (i + 1) + "/" + chunks.length + "…");
+    return extractWordsByLLM(chunks[i], query.cancelSignal, allowPhrases).then(function (info) {
+      attempts += Number(info.attempts) || 0;
+      if (info.ok) {
+        if (!firstOk) firstOk = info;
+        lists.push(info.words || []);
+        for (var w in info.items || {}) {
+          if (!items[w]) items[w] = info.items[w];
+        }
+        skipped = skipped.concat(info.skipped || []);
       } else {
-        wordsToAdd = [];
+        failed++;
+        if (!firstFail) firstFail = info;
+      }
+      return next();
+    });
+  }
+  return next();
+}
+
+/**
+ * extractWordsForInput：按输入形态选择抽词方式
+ *  - 单词列表 → 直接使用（mode="list"，不经 LLM 筛选）；
+ *  - 未配置 LLM → 本地离线抽词（长文上限放宽到 bulk_max_words）；
+ *  - 候选词全部已掌握/属于所选常用词范围 → 不调用 LLM（mode="prefiltered"，filter 为过滤明细）；
+ *  - 长文 → 分段抽词（mode="chunked"）；其余 → 单次 LLM 抽词。
+ */
+function extractWordsForInput(query, text, allowPhrases) {
+  var list = parseWordList(text, allowPhrases);
+  if (list) return Promise.resolve({ ok: true, mode: "list", statusCode: 0, words: list.slice(0, bulkMaxWords()) });
+  var isLong = String(text || "").length > CHUNK_MAX_CHARS;
+  if (useLocalExtraction()) return Promise.resolve(extractWordsLocally(text, allowPhrases, isLong ? bulkMaxWords() : undefined));
+  var pre = hasUnfilteredCandidates(text, allowPhrases);
+  if (!pre.pass) return Promise.resolve({ ok: true, mode: "prefiltered", statusCode: 0, words: [], filter: pre.filter });
+  if (isLong) return extractWordsInChunks(query, text, allowPhrases);
+  streamProgress(query, "Agent: AI 抽词中…");
+  return extractWordsByLLM(text, query.cancelSignal, allowPhrases);
+}
+
+///////////////////////////////
+// 2.5) 单词语境（来源例句 + 语境释义）
+///////////////////////////////
+
+// 单次查询最多为多少个单词取释义（控制 token / 请求数）
+var GLOSS_MAX_WORDS = 30;
+
+/** 按句末标点/换行切句（保留原文，去首尾空白） */
+function splitSentences(text) {
+  var s = String(text || "").replace(/\r\n?/g, "\n");
+  var parts = s.match(/[^.!?;。！？；\n]+[.!?;。！？；]*/g) || [];
+  var out = [];
+  for (var i = 0; i < parts.length; i++) {
+    var t = parts[i].trim();
+    if (t) out.push(t);
+  }
+  return out;
+}
+
+/**
+ * findContextSentence：找出单词/短语（或其任一屈折形式）首次出现的句子
+ * - 逐词比较规范化后的原形，running / ran 都能对应到 run、colours 对应到 color；短语按连续原形序列匹配
+ */
+function findContextSentence(sentences, word) {
+  var target = normalizeWord(word).split(/\s+/);
+  var targetLemma = target.map(function (t) { return normalizeTerm(t); });
+  for (var i = 0; i < sentences.length; i++) {
+    var tokens = (sentences[i].match(/[A-Za-z](?:[A-Za-z'-]*[A-Za-z])?/g) || []).map(normalizeWord);
+    for (var j = 0; j + target.length <= tokens.length; j++) {
+      var hit = true;
+      for (var k = 0; k < target.length; k++) {
+        var t = tokens[j + k];
+        if (t !== target[k] && normalizeTerm(t) !== targetLemma[k]) { hit = false; break; }
+      }
+      if (hit) return sentences[i];
+    }
+  }
+  return "";
+}
+
+/**
+ * buildWordContexts：为每个单词定位来源句子
+ * @returns {Object<string, {sentence:string, gloss:string}>}  key 为单词原样
+ */
+function buildWordContexts(text, words) {
+  var sentences = splitSentences(text);
+  var out = {};
+  for (var i = 0; i < words.length; i++) {
+    out[words[i]] = { sentence: findContextSentence(sentences, words[i]), gloss: "" };
+  }
+  return out;
+}
+
+/**
+ * lookupSource：语境释义 / 释义卡片的来源（两者共用同一取值规则）
+ * - off / dict 原样；llm 在未配置 LLM 时为 off；auto 有 LLM 用 LLM，否则查有道词典
+ */
+function lookupSource(name) {
+  var v = setting(name);
+  if (v === "off" || v === "dict") return v;
+  if (v === "llm") return useLocalExtraction() ? "off" : "llm";
+  return useLocalExtraction() ? "dict" : "llm";
+}
+
+/** 语境释义来源（context_gloss） */
+function glossSource() {
+  return lookupSource("context_gloss");
+}
+
+/** 释义预览行（无释义时为空串）；skip 中的单词已展示释义卡片，不再重复 */
+function renderGlosses(contexts, words, skip) {
+  var parts = [];
+  for (var i = 0; i < words.length; i++) {
+    var c = contexts[words[i]];
+    if (skip && skip[words[i]]) continue;
+    if (c && c.gloss) parts.push(words[i] + " " + c.gloss);
+  }
+  if (!parts.length) return "";
+  var more = parts.length > 10 ? (" … 等 " + (parts.length - 10) + " 个") : "";
+  return "Gloss: " + parts.slice(0, 10).join("；") + more;
+}
+
+///////////////////////////////
+// 2.6) 单词释义卡片（音标 / 词性 / 中英释义）
+///////////////////////////////
+
+// 有道词典 jsonapi（GET，无需登录）：ec 为英汉释义与音标，ee 为英英释义
+var YOUDAO_DICT_URL = "https://dict.youdao.com/jsonapi?jsonversion=2&client=mobile&q=";
+// 单次查询最多为多少个已加入的单词展示释义卡片
+var DEFINITION_MAX_WORDS = 10;
+// 有道词典释义并发请求的总时限（毫秒）：超时未返回的单词不展示释义
+var LOOKUP_DEADLINE_MS = 6000;
+
+/** 释义卡片来源（word_definition，取值规则同 lookupSource） */
+function definitionSource() {
+  return lookupSource("word_definition");
+}
+
+/** 校验并规整一条释义：{ phonetic, pos, zh, en }，zh 与 en 至少有一个，否则返回 null */
+function cleanDefinition(d) {
+  if (!d || typeof d !== "object") return null;
+  function str(x) { return typeof x === "string" ? x.trim() : ""; }
+  var out = { phonetic: str(d.phonetic).replace(/^[\/\[]+|[\/\]]+$/g, ""), pos: str(d.pos), zh: str(d.zh), en: str(d.en) };
+  return (out.zh || out.en) ? out : null;
+}
+
+/**
+ * fetchEntriesByLLM：一次 LLM 请求同时给出每个单词的释义卡片与语境释义
+ * @returns {Promise<Object<string, {definition:object|null, gloss:string}>>}
+ */
+function fetchEntriesByLLM(words, contexts, cancelSignal) {
+  var items = words.map(function (w) { return { word: w, sentence: contexts && contexts[w] ? contexts[w].sentence : "" }; });
+  var system =
+    "You are a concise English–Chinese learner's dictionary.\n" +
+    "For each item give the entry of the WORD as used in its SENTENCE (or its most common sense if no sentence):\n" +
+    "  phonetic: US IPA without slashes (\"\" for multi-word phrases), pos: abbreviation such as n. / v. / adj. / adv. / phr.,\n" +
+    "  zh: Simplified Chinese definition (≤ 16 characters), en: short English definition (≤ 12 words),\n" +
+    "  gloss: Simplified Chinese gloss of the WORD exactly as used in its SENTENCE (≤ 12 characters).\n" +
+    "OUTPUT STRICT JSON object only, mapping each word exactly as given to {\"phonetic\",\"pos\",\"zh\",\"en\",\"gloss\"}. No code fences.";
+  return callLLM({ system: system, user: JSON.stringify(items), maxTokens: 2048, json: true }, cancelSignal).then(function (info) {
+    var map = {};
+    if (!info.ok) return map;
+    var parsed = null;
+    try { parsed = JSON.parse(stripCodeFence(info.text)); } catch (_) {}
+    for (var i = 0; i < words.length; i++) {
+      var raw = parsed && parsed[words[i]];
+      var d = cleanDefinition(raw);
+      var gloss = raw && typeof raw.gloss === "string" ? raw.gloss.trim() : "";
+      if (d || gloss) map[words[i]] = { definition: d, gloss: gloss || (d ? d.zh : "") };
+    }
+    return map;
+  });
+}
+
+/** 有道 jsonapi 返回值 → 释义（取第一条英汉释义与第一条英英释义） */
+function parseYoudaoDefinition(data) {
+  var ec = data && data.ec && data.ec.word && data.ec.word[0];
+  if (!ec) return null;
+  var first = function (x) { return Array.isArray(x) ? String(x[0] || "") : String(x || ""); };
+  var tr = ec.trs && ec.trs[0] && ec.trs[0].tr && ec.trs[0].tr[0];
+  var line = tr && tr.l ? first(tr.l.i) : "";
+  var m = /^([a-z]+\.)\s*(.*)$/i.exec(line);
+  var eeTrs = data.ee && data.ee.word && data.ee.word.trs;
+  var eeTr = eeTrs && eeTrs[0] && eeTrs[0].tr && eeTrs[0].tr[0];
+  return cleanDefinition({
+    phonetic: ec.usphone || ec.ukphone || ec.phone || "",
+    pos: m ? m[1] : (eeTrs && eeTrs[0] && eeTrs[0].pos) || "",
+    zh: m ? m[2] : line,
+    en: eeTr && eeTr.l ? first(eeTr.l.i) : ""
+  });
+}
+
+/**
+ * fetchEntriesByDict：有道 jsonapi 逐词查询（串行；失败的单词留空），语境释义取其中的英汉释义
+ * @returns {Promise<Object<string, {definition:object, gloss:string}>>}
+ */
+function fetchEntriesByDict(words, cancelSignal) {
+  var map = {};
+  var all = Promise.all(words.map(function (w) {
+    return requestWithRetry({
+      method: "GET",
+      url: YOUDAO_DICT_URL + encodeURIComponent(w),
+      header: { "User-Agent": "Mozilla/5.0", "Accept": "application/json" },
+      stage: "lookup",
+      retries: 0, // 释义只是锦上添花，不为它排队等待
+      cancelSignal: cancelSignal
+    }).then(function (res) {
+      var d = parseYoudaoDefinition(res && res.data);
+      if (d) map[w] = { definition: d, gloss: d.zh };
+    }, function () {});
+  }));
+  // 各单词并发请求，整体不超过 LOOKUP_DEADLINE_MS：到时只返回已取到的
+  return withTimeout(all, LOOKUP_DEADLINE_MS, null).then(function () { return map; });
+}
+
+/**
+ * fetchWordLookups：语境释义与释义卡片一起获取，同一来源只请求一次
+ * - 语境释义：尚无释义的前 GLOSS_MAX_WORDS 个单词，原地写入 contexts[w].gloss（contexts 为空时不取）；
+ * - 释义卡片：前 DEFINITION_MAX_WORDS 个单词，本地历史中已有的直接复用，新取到的写回 history（调用方负责保存）；
+ * - 任何失败都只是不展示释义，不影响写入
+ * @returns {Promise<Object<string, {phonetic:string, pos:string, zh:string, en:string}>>}  释义卡片
+ */
+function fetchWordLookups(history, words, contexts, cancelSignal) {
+  var glossSrc = contexts ? glossSource() : "off";
+  var defSrc = definitionSource();
+  var glossWords = glossSrc === "off" ? [] : words.filter(function (w) { return contexts[w] && !contexts[w].gloss; }).slice(0, GLOSS_MAX_WORDS);
+  var defs = {};
+  var defWords = [];
+  if (defSrc !== "off") {
+    var head = words.slice(0, DEFINITION_MAX_WORDS);
+    for (var i = 0; i < head.length; i++) {
+      var e = history && historyEntry(history, head[i], false);
+      if (e && e.definition) defs[head[i]] = e.definition;
+      else defWords.push(head[i]);
+    }
+  }
+  var need = { llm: [], dict: [] };
+  if (glossSrc !== "off") need[glossSrc] = glossWords.slice();
+  if (defSrc !== "off") need[defSrc] = uniqueStable(need[defSrc].concat(defWords));
+  function settle(p) {
+    return p.then(null, function () { return {}; });
+  }
+  return settle(need.llm.length ? fetchEntriesByLLM(need.llm, contexts, cancelSignal) : Promise.resolve({})).then(function (llm) {
+    return settle(need.dict.length ? fetchEntriesByDict(need.dict, cancelSignal) : Promise.resolve({})).then(function (dict) {
+      var got = { llm: llm, dict: dict };
+      for (var g = 0; g < glossWords.length; g++) {
+        var x = got[glossSrc][glossWords[g]];
+        if (x && x.gloss && contexts[glossWords[g]]) contexts[glossWords[g]].gloss = x.gloss;
+      }
+      for (var d = 0; d < defWords.length; d++) {
+        var y = got[defSrc][defWords[d]];
+        if (!y || !y.definition) continue;
+        defs[defWords[d]] = y.definition;
+        var h = history && historyEntry(history, defWords[d], true);
+        if (h) h.definition = y.definition;
+      }
+      return defs;
+    });
+  });
+}
+
+/** 释义卡片：每个单词一行，如 "ubiquitous /juːˈbɪkwɪtəs/ adj. 无处不在的 — present everywhere" */
+function renderDefinitions(defs, words) {
+  var lines = [];
+  for (var i = 0; i < words.length; i++) {
+    var d = defs && defs[words[i]];
+    if (!d) continue;
+    lines.push(words[i] + (d.phonetic ? (" /" + d.phonetic + "/") : "") + (d.pos ? (" " + d.pos) : "") +
+               (d.zh ? (" " + d.zh) : "") + (d.en ? (" — " + d.en) : ""));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * definitionToDict：单个单词的释义 → Bob 词典结果（toDict），在翻译窗口中以词典样式展示
+ */
+function definitionToDict(word, d) {
+  var dict = { word: word, phonetics: [], parts: [], additions: [] };
+  if (d.phonetic) dict.phonetics.push({ type: "us", value: d.phonetic });
+  if (d.zh) dict.parts.push({ part: d.pos || "", means: d.zh.split(/[；;]\s*/) });
+  if (d.en) dict.additions.push({ name: "English", value: d.en });
+  return dict;
+}
+
+///////////////////////////////
+// 3) 写入三个词典（全部 request+timeout+cancel）
+///////////////////////////////
+
+/**
+ * 单词写入结果（每个单词一个）：依据 HTTP 状态码与响应体归类，不再把失败当成功
+ *  - added：已写入；duplicate：服务端已存在；
+ *  - auth-expired：Cookie/Token 失效，需要用户重新填写；
+ *  - rate-limited / network-error / timeout：暂时性失败，记入离线重试队列；
+ *  - book-missing：欧路单词本不存在（已被删除/改名）；
+ *  - unknown：其余失败（附服务端原始提示）。
+ */
+var WRITE_OUTCOMES = {
+  "added":         "成功",
+  "duplicate":     "已存在",
+  "auth-expired":  "认证失效",
+  "rate-limited":  "被限流",
+  "network-error": "网络错误",
+  "timeout":       "超时",
+  "book-missing":  "单词本不存在",
+  "unknown":       "失败"
+};
+
+/** 暂时性失败：值得稍后自动重试 */
+function isTransientOutcome(status) {
+  return status === "rate-limited" || status === "network-error" || status === "timeout";
+}
+
+/** 网络层异常（reject / handler 中的 error）→ timeout 或 network-error */
+function outcomeFromError(err) {
+  var msg = errorToMessage(err);
+  if (/time(?:d)?\s?out|超时/i.test(msg)) return { status: "timeout", message: "请求超时：" + msg };
+  return { status: "network-error", message: "网络错误：" + msg };
+}
+
+/** 从响应体中取服务端提示文案 */
+function serverMessage(data) {
+  if (!data || typeof data !== "object") return "";
+  var m = data.message || data.msg || data.error_description || data.detail || data.error || "";
+  // OpenAI / Anthropic 风格：{ error: { message } }
+  if (m && typeof m === "object" && typeof m.message === "string") return m.message;
+  return typeof m === "string" ? m : safeJSONStringify(m);
+}
+
+/**
+ * outcomeFromHttp：按服务解析一次写入请求的响应
+ * - 通用：401/403 → auth-expired；429 → rate-limited；408/504 → timeout；502/503 → network-error；
+ * - 有道：HTTP 200 + code=0 才算写入；返回登录页（非 JSON）视为 Cookie 失效；
+ * - 欧路：201（批量导入）/200（提示已存在时为 duplicate）；404 或提示不存在 → book-missing；扇贝：200；
+ * - 成功状态优先；非成功响应的提示为“已存在/已添加”时记为 duplicate。
+ * @returns {{status:string, message:string}}
+ */
+function outcomeFromHttp(dictType, res) {
+  if (res && res.__error) return outcomeFromError(res.__error);
+  if (res && res.error && !(res.response && res.response.statusCode)) return outcomeFromError(res.error);
+  var sc = (res && res.response && res.response.statusCode) || 0;
+  var data = res && res.data;
+  var hint = serverMessage(data);
+  var svc = WORDBOOK_SERVICES[String(dictType)] || { name: "" };
+  var detail = "（statusCode=" + String(sc || "n/a") + (hint ? ("，" + hint) : "") + "）";
+
+  if (sc === 401 || sc === 403) return { status: "auth-expired", message: svc.name + "认证失效" + detail };
+  if (sc === 429) return { status: "rate-limited", message: svc.name + "请求过于频繁" + detail };
+  if (sc === 408 || sc === 504) return { status: "timeout", message: svc.name + "响应超时" + detail };
+  if (sc === 502 || sc === 503) return { status: "network-error", message: svc.name + "服务暂不可用" + detail };
+  // 成功状态先于提示文案判断：成功提示里的「已添加到生词本」不是重复
+  var duplicateHint = /已存在|已添加|exist|duplicate/i.test(hint);
+
+  if (String(dictType) === "1") {
+    if (sc === 200 && data && typeof data === "object") {
+      if (data.code === 0) return { status: "added", message: "" };
+      if (duplicateHint) return { status: "duplicate", message: hint };
+      if (/登录|login|cookie|auth/i.test(hint)) return { status: "auth-expired", message: "有道认证失效" + detail };
+      return { status: "unknown", message: "有道返回 code=" + String(data.code) + (hint ? ("：" + hint) : "") };
+    }
+    // 未登录时接口会被重定向到登录页（HTML）
+    if (sc === 200 || (sc >= 300 && sc < 400)) return { status: "auth-expired", message: "有道认证失效（返回了登录页）" };
+  }
+  // 欧路：201 为新写入；200 且明确提示已存在时为重复，其余 200 视为写入成功
+  if (String(dictType) === "2" && sc === 201) return { status: "added", message: hint };
+  if (String(dictType) === "2" && sc === 200) {
+    return /已存在|exist|duplicate/i.test(hint) ? { status: "duplicate", message: hint } : { status: "added", message: hint };
+  }
+  if (String(dictType) === "2" && (sc === 404 || /不存在|not (?:exist|found)/i.test(hint))) {
+    return { status: "book-missing", message: "欧路单词本不存在" + detail };
+  }
+  if (String(dictType) === "3" && sc === 200) return { status: "added", message: "" };
+  if (duplicateHint) return { status: "duplicate", message: hint };
+  return { status: "unknown", message: svc.name + "写入失败" + detail };
+}
+
+/**
+ * writePayload：把结构化结果转成写入层回调的 payload（兼容 {result}|{error}）
+ * - 暂时性失败记入离线重试队列（queueFailedWrite），其余原样带上 outcome 供上层汇总。
+ */
+function writePayload(query, dictType, words, bookId, outcome) {
+  var preview = joinPreview(words, 10);
+  var payload;
+  if (isTransientOutcome(outcome.status)) {
+    payload = queueFailedWrite(query, dictType, words, bookId, outcome.message);
+    // 重试队列保存失败 → 按失败汇报（原因中说明未能保留）
+    if (!payload.__queued) outcome = { status: outcome.status, message: pickMessageFromPluginPayload(payload) || outcome.message };
+  } else if (outcome.status === "added") {
+    payload = { result: buildResult("添加单词成功：" + preview) };
+  } else if (outcome.status === "duplicate") {
+    payload = { result: buildResult("单词已在单词本：" + preview) };
+  } else {
+    payload = { error: buildError(outcome.message) };
+  }
+  payload.outcome = outcome;
+  return payload;
+}
+
+/** 入口分发 */
+function addWord(query, dictType, authorization, word, cb) {
+  if (dictType == 1) return addWordYoudao(query, authorization, word, cb);
+  if (dictType == 2) return addWordEudic(query, authorization, word, setting("wordbook_id"), cb);
+  if (dictType == 3) return addWordShanbay(query, authorization, word, cb);
+  if (dictType == 4) {
+    return addWordsBatchAnki(query, [word], ankiContextsFromHistory([word])).then(function (r) {
+      if (r.success.length) cb({ outcome: { status: "added", message: "" }, result: buildResult("添加单词成功：" + word) });
+      else if (r.duplicate.length) cb({ outcome: { status: "duplicate", message: "" }, result: buildResult("单词已在单词本：" + word) });
+      else if (r.queued.length) cb({ __queued: true, outcome: { status: "network-error", message: "" }, result: buildResult("添加失败（网络/超时），已加入离线重试队列：" + word) });
+      else cb({ outcome: { status: (r.failed[0] && r.failed[0].status) || "unknown", message: "" }, error: buildError((r.failed[0] && r.failed[0].reason) || ("Anki 写入失败：" + word)) });
+    });
+  }
+  cb({ error: buildError("未知的词典类型") });
+}
+
+/** 有道（GET）；成功与失败各走 then 的一个分支，cb 自身抛错时不会被再次调用 */
+function addWordYoudao(query, cookie, word, cb) {
+  return requestWithRetry({
+    method: "GET",
+    url: YOUDAO_ADD_WORD_URL + encodeURIComponent(word),
+    header: {
+      "Cookie": cookie,
+      "Host": "dict.youdao.com",
+      "Accept": "application/json, text/plain, */*",
+      "Referer": "https://dict.youdao.com",
+      "User-Agent": "Mozilla/5.0"
+    },
+    stage: "write",
+    cancelSignal: query.cancelSignal
+  }).then(function (res) {
+    cb(writePayload(query, "1", [word], "", outcomeFromHttp("1", res)));
+  }, function (err) {
+    // 写入层异常（网络/超时）→ 记入离线重试队列，避免 UI 悬挂且单词不丢
+    cb(writePayload(query, "1", [word], "", outcomeFromError(err)));
+  });
+}
+
+/** 欧路（POST） */
+function addWordEudic(query, token, word, wordbook_id, cb) {
+  return requestWithRetry({
+    method: "POST",
+    url: EUDIC_ADD_WORD_URL,
+    header: {
+      "Authorization": token,
+      "Content-Type": "application/json",
+      "User-Agent": "Mozilla/5.0"
+    },
+    body: { id: wordbook_id, language: "en", words: [word] },
+    stage: "write",
+    cancelSignal: query.cancelSignal
+  }).then(function (res) {
+    cb(writePayload(query, "2", [word], wordbook_id, outcomeFromHttp("2", res)));
+  }, function (err) {
+    cb(writePayload(query, "2", [word], wordbook_id, outcomeFromError(err)));
+  });
+}
+/**
+ * addWordsBatchEudic：欧路（Frdic）批量添加（单次请求）
+ * - 严格遵循官方 API：POST /studylist/words
+ * - 请求体：{ language:"en", category_id:"<id>", words:["w1","w2",...] }
+ * - 期望 201；重复单词由服务端去重（/sync 同步过的单词在写入前已按本地索引跳过）；整批共享同一个 outcome
+ */
+function addWordsBatchEudic(query, token, words, category_id, cb) {
+  return requestWithRetry({
+    method: "POST",
+    url: EUDIC_ADD_WORD_URL,
+    header: {
+      "Authorization": token,           // 欧路开放平台 Token
+      "Content-Type": "application/json",
+      "User-Agent": "Mozilla/5.0"
+    },
+    body: { category_id: category_id, language: "en", words: words },
+    stage: "write",
+    cancelSignal: query.cancelSignal
+  }).then(function (res) {
+    cb(writePayload(query, "2", words || [], category_id, outcomeFromHttp("2", res)));
+  }, function (err) {
+    // 兜底：避免 UI 悬挂；整批记入离线重试队列
+    cb(writePayload(query, "2", words || [], category_id, outcomeFromError(err)));
+  });
+}
+/** 扇贝（POST） */
+function addWordShanbay(query, token, word, cb) {
+  addWordsBatchShanbay(query, token, [word], cb);
+}
+/**
+ * addWordsBatchShanbay：扇贝批量上传（words_bulk_upload 本身接受单词数组；整批共享同一个 outcome）
+ */
+function addWordsBatchShanbay(query, token, words, cb) {
+  return requestWithRetry({
+    method: "POST",
+    url: SHANBAY_ADD_WORD_URL,
+    header: {
+      "Cookie": "auth_token=" + String(token),
+      "Content-Type": "application/json",
+      "User-Agent": "Mozilla/5.0"
+    },
+    body: { business_id: 6, words: words },
+    stage: "write",
+    cancelSignal: query.cancelSignal
+  }).then(function (res) {
+    cb(writePayload(query, "3", words, "", outcomeFromHttp("3", res)));
+  }, function (err) {
+    cb(writePayload(query, "3", words, "", outcomeFromError(err)));
+  });
+}
+
+///////////////////////////////
+// 3.4) Anki（AnkiConnect addNotes / 可导入的 TSV 文件）
+///////////////////////////////
+
+// AnkiConnect 默认地址（Anki 桌面端插件 2055492159）
+var ANKI_CONNECT_DEFAULT_URL = "http://127.0.0.1:8765";
+// TSV 模式写入的文件（Anki「文件 → 导入」可直接识别文件头）
+var ANKI_TSV_PATH = "$sandbox/anki_wordbook.tsv";
+
+/** 读取 Anki 配置（牌组 / 笔记类型 / 字段映射） */
+function getAnkiConfig() {
+  var fields = String(setting("anki_fields") || "").split(/[,，]/).map(function (x) { return x.trim(); }).filter(function (x) { return !!x; });
+  return {
+    mode: setting("anki_mode"),
+    url: String(setting("anki_connect_url") || ANKI_CONNECT_DEFAULT_URL).replace(/\/+$/, ""),
+    key: String(setting("anki_connect_key") || ""),
+    deck: String(setting("anki_deck") || "Wordbook"),
+    noteType: String(setting("anki_note_type") || "Basic"),
+    // 依次对应：单词, 原形, 例句, 释义；未配置时按 Basic 的 Front/Back 组装
+    fields: fields.length >= 4 ? fields.slice(0, 4) : null
+  };
+}
+
+/** 从本地历史中取单词的例句/释义（重试队列等无上下文的场景） */
+function ankiContextsFromHistory(words) {
+  var h = loadHistory();
+  var out = {};
+  for (var i = 0; i < words.length; i++) {
+    var e = historyEntry(h, words[i], false);
+    out[words[i]] = (e && e.context) ? { sentence: e.context.sentence || "", gloss: e.context.gloss || "" } : { sentence: "", gloss: "" };
+  }
+  return out;
+}
+
+function escapeHTML(s) {
+  return String(s || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/** 例句中加粗目标单词（大小写不敏感，按词边界） */
+function highlightWord(sentence, word) {
+  var html = escapeHTML(sentence);
+  if (!html || !word) return html;
+  var re = new RegExp("\\b(" + String(word).replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "[a-z]*)\\b", "gi");
+  return html.replace(re, "<b>$1</b>");
+}
+
+/**
+ * buildAnkiNoteFields：单词 → Anki 字段
+ * - 自定义字段映射：单词 / 原形 / 例句 / 释义 四个字段；
+ * - 默认（Basic）：Front=单词；Back=原形（若不同）+ 释义 + 例句。
+ */
+function buildAnkiNoteFields(cfg, word, ctx) {
+  var lemma = lemmatize(word);
+  var sentence = highlightWord(ctx && ctx.sentence, word);
+  var gloss = escapeHTML(ctx && ctx.gloss);
+  var fields = {};
+  if (cfg.fields) {
+    fields[cfg.fields[0]] = escapeHTML(word);
+    fields[cfg.fields[1]] = escapeHTML(lemma);
+    fields[cfg.fields[2]] = sentence;
+    fields[cfg.fields[3]] = gloss;
+    return fields;
+  }
+  var back = [];
+  if (lemma && lemma !== normalizeWord(word)) back.push("原形：" + escapeHTML(lemma));
+  if (gloss) back.push(gloss);
+  if (sentence) back.push(sentence);
+  fields.Front = escapeHTML(word);
+  fields.Back = back.join("<br>");
+  return fields;
+}
+
+/** AnkiConnect 调用：{action, version:6, key?, params} → Promise<{result, error}> */
+function ankiConnectInvoke(query, cfg, action, params) {
+  var body = { action: action, version: 6, params: params || {} };
+  if (cfg.key) body.key = cfg.key;
+  return requestWithRetry({
+    method: "POST",
+    url: cfg.url,
+    header: { "Content-Type": "application/json" },
+    body: body,
+    stage: "write",
+    cancelSignal: query && query.cancelSignal
+  }).then(function (res) {
+    if (res && res.__error) throw res.__error;
+    var data = (res && res.data) || {};
+    return { result: data.result, error: data.error || null };
+  });
+}
+
+/** TSV 一格：去掉制表符与换行 */
+function tsvCell(s) {
+  return String(s || "").replace(/[\t\r\n]+/g, " ");
+}
+
+/**
+ * 追加写入 Anki 可导入的 TSV（$file 无追加接口：读出 → 拼接 → 整体写回）
+ * - 文件头声明分隔符/HTML/牌组/笔记类型，Anki 2.1.55+ 导入时自动识别
+ */
+function appendAnkiTSV(cfg, words, contexts) {
+  var head = "#separator:tab\n#html:true\n#deck:" + tsvCell(cfg.deck) + "\n#notetype:" + tsvCell(cfg.noteType) + "\n";
+  var existing = "";
+  try {
+    if ($file.exists(ANKI_TSV_PATH)) existing = ($file.read(ANKI_TSV_PATH) || { toUTF8: function () { return ""; } }).toUTF8() || "";
+  } catch (_) { existing = ""; }
+  var lines = [];
+  for (var i = 0; i < words.length; i++) {
+    var f = buildAnkiNoteFields(cfg, words[i], contexts[words[i]]);
+    var cols = [];
+    for (var k in f) {
+      if (Object.prototype.hasOwnProperty.call(f, k)) cols.push(tsvCell(f[k]));
+    }
+    lines.push(cols.join("\t"));
+  }
+  var text = (existing || head) + lines.join("\n") + "\n";
+  return $file.write({ data: $data.fromUTF8(text), path: ANKI_TSV_PATH });
+}
+
+/**
+ * addWordsBatchAnki：Anki 批量写入（与 writeWordsToTarget 报告结构一致）
+ *  - connect：createDeck（幂等）→ addNotes；result 中为 null 的按 error 文案区分重复 / 字段不匹配；
+ *  - file：追加到 $sandbox/anki_wordbook.tsv；
+ *  - 网络/超时：整批记入离线重试队列。
+ * @param {string} [deck]  指定牌组（#标签路由）；缺省为 anki_deck
+ * @returns {Promise<{success:string[], duplicate:string[], failed:Array<{word:string, reason:string, status:string}>, queued:string[], note:string}>}
+ */
+function addWordsBatchAnki(query, words, contexts, deck) {
+  var cfg = getAnkiConfig();
+  if (deck) cfg.deck = String(deck);
+  contexts = contexts || {};
+  if (cfg.mode === "file") {
+    var ok = false;
+    try { ok = appendAnkiTSV(cfg, words, contexts); } catch (_) { ok = false; }
+    return Promise.resolve(ok
+      ? { success: words.slice(), duplicate: [], failed: [], queued: [], note: "已写入 " + ANKI_TSV_PATH }
+      : { success: [], duplicate: [], failed: words.map(function (w) { return { word: w, reason: "写入 TSV 文件失败", status: "unknown" }; }), queued: [], note: "" });
+  }
+  var notes = words.map(function (w) {
+    return {
+      deckName: cfg.deck,
+      modelName: cfg.noteType,
+      fields: buildAnkiNoteFields(cfg, w, contexts[w]),
+      options: { allowDuplicate: false, duplicateScope: "deck" },
+      tags: ["wordbook"]
+    };
+  });
+  return ankiConnectInvoke(query, cfg, "createDeck", { deck: cfg.deck }).then(function () {
+    return ankiConnectInvoke(query, cfg, "addNotes", { notes: notes });
+  }).then(function (r) {
+    if (r.error && !Array.isArray(r.result)) {
+      // AnkiConnect 配置了 apiKey 而插件未填或填错时返回 "valid api key must be provided"
+      var status = /api ?key/i.test(String(r.error)) ? "auth-expired" : "unknown";
+      return { success: [], duplicate: [], failed: words.map(function (w) { return { word: w, reason: "AnkiConnect：" + r.error, status: status }; }), queued: [], note: "" };
+    }
+    var success = [], duplicate = [], failed = [];
+    // 部分失败时 error 为逐条原因列表（或拼接的字符串）
+    var errs = Array.isArray(r.error) ? r.error : [];
+    for (var i = 0; i < words.length; i++) {
+      if (r.result && r.result[i]) { success.push(words[i]); continue; }
+      var why = String(errs[i] || r.error || "");
+      if (/duplicate/i.test(why)) duplicate.push(words[i]);
+      else failed.push({ word: words[i], reason: why ? ("AnkiConnect：" + why) : "字段与笔记类型不匹配", status: "unknown" });
+    }
+    return { success: success, duplicate: duplicate, failed: failed, queued: [], note: "" };
+  }).catch(function (err) {
+    var payload = queueFailedWrite(query, "4", words, deck || "", err);
+    if (payload.__queued) return { success: [], duplicate: [], failed: [], queued: words.slice(), note: "" };
+    return { success: [], duplicate: [], failed: words.map(function (w) { return { word: w, reason: "AnkiConnect 无法连接：" + errorToMessage(err), status: outcomeFromError(err).status }; }), queued: [], note: "" };
+  });
+}
+
+///////////////////////////////
+// 3.45) 单词本管理（列出 / 新建 / #标签路由）
+///////////////////////////////
+
+// 欧路单词本「名称 → id」缓存，避免每次写入都列一遍单词本
+var BOOKS_STORE = "books";
+
+function eudicHeaders(token) {
+  return {
+    "Authorization": token,
+    "Content-Type": "application/json",
+    "User-Agent": "Mozilla/5.0"
+  };
+}
+
+/**
+ * listEudicBooks：列出欧路英语单词本
+ * @returns {Promise<Array<{id:string, name:string}>>}  token 无效时 reject
+ */
+function listEudicBooks(query, token) {
+  return requestWithRetry({
+    method: "GET",
+    url: EUDIC_BOOK_LIST_URL,
+    header: eudicHeaders(token),
+    stage: "lookup",
+    cancelSignal: query && query.cancelSignal
+  }).then(function (res) {
+    if (res && res.__error) throw res.__error;
+    if (!res || !res.response || res.response.statusCode !== 200) throw new Error("欧路 token 错误或过期。");
+    var data = (res.data && res.data.data) || [];
+    return data.map(function (b) { return { id: String(b.id), name: String(b.name || "") }; });
+  });
+}
+
+/** 扇贝单词书条目中的 id / 名称（列表项把单词书放在 materialbook 下） */
+function shanbayBookOf(o) {
+  var b = (o && o.materialbook) || o || {};
+  return { id: String(b.id || (o && o.materialbook_id) || ""), name: String(b.name || b.title || "") };
+}
+
+/**
+ * listShanbayBooks：列出扇贝账号下的单词书，并标出当前在学的一本
+ * - 当前单词书读取失败不影响列表（current 为空串）
+ * @returns {Promise<{books:Array<{id:string, name:string}>, current:string}>}  auth_token 无效时 reject
+ */
+function listShanbayBooks(query, token) {
+  function get(url) {
+    return requestWithRetry({
+      method: "GET",
+      url: url,
+      header: { "Cookie": "auth_token=" + String(token), "User-Agent": "Mozilla/5.0" },
+      stage: "lookup",
+      cancelSignal: query && query.cancelSignal
+    }).then(function (res) {
+      if (res && res.__error) throw res.__error;
+      var o = outcomeFromHttp("3", res);
+      if (o.status !== "added") throw new Error(o.message);
+      return (res && res.data) || {};
+    });
+  }
+  return get(SHANBAY_BOOK_LIST_URL).then(function (data) {
+    var list = data.objects || data.data || [];
+    var books = list.map(shanbayBookOf).filter(function (b) { return b.id; });
+    return get(SHANBAY_CURRENT_BOOK_URL).then(function (cur) {
+      return shanbayBookOf(cur).id;
+    }, function () {
+      return "";
+    }).then(function (current) {
+      return { books: books, current: current };
+    });
+  });
+}
+
+/**
+ * createEudicBook：新建欧路单词本（POST /studylist/category，期望 201）
+ * @returns {Promise<{id:string, name:string}>}
+ */
+function createEudicBook(query, token, name) {
+  return requestWithRetry({
+    method: "POST",
+    url: EUDIC_BOOK_CREATE_URL,
+    header: eudicHeaders(token),
+    body: { language: "en", name: name },
+    stage: "lookup",
+    cancelSignal: query && query.cancelSignal
+  }).then(function (res) {
+    if (res && res.__error) throw res.__error;
+    var sc = res && res.response && res.response.statusCode;
+    var b = (res && res.data && res.data.data) || {};
+    if ((sc !== 200 && sc !== 201) || !b.id) throw new Error("新建欧路单词本失败（statusCode=" + String(sc || "n/a") + "）");
+    return { id: String(b.id), name: String(b.name || name) };
+  });
+}
+
+/**
+ * ensureEudicBook：按名称找到欧路单词本 id，不存在时新建
+ * - 名称大小写不敏感；结果缓存在 $sandbox/books.json
+ * @returns {Promise<{id:string, name:string, created:boolean}>}
+ */
+function ensureEudicBook(query, token, name) {
+  var key = String(name).toLowerCase();
+  var cache = loadStore(BOOKS_STORE, null) || {};
+  cache.eudic = cache.eudic || {};
+  if (cache.eudic[key]) return Promise.resolve({ id: cache.eudic[key], name: name, created: false });
+  return listEudicBooks(query, token).then(function (books) {
+    var hit = books.filter(function (b) { return b.name.toLowerCase() === key; })[0];
+    if (hit) return { id: hit.id, name: hit.name, created: false };
+    return createEudicBook(query, token, name).then(function (b) {
+      return { id: b.id, name: b.name, created: true };
+    });
+  }).then(function (b) {
+    cache.eudic[key] = b.id;
+    saveStore(BOOKS_STORE, cache);
+    return b;
+  });
+}
+
+/** forgetEudicBook：丢弃缓存的单词本 id（单词本在欧路被删除/改名后，下次按名称重新查找） */
+function forgetEudicBook(name) {
+  var cache = loadStore(BOOKS_STORE, null) || {};
+  var key = String(name).toLowerCase();
+  if (!cache.eudic || !cache.eudic[key]) return;
+  delete cache.eudic[key];
+  saveStore(BOOKS_STORE, cache);
+}
+
+/**
+ * listBooks：列出某个服务的单词本
+ * - 欧路：studylist/category；Anki：deckNames（文件模式仅有配置的牌组）；
+ * - 扇贝：wordsapp/user_material_books（账号下的单词书，只读；添加接口只写入生词本，不能按单词书写入或新建）；
+ * - 有道：添加接口只写入默认生词本，没有可用的单词本列表/新建接口。
+ * @returns {Promise<{books:Array<{id:string, name:string}>, current:string, note:string}>}
+ */
+function listBooks(query, target) {
+  if (target.dictType === "2") {
+    return listEudicBooks(query, target.authorization).then(function (books) {
+      return { books: books, current: String(setting("wordbook_id") || ""), note: "" };
+    });
+  }
+  if (target.dictType === "4") {
+    var cfg = getAnkiConfig();
+    if (cfg.mode === "file") return Promise.resolve({ books: [{ id: cfg.deck, name: cfg.deck }], current: cfg.deck, note: "文件模式：牌组写在 TSV 文件头中" });
+    return ankiConnectInvoke(query, cfg, "deckNames", {}).then(function (r) {
+      if (r.error) throw new Error("AnkiConnect：" + r.error);
+      return { books: (r.result || []).map(function (d) { return { id: String(d), name: String(d) }; }), current: cfg.deck, note: "" };
+    });
+  }
+  if (target.dictType === "3") {
+    return listShanbayBooks(query, target.authorization).then(function (r) {
+      return { books: r.books, current: r.current, note: "单词书（只读）：单词写入生词本，不能按单词书写入或新建" };
+    });
+  }
+  return Promise.resolve({ books: [], current: "", note: "仅支持默认生词本（接口不提供单词本列表与新建）" });
+}
+
+/**
+ * parseBookTag：识别开头的 #标签，把本次查询路由到同名单词本
+ * - "#toefl ubiquitous" → { book:"toefl", text:"ubiquitous" }
+ * - 无标签时 book 为空串，text 原样返回
+ */
+function parseBookTag(text) {
+  var m = /^\s*#([^\s#]+)\s+([\s\S]*)$/.exec(String(text || ""));
+  if (!m) return { book: "", text: String(text || "") };
+  return { book: m[1], text: m[2] };
+}
+
+/**
+ * resolveTargetBooks：为每个写入目标确定本次写入的单词本
+ * - 欧路：#标签 → 按名称查找/新建；否则 wordbook_id；再否则 wordbook_name（查找/新建）；
+ * - Anki：#标签作为牌组名（createDeck 幂等）；
+ * - 有道/扇贝：不支持多单词本，带标签时在报告中提示。
+ * 结果写在 target.bookId / target.bookNote（欧路按名称解析时另记 target.bookName）；欧路查找/新建失败时写 target.bookError。
+ * @returns {Promise<Array<object>>}
+ */
+function resolveTargetBooks(query, targets, bookName) {
+  var idx = 0;
+  function next() {
+    if (idx >= targets.length) return Promise.resolve(targets);
+    var t = targets[idx++];
+    if (t.dictType === "4") {
+      if (bookName) {
+        t.bookId = bookName;
+        t.bookNote = "牌组：" + bookName;
+      }
+      return next();
+    }
+    if (t.dictType !== "2") {
+      if (bookName) t.bookNote = "不支持单词本路由，已写入默认生词本";
+      return next();
+    }
+    var name = bookName || (setting("wordbook_id") ? "" : String(setting("wordbook_name") || "").trim());
+    if (!name) {
+      t.bookId = String(setting("wordbook_id") || "");
+      return next();
+    }
+    return ensureEudicBook(query, t.authorization, name).then(function (b) {
+      t.bookId = b.id;
+      t.bookName = name;
+      t.bookNote = (b.created ? "已新建单词本：" : "单词本：") + b.name;
+    }, function (err) {
+      t.bookError = "单词本「" + name + "」不可用：" + errorToMessage(err);
+    }).then(next);
+  }
+  return next();
+}
+
+/**
+ * /books 命令：单词本管理
+ *  - /books              列出各目标服务的单词本（* 为当前使用）
+ *  - /books create 名称   在欧路新建单词本（Anki 新建牌组）
+ */
+function handleBooksCommand(query, args) {
+  var targets = resolveWriteTargets().filter(function (t) { return !isMissingCredential(t); });
+  if (!targets.length) return Promise.resolve({ error: buildError("「认证信息」缺失") });
+  var sub = String(args[0] || "").toLowerCase();
+
+  if (sub === "create") {
+    var name = args.slice(1).join(" ").trim();
+    if (!name) return Promise.resolve({ error: buildError("用法：/books create 单词本名称") });
+    var lines = [];
+    var idx = 0;
+    var next = function () {
+      if (idx >= targets.length) return Promise.resolve({ result: buildResult(lines.join("\n")) });
+      var t = targets[idx++];
+      var p;
+      if (t.dictType === "2") {
+        p = ensureEudicBook(query, t.authorization, name).then(function (b) {
+          return (b.created ? "已新建" : "已存在") + "：" + b.name + "（id=" + b.id + "）";
+        });
+      } else if (t.dictType === "4" && getAnkiConfig().mode !== "file") {
+        p = ankiConnectInvoke(query, getAnkiConfig(), "createDeck", { deck: name }).then(function (r) {
+          if (r.error) throw new Error("AnkiConnect：" + r.error);
+          return "牌组已就绪：" + name;
+        });
+      } else {
+        p = Promise.resolve("不支持新建单词本");
+      }
+      return p.then(function (line) {
+        lines.push("[" + t.name + "] " + line);
+      }, function (err) {
+        lines.push("[" + t.name + "] 失败：" + errorToMessage(err));
+      }).then(next);
+    };
+    return next();
+  }
+
+  var out = [];
+  var i = 0;
+  function list() {
+    if (i >= targets.length) {
+      out.push("在查询前加 #名称（如：#toefl ubiquitous）可写入指定单词本，欧路不存在时自动新建");
+      return Promise.resolve({ result: buildResult(out.join("\n")) });
+    }
+    var t = targets[i++];
+    return listBooks(query, t).then(function (r) {
+      out.push("[" + t.name + "]" + (r.note ? (" " + r.note) : ""));
+      for (var k = 0; k < r.books.length; k++) {
+        var b = r.books[k];
+        out.push("  " + (b.id === r.current ? "* " : "  ") + b.name + (b.id !== b.name ? ("（id=" + b.id + "）") : ""));
+      }
+    }, function (err) {
+      out.push("[" + t.name + "] 列出失败：" + errorToMessage(err));
+    }).then(list);
+  }
+  return list();
+}
+
+///////////////////////////////
+// 3.47) 路由规则（#标签 / 正则 / LLM 主题 → 服务与单词本）
+///////////////////////////////
+
+/**
+ * 「路由规则」每行（或以 ; 分隔，/正则/ 内的 ; 除外）一条：条件 => 服务[:单词本]
+ *  - 条件：#标签（查询以 #标签 开头）、/正则/标志（匹配查询内容）、topic:主题（LLM 判定的主题）、*（默认）；
+ *  - 服务：youdao / eudic / shanbay / anki，或 all（所有已配置的服务）；单词本为欧路单词本名称或 Anki 牌组；
+ *  - 自上而下取第一条命中的规则；都未命中时沿用「词典类型」与单词本设置。
+ * 例：#paper => eudic:Papers ; /\b(npm|API|function)\b/ => anki:Code ; topic:fiction => eudic:Novels ; * => youdao
+ */
+var ROUTE_SERVICE_KEYS = { youdao: "1", eudic: "2", shanbay: "3", anki: "4", all: MULTI_DICT_TYPE };
+
+/**
+ * splitRoutingRules：按换行与 ; 切分规则；以 / 开头的正则条件内（含转义与 [...] 字符类）的 ; 不作分隔
+ * - "/a;b/ => anki ; * => youdao" → ["/a;b/ => anki", "* => youdao"]
+ */
+function splitRoutingRules(text) {
+  var s = String(text || "");
+  var out = [];
+  var cur = "";
+  var inRegex = false;
+  var inClass = false;
+  for (var i = 0; i < s.length; i++) {
+    var c = s.charAt(i);
+    if (c === "\n" || (c === ";" && !inRegex)) {
+      out.push(cur);
+      cur = "";
+      inRegex = inClass = false;
+      continue;
+    }
+    if (inRegex) {
+      if (c === "\\") {
+        cur += c + s.charAt(++i);
+        continue;
+      }
+      if (c === "[") inClass = true;
+      else if (c === "]") inClass = false;
+      else if (c === "/" && !inClass) inRegex = false;
+    } else if (c === "/" && !cur.trim()) {
+      inRegex = true;
+    }
+    cur += c;
+  }
+  out.push(cur);
+  return out;
+}
+
+/**
+ * parseRoutingRules：解析规则文本；格式有误的规则跳过并记入 errors（pluginValidate 报告）
+ * @returns {{rules:Array<{index:number, raw:string, kind:string, value:string, re?:RegExp, dictType:string, book:string}>, errors:string[]}}
+ */
+function parseRoutingRules(text) {
+  var out = { rules: [], errors: [] };
+  var lines = splitRoutingRules(text);
+  var n = 0;
+  for (var i = 0; i < lines.length; i++) {
+    var raw = lines[i].trim();
+    if (!raw) continue;
+    n++;
+    var m = /^(.+?)\s*=>\s*([a-z]+)(?:\s*:\s*(.+))?$/i.exec(raw);
+    var dictType = m && ROUTE_SERVICE_KEYS[m[2].toLowerCase()];
+    if (!m || !dictType) {
+      out.errors.push("第 " + n + " 条「" + raw + "」格式应为 条件 => youdao/eudic/shanbay/anki/all[:单词本]");
+      continue;
+    }
+    var cond = m[1].trim();
+    var rule = { index: n, raw: raw, kind: "", value: "", dictType: dictType, book: (m[3] || "").trim() };
+    var re = /^\/(.+)\/([a-z]*)$/.exec(cond);
+    if (cond === "*") {
+      rule.kind = "default";
+    } else if (/^#[^\s#]+$/.test(cond)) {
+      rule.kind = "tag";
+      rule.value = cond.slice(1).toLowerCase();
+    } else if (/^topic:\s*\S/i.test(cond)) {
+      rule.kind = "topic";
+      rule.value = cond.replace(/^topic:\s*/i, "").toLowerCase();
+    } else if (re) {
+      try {
+        rule.kind = "regex";
+        rule.re = new RegExp(re[1], re[2].replace(/g/g, ""));
+      } catch (e) {
+        out.errors.push("第 " + n + " 条正则有误：" + errorToMessage(e));
+        continue;
+      }
+    } else {
+      out.errors.push("第 " + n + " 条条件「" + cond + "」应为 #标签、/正则/、topic:主题 或 *");
+      continue;
+    }
+    out.rules.push(rule);
+  }
+  return out;
+}
+
+/**
+ * classifyTopic：让 LLM 从规则中出现的主题里选一个（未配置 LLM 或调用失败时返回空串，主题规则不命中）
+ */
+function classifyTopic(query, text, topics) {
+  if (!topics.length || useLocalExtraction()) return Promise.resolve("");
+  var system = "Classify the TEXT into exactly one of these topics: " + topics.join(", ") +
+               ", or \"other\" if none fits. Reply with the topic name only.";
+  return callLLM({ system: system, user: String(text || "").slice(0, CHUNK_MAX_CHARS), maxTokens: 10 }, query && query.cancelSignal).then(function (info) {
+    var t = info.ok ? String(info.text || "").trim().toLowerCase().replace(/^["'`]+|["'`.。]+$/g, "") : "";
+    return topics.indexOf(t) >= 0 ? t : "";
+  }, function () {
+    return "";
+  });
+}
+
+/**
+ * selectRoute：按规则为本次查询选择写入服务与单词本
+ * - 主题只在遇到第一条 topic 规则时判定一次（需要一次极短的 LLM 调用）
+ * @returns {Promise<{rule:object|null, topic:string, targets:Array<object>, book:string}>}
+ *   rule 为 null 表示未命中任何规则（沿用默认设置，#标签 仍按同名单词本处理）
+ */
+function selectRoute(query, rules, tag, text) {
+  var topics = uniqueStable(rules.filter(function (r) { return r.kind === "topic"; }).map(function (r) { return r.value; }));
+  var topic = null;
+  function pick(rule) {
+    if (!rule) return { rule: null, topic: topic || "", targets: resolveWriteTargets(), book: tag };
+    // #标签 规则未写单词本时，仍写入与标签同名的单词本
+    var book = rule.book || (rule.kind === "tag" ? tag : "");
+    return { rule: rule, topic: topic || "", targets: resolveWriteTargets(rule.dictType), book: book };
+  }
+  function at(i) {
+    if (i >= rules.length) return Promise.resolve(pick(null));
+    var r = rules[i];
+    if (r.kind === "topic") {
+      var p = topic !== null ? Promise.resolve(topic) : classifyTopic(query, text, topics).then(function (t) {
+        topic = t;
+        return t;
+      });
+      return p.then(function (t) { return t === r.value ? pick(r) : at(i + 1); });
+    }
+    var hit = r.kind === "default" ||
+              (r.kind === "tag" && !!tag && tag.toLowerCase() === r.value) ||
+              (r.kind === "regex" && r.re.test(text));
+    return hit ? Promise.resolve(pick(r)) : at(i + 1);
+  }
+  return at(0);
+}
+
+/** 路由说明行 */
+function renderRoute(route) {
+  if (!route.rule) return "Route: 未命中规则，使用默认设置";
+  return "Route: 命中规则 " + route.rule.index + "「" + route.rule.raw + "」" + (route.rule.kind === "topic" ? ("（主题 " + route.topic + "）") : "");
+}
+
+///////////////////////////////
+// 3.5) 多词典分发（fan-out）
+///////////////////////////////
+
+/**
+ * resolveCredential：读取某个服务的凭据
+ *  - 优先使用该服务专属配置（youdao_cookie / eudic_token / shanbay_token）；
+ *  - 单词典模式下回退到共享的「认证信息」（兼容旧配置）。
+ */
+function resolveCredential(dictType) {
+  var svc = WORDBOOK_SERVICES[String(dictType)];
+  if (!svc || svc.noCredential) return "";
+  var own = setting(svc.credentialOption);
+  if (own) return String(own);
+  if (String(setting("dict_type")) === String(dictType) && setting("authorization")) {
+    return String(setting("authorization"));
+  }
+  return "";
+}
+
+/**
+ * resolveWriteTargets：根据 dict_type 解析本次要写入的服务列表
+ *  - 单词典：仅该服务（凭据缺失时仍返回，由上层报错）；
+ *  - 多词典：有道/欧路/扇贝中所有已配置凭据的服务，以及填写了牌组的 Anki。
+ * - dictTypeOverride：路由规则指定的服务（缺省为 dict_type 设置）
+ * @returns {Array<{dictType:string, key:string, name:string, authorization:string}>}
+ */
+function resolveWriteTargets(dictTypeOverride) {
+  var dictType = dictTypeOverride || setting("dict_type");
+  var types = dictType === MULTI_DICT_TYPE ? ["1", "2", "3", "4"] : [dictType];
+  var out = [];
+  for (var i = 0; i < types.length; i++) {
+    var svc = WORDBOOK_SERVICES[types[i]];
+    if (!svc) continue;
+    var auth = resolveCredential(types[i]);
+    if (dictType === MULTI_DICT_TYPE) {
+      if (svc.noCredential ? !setting("anki_deck") : !auth) continue;
+    }
+    out.push({ dictType: types[i], key: svc.key, name: svc.name, authorization: auth });
+  }
+  return out;
+}
+
+/** 目标服务是否缺少必需的凭据 */
+function isMissingCredential(target) {
+  var svc = WORDBOOK_SERVICES[target.dictType];
+  return !(svc && svc.noCredential) && !target.authorization;
+}
+
+/** 写入前的凭据检查：返回错误文案，全部就绪时返回空串 */
+function credentialError(targets) {
+  if (!targets.length) return "「认证信息」缺失：多词典模式请至少填写一个服务的 Cookie/Token";
+  var missing = targets.filter(isMissingCredential);
+  if (!missing.length) return "";
+  return "「认证信息」缺失" + (setting("routing_rules") ? ("：" + missing.map(function (t) {
+    return WORDBOOK_SERVICES[t.dictType].credentialLabel;
+  }).join("、") + " 未填写") : "");
+}
+
+/** 按 size 切分数组 */
+function chunkArray(arr, size) {
+  var out = [];
+  size = Math.max(1, size || 1);
+  for (var i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+/**
+ * createRateLimiter：每秒最多 qps 次（0 = 不限）；返回 wait()，两次请求的发起时间至少间隔 1000/qps 毫秒
+ */
+function createRateLimiter(qps, cancelSignal) {
+  var gap = qps > 0 ? 1000 / qps : 0;
+  var last = 0;
+  return function wait() {
+    var now = Date.now();
+    var delay = (gap && last) ? Math.max(0, last + gap - now) : 0;
+    last = now + delay;
+    return delay > 0 ? sleepMs(delay, cancelSignal) : Promise.resolve();
+  };
+}
+
+/** 写入层回调 payload（整批共享一个 outcome）→ 批次报告 */
+function batchReportFromPayload(words, res) {
+  var outcome = (res && res.outcome) || { status: res && res.result ? "added" : "unknown", message: pickMessageFromPluginPayload(res) };
+  var r = { success: [], duplicate: [], failed: [], queued: [], note: "" };
+  if (res && res.__queued) r.queued = words.slice();
+  else if (outcome.status === "added") {
+    r.success = words.slice();
+    r.note = outcome.message || "";
+  } else if (outcome.status === "duplicate") r.duplicate = words.slice();
+  else {
+    var reason = outcome.message || pickMessageFromPluginPayload(res) || "未知原因";
+    r.failed = words.map(function (w) { return { word: w, reason: reason, status: outcome.status || "unknown" }; });
+  }
+  return r;
+}
+
+/**
+ * writeBatchToTarget：一个批次写入单个服务（欧路/扇贝/Anki 一次请求；有道一次一个单词）
+ * - 欧路按名称解析的单词本返回 book-missing 时：丢弃缓存 id，重新查找/新建后重写一次
+ * @returns {Promise<{success, duplicate, failed, queued, note}>}
+ */
+function writeBatchToTarget(query, target, batch, contexts) {
+  if (target.dictType === "4") return addWordsBatchAnki(query, batch, contexts, target.bookId);
+  return writeBatchOnce(query, target, batch).then(function (r) {
+    var missing = (r.failed || []).some(function (x) { return x.status === "book-missing"; });
+    if (!missing || !target.bookName || target.bookRetried) return r;
+    target.bookRetried = true;
+    forgetEudicBook(target.bookName);
+    return ensureEudicBook(query, target.authorization, target.bookName).then(function (b) {
+      target.bookId = b.id;
+      target.bookNote = (b.created ? "已重新新建单词本：" : "单词本：") + b.name;
+      return writeBatchOnce(query, target, batch);
+    }, function () {
+      return r;
+    });
+  });
+}
+
+/** writeBatchOnce：按服务发出一次批量写入请求 */
+function writeBatchOnce(query, target, batch) {
+  return new Promise(function (resolve) {
+    var done = function (res) { resolve(batchReportFromPayload(batch, res)); };
+    if (target.dictType === "2") {
+      addWordsBatchEudic(query, target.authorization, batch, target.bookId || setting("wordbook_id"), done);
+    } else if (target.dictType === "3") {
+      addWordsBatchShanbay(query, target.authorization, batch, done);
+    } else {
+      addWord(query, target.dictType, target.authorization, batch[0], done);
+    }
+  });
+}
+
+/**
+ * renderBatchProgress：一批写入结果的进度行，如 "Add[有道]: ✓ ubiquitous" / "Add[欧路]: ✓ a, b；✗ c（原因）"
+ */
+function renderBatchProgress(target, r) {
+  var parts = [];
+  if (r.success && r.success.length) parts.push("✓ " + joinPreview(r.success, 10));
+  if (r.duplicate && r.duplicate.length) parts.push("已存在 " + joinPreview(r.duplicate, 10));
+  if (r.queued && r.queued.length) parts.push("待重试 " + joinPreview(r.queued, 10));
+  if (r.failed && r.failed.length) {
+    parts.push("✗ " + joinPreview(r.failed.map(function (x) { return x.word; }), 10) + "（" + r.failed[0].reason + "）");
+  }
+  return "Add[" + target.name + "]: " + (parts.join("；") || "无结果");
+}
+
+/**
+ * writeWordsToTarget：把单词写入单个服务
+ *  - 按服务的 batchSize 分批、按 qps 限速，串行写入（欧路/扇贝/Anki 批量请求，有道逐个）；
+ *  - 认证失效后剩余批次不再请求（同一凭据必然同样失败），直接记为 auth-expired；
+ *  - 每批完成后通过 onStream 推送该批每个单词的结果；多于一批时附带总进度。
+ * - target.bookId：resolveTargetBooks 确定的单词本（欧路 category_id / Anki 牌组）
+ * @param {object} contexts  buildWordContexts 结果（仅 Anki 使用）
+ * @returns {Promise<{target:object, success:string[], duplicate:string[], failed:Array<{word:string, reason:string, status:string}>, queued:string[], note:string}>}
+ */
+function writeWordsToTarget(query, target, words, contexts) {
+  var report = { target: target, success: [], duplicate: [], failed: [], queued: [], note: "" };
+  function failAll(list, reason, status) {
+    for (var i = 0; i < list.length; i++) report.failed.push({ word: list[i], reason: reason, status: status || "unknown" });
+    return report;
+  }
+  if (target.bookError) return Promise.resolve(failAll(words, target.bookError));
+  if (target.dictType === "2" && !(target.bookId || setting("wordbook_id"))) {
+    return Promise.resolve(failAll(words, "未配置欧路单词本 id 或名称"));
+  }
+
+  var svc = WORDBOOK_SERVICES[target.dictType] || {};
+  var batches = chunkArray(words, svc.batchSize);
+  var wait = createRateLimiter(svc.qps, query && query.cancelSignal);
+  var written = 0;
+  var authError = "";
+  var idx = 0;
+  streamProgress(query, "Add[" + target.name + "]: 写入中 0/" + words.length + "…");
+  function next() {
+    if (idx >= batches.length) return Promise.resolve(report);
+    var batch = batches[idx++];
+    if (authError) {
+      failAll(batch, authError, "auth-expired");
+      return next();
+    }
+    return wait().then(function () {
+      return writeBatchToTarget(query, target, batch, contexts);
+    }).then(function (r) {
+      report.success = report.success.concat(r.success || []);
+      report.duplicate = report.duplicate.concat(r.duplicate || []);
+      report.failed = report.failed.concat(r.failed || []);
+      report.queued = report.queued.concat(r.queued || []);
+      if (r.note && !report.note) report.note = r.note;
+      var expired = (r.failed || []).filter(function (x) { return x.status === "auth-expired"; })[0];
+      if (expired) authError = expired.reason;
+      written += batch.length;
+      var status = batches.length > 1 ? ("Add[" + target.name + "]: 写入中 " + written + "/" + words.length + "（成功 " + report.success.length + " 个）") : "";
+      streamProgressLine(query, renderBatchProgress(target, r), status);
+      return next();
+    });
+  }
+  return next();
+}
+
+/**
+ * writeWordsToTargets：依次写入所有目标服务（串行，避免多服务并发放大超时）
+ * - history 非空时按服务跳过历史中已写入过的单词（报告中记为 known）
+ * - 不接受短语的服务跳过短语（报告中记为 unsupported）
+ * @returns {Promise<Array<object>>} 每个服务一份 writeWordsToTarget 报告
+ */
+function writeWordsToTargets(query, targets, words, history, contexts) {
+  var reports = [];
+  var idx = 0;
+  function next() {
+    if (idx >= targets.length) return Promise.resolve(reports);
+    var t = targets[idx++];
+    var svc = WORDBOOK_SERVICES[t.dictType] || {};
+    var unsupported = svc.acceptsPhrases ? [] : words.filter(function (w) { return /\s/.test(w); });
+    var accepted = unsupported.length ? words.filter(function (w) { return !/\s/.test(w); }) : words;
+    var split = splitKnownWords(history, t, accepted);
+    if (!split.fresh.length) {
+      reports.push({ target: t, success: [], duplicate: [], failed: [], queued: [], known: split.known, unsupported: unsupported, note: "" });
+      return next();
+    }
+    return writeWordsToTarget(query, t, split.fresh, contexts).then(function (r) {
+      r.known = split.known;
+      r.unsupported = unsupported;
+      reports.push(r);
+      return next();
+    }, function (err) {
+      reports.push({ target: t, success: [], duplicate: [], failed: split.fresh.map(function (w) { return { word: w, reason: errorToMessage(err), status: "unknown" }; }), queued: [], known: split.known, unsupported: unsupported, note: "" });
+      return next();
+    });
+  }
+  return next();
+}
+
+/** 拼装预览（控制长度，避免 UI 过长） */
+function joinPreview(arr, limit) {
+  var n = Math.max(0, limit || 30);
+  var head = arr.slice(0, n);
+  var more = arr.length > n ? (" … 等 " + (arr.length - n) + " 个") : "";
+  return head.join(", ") + more;
+}
+
+/**
+ * renderWriteReports：生成写入结果文案
+ *  - 单服务：保持 "Add: ..." 旧格式；
+ *  - 多服务：逐个服务列出成功/失败，局部故障一目了然。
+ */
+function renderWriteReports(reports) {
+  var multi = reports.length > 1;
+  var lines = [];
+  for (var i = 0; i < reports.length; i++) {
+    var r = reports[i];
+    var succ = r.success || [];
+    var fail = r.failed || [];
+    var queued = r.queued || [];
+    var known = r.known || [];
+    var dup = r.duplicate || [];
+    var label = multi ? ("Add[" + r.target.name + "]: ") : "Add: ";
+    var line = label + "成功 " + succ.length + " 个" + (succ.length ? ("（" + joinPreview(succ, 30) + "）") : "");
+    if (r.note) line += "｜" + r.note;
+    if (r.target.bookNote) line += "｜" + r.target.bookNote;
+    if (dup.length) {
+      line += "\n" + (multi ? "  " : "") + "服务端已存在 " + dup.length + " 个（" + joinPreview(dup, 10) + "）";
+    }
+    if (known.length) {
+      line += "\n" + (multi ? "  " : "") + "已在单词本 " + known.length + " 个（" + joinPreview(known, 10) + "）";
+    }
+    var unsupported = r.unsupported || [];
+    if (unsupported.length) {
+      line += "\n" + (multi ? "  " : "") + "不支持短语，跳过 " + unsupported.length + " 个（" + joinPreview(unsupported, 10) + "）";
+    }
+    // 失败按结果类型分组：认证失效 / 被限流 / 网络错误 / 超时 / 失败
+    var groups = [];
+    var byStatus = Object.create(null);
+    for (var f = 0; f < fail.length; f++) {
+      var st = fail[f].status || "unknown";
+      if (!byStatus[st]) {
+        byStatus[st] = [];
+        groups.push(st);
+      }
+      byStatus[st].push(fail[f]);
+    }
+    for (var g = 0; g < groups.length; g++) {
+      var items = byStatus[groups[g]];
+      line += "\n" + (multi ? "  " : "") + (WRITE_OUTCOMES[groups[g]] || "失败") + " " + items.length + " 个（如：" +
+              joinPreview(items.map(function (x) { return x.word; }), 10) + "；原因：" + items[0].reason + "）";
+    }
+    if (queued.length) {
+      line += "\n" + (multi ? "  " : "") + "待重试 " + queued.length + " 个（网络/超时/限流，已加入离线重试队列：" + joinPreview(queued, 10) + "）";
+    }
+    lines.push(line);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * renderAuthExpired：汇总认证失效的服务，生成“请重新填写”的提示（无则返回空串）
+ */
+function renderAuthExpired(reports) {
+  var labels = [];
+  for (var i = 0; i < reports.length; i++) {
+    var expired = (reports[i].failed || []).some(function (x) { return x.status === "auth-expired"; });
+    if (!expired) continue;
+    var svc = WORDBOOK_SERVICES[reports[i].target.dictType] || {};
+    labels.push("「" + (svc.credentialLabel || reports[i].target.name) + "」");
+  }
+  if (!labels.length) return "";
+  return labels.join("、") + "已失效或有误，请在插件设置中重新填写。";
+}
+
+///////////////////////////////
+// 3.6) 离线重试队列（$file 持久化）
+///////////////////////////////
+
+var RETRY_QUEUE_STORE = "retry_queue";
+// 单个单词累计失败达到该次数 → 移入死信列表，不再自动重试
+var RETRY_MAX_ATTEMPTS = 5;
+// 每次查询最多重试的单词数与总耗时（毫秒）：队列很长时分多次查询逐步清空
+var RETRY_DRAIN_MAX_ITEMS = 200;
+var RETRY_DRAIN_BUDGET_MS = 8000;
+
+function loadRetryQueue() {
+  var q = loadStore(RETRY_QUEUE_STORE, null) || {};
+  return {
+    pending: Array.isArray(q.pending) ? q.pending : [],
+    dead: Array.isArray(q.dead) ? q.dead : []
+  };
+}
+
+function retryKey(item) {
+  return String(item.dictType) + "|" + String(item.bookId || "") + "|" + String(item.word);
+}
+
+/**
+ * enqueueRetry：把写入失败（网络/超时）的单词记入待重试队列
+ * - 同一服务/单词本/单词只保留一条，已在队列中的不重置重试次数；
+ * - 仅保存 dictType 与单词本 id，凭据在重试时按当前配置读取。
+ */
+function enqueueRetry(dictType, words, bookId, reason) {
+  var q = loadRetryQueue();
+  var index = Object.create(null);
+  for (var i = 0; i < q.pending.length; i++) index[retryKey(q.pending[i])] = q.pending[i];
+  var now = Date.now();
+  for (var j = 0; j < words.length; j++) {
+    var item = { dictType: String(dictType), bookId: bookId || "", word: words[j], attempts: 0, lastError: reason, firstAt: now, lastAt: now };
+    var exist = index[retryKey(item)];
+    if (exist) {
+      exist.lastError = reason;
+      exist.lastAt = now;
+      continue;
+    }
+    index[retryKey(item)] = item;
+    q.pending.push(item);
+  }
+  return saveStore(RETRY_QUEUE_STORE, q);
+}
+
+/**
+ * queueFailedWrite：写入层 .catch 统一出口
+ * - 记入重试队列，返回带 __queued 标记的 result（不悬挂 UI，也不谎报成功）；
+ * - 队列保存失败时返回 error（__queued=false），由调用方计为失败；
+ * - 重试/验证流程自身（query.__noRetryQueue）不重复入队。
+ */
+function queueFailedWrite(query, dictType, words, bookId, err) {
+  var reason = errorToMessage(err);
+  var preview = joinPreview(words, 10);
+  if (query && query.__noRetryQueue) {
+    return { __queued: false, error: buildError("添加单词失败（网络/超时/限流）：" + preview + "；" + reason) };
+  }
+  // 队列保存失败时单词并未保留下来：如实按失败返回，不计入待重试
+  if (!enqueueRetry(dictType, words, bookId, reason)) {
+    return { __queued: false, error: buildError("添加失败（网络/超时/限流），且写入重试队列失败：" + preview + "；" + reason) };
+  }
+  return { __queued: true, result: buildResult("添加失败（网络/超时/限流），已加入离线重试队列：" + preview) };
+}
+
+/**
+ * retryGroups：把本次要重试的队列记录按服务 + 单词本分组（未配置凭据的服务跳过，留在队列中）
+ * @returns {Array<{target:object, items:Array<object>}>}
+ */
+function retryGroups(items) {
+  var groups = Object.create(null);
+  var order = [];
+  for (var i = 0; i < items.length; i++) {
+    var item = items[i];
+    var k = String(item.dictType) + "|" + String(item.bookId || "");
+    if (!groups[k]) {
+      if (!WORDBOOK_SERVICES[String(item.dictType)]) continue;
+      var t = serviceTarget(item.dictType, item.bookId);
+      if (isMissingCredential(t)) continue;
+      groups[k] = { target: t, items: [] };
+      order.push(k);
+    }
+    groups[k].items.push(item);
+  }
+  return order.map(function (k) { return groups[k]; });
+}
+
+/**
+ * drainRetryQueue：重试队列中的待重试单词
+ * - 每次最多取 RETRY_DRAIN_MAX_ITEMS 个，按服务 + 单词本分组，经各服务的批量写入（欧路 / 扇贝 / Anki 一批一次请求）；
+ * - 超过 RETRY_DRAIN_BUDGET_MS 后不再发起新批次，其余留到下次查询，避免拖慢本次查词；
+ * - history 非空时，重试成功的单词按原单词本记入查词历史
+ * @returns {Promise<null|{retried:number, recovered:number, remaining:number, dead:number}>}  本次没有可重试的单词时返回 null
+ */
+function drainRetryQueue(query, history) {
+  var q = loadRetryQueue();
+  var groups = retryGroups(q.pending.slice(0, RETRY_DRAIN_MAX_ITEMS));
+  if (!groups.length) return Promise.resolve(null);
+  var total = groups.reduce(function (n, g) { return n + g.items.length; }, 0);
+  streamProgress(query, "Retry: 重试离线队列中 " + total + " 个单词…");
+  // 重试自身失败时不再重复入队（记录仍在队列中）；不推送逐批进度
+  var rq = { cancelSignal: query && query.cancelSignal, __noRetryQueue: true };
+  var started = Date.now();
+  var done = Object.create(null);   // retryKey → "ok" | 失败原因
+  var stat = { retried: 0, recovered: 0, remaining: 0, dead: 0 };
+  var gi = 0;
+  function nextGroup() {
+    if (gi >= groups.length) return Promise.resolve();
+    var g = groups[gi++];
+    var svc = WORDBOOK_SERVICES[g.target.dictType];
+    var words = g.items.map(function (x) { return x.word; });
+    var contexts = g.target.dictType === "4" ? ankiContextsFromHistory(words) : null;
+    var batches = chunkArray(words, svc.batchSize);
+    var wait = createRateLimiter(svc.qps, rq.cancelSignal);
+    var bi = 0;
+    function nextBatch() {
+      if (bi >= batches.length || Date.now() - started > RETRY_DRAIN_BUDGET_MS) return Promise.resolve();
+      var batch = batches[bi++];
+      return wait().then(function () {
+        return writeBatchToTarget(rq, g.target, batch, contexts);
+      }).then(function (r) {
+        var ok = (r.success || []).concat(r.duplicate || []);
+        for (var i = 0; i < ok.length; i++) done[retryKey({ dictType: g.target.dictType, bookId: g.target.bookId, word: ok[i] })] = "ok";
+        (r.failed || []).forEach(function (x) {
+          done[retryKey({ dictType: g.target.dictType, bookId: g.target.bookId, word: x.word })] = x.reason || "写入失败";
+        });
+        if (history && ok.length) recordWriteReports(history, [{ target: g.target, success: r.success || [], duplicate: r.duplicate || [] }]);
+        return nextBatch();
+      });
+    }
+    return nextBatch().then(nextGroup);
+  }
+  return nextGroup().then(function () {
+    var stillPending = [];
+    for (var i = 0; i < q.pending.length; i++) {
+      var item = q.pending[i];
+      var r = done[retryKey(item)];
+      if (r === undefined) {
+        stillPending.push(item);
+        continue;
+      }
+      stat.retried++;
+      if (r === "ok") {
+        stat.recovered++;
+        continue;
+      }
+      item.lastError = r;
+      item.attempts = (Number(item.attempts) || 0) + 1;
+      item.lastAt = Date.now();
+      if (item.attempts >= RETRY_MAX_ATTEMPTS) {
+        q.dead.push(item);
+        stat.dead++;
+      } else {
+        stillPending.push(item);
+      }
+    }
+    q.pending = stillPending;
+    stat.remaining = stillPending.length;
+    saveStore(RETRY_QUEUE_STORE, q);
+    return stat;
+  });
+}
+
+/** 重试状态行（无队列时为空串） */
+function renderRetryStatus(stat) {
+  if (!stat) return "";
+  return "Retry: 重试 " + stat.retried + " 个，成功 " + stat.recovered + " 个，仍待重试 " + stat.remaining + " 个" +
+         (stat.dead ? ("，转入死信 " + stat.dead + " 个（/queue 查看）") : "");
+}
+
+/**
+ * /queue 命令：查看或整理重试队列
+ *  - /queue        列出待重试与死信
+ *  - /queue retry  死信移回待重试（重置次数）
+ *  - /queue clear  清空死信
+ */
+function handleQueueCommand(query, args) {
+  var q = loadRetryQueue();
+  var sub = String(args[0] || "").toLowerCase();
+  function fmt(item) {
+    var svc = WORDBOOK_SERVICES[String(item.dictType)];
+    return "  " + item.word + " → " + (svc ? svc.name : item.dictType) + "（" + (item.attempts || 0) + " 次；" + (item.lastError || "") + "）";
+  }
+  if (sub === "clear") {
+    var n = q.dead.length;
+    q.dead = [];
+    saveStore(RETRY_QUEUE_STORE, q);
+    return Promise.resolve({ result: buildResult("已清空死信 " + n + " 个") });
+  }
+  if (sub === "retry") {
+    var moved = q.dead.length;
+    for (var i = 0; i < q.dead.length; i++) {
+      q.dead[i].attempts = 0;
+      q.pending.push(q.dead[i]);
+    }
+    q.dead = [];
+    saveStore(RETRY_QUEUE_STORE, q);
+    return Promise.resolve({ result: buildResult("已将 " + moved + " 个死信移回待重试队列，下次查询时自动重试") });
+  }
+  var lines = ["待重试 " + q.pending.length + " 个"];
+  lines = lines.concat(q.pending.map(fmt));
+  lines.push("死信 " + q.dead.length + " 个" + (q.dead.length ? "（/queue retry 重新排队，/queue clear 清空）" : ""));
+  lines = lines.concat(q.dead.map(fmt));
+  return Promise.resolve({ result: buildResult(lines.join("\n")) });
+}
+
+///////////////////////////////
+// 3.65) 本地查词历史（跨会话去重 + 难词标记）
+///////////////////////////////
+
+var HISTORY_STORE = "history";
+// 累计查询次数达到该值 → 标记为难词
+var HARD_WORD_MIN_LOOKUPS = 3;
+
+/**
+ * 历史结构：{ words: { <小写单词>: { word, count, firstAt, lastAt, services: { <serviceSlot>: { at, status, service, book } } } } }
+ * - count：被查询/抽取到的次数（含已在单词本而跳过的）；
+ * - services：按服务 + 单词本（欧路 id / Anki 牌组，见 serviceSlot）记录写入成功（added）、服务端已存在（duplicate），
+ *   用于跨会话去重与删除；待重试（queued）与失败（auth-expired / timeout 等）同样记录，仅供 /export 导出；
+ * - index：/sync 索引（见 loadSyncIndex），单独保存在 sync_index.json，不可枚举，不随历史写回。
+ */
+function loadHistory() {
+  var h = loadStore(HISTORY_STORE, null) || {};
+  if (!h.words || typeof h.words !== "object") h.words = {};
+  Object.defineProperty(h, "index", { value: loadSyncIndex(), enumerable: false, writable: true });
+  return h;
+}
+
+function saveHistory(h) {
+  return saveStore(HISTORY_STORE, h);
+}
+
+function historyEntry(h, word, create) {
+  var key = normalizeWord(word);
+  if (!key) return null;
+  var e = h.words[key];
+  if (!e && create) {
+    e = h.words[key] = { word: word, count: 0, firstAt: Date.now(), lastAt: 0, services: {} };
+  }
+  return e || null;
+}
+
+/** 服务记录是否表示单词在单词本中：写入成功 / 服务端已存在（synced 为旧版 /sync 写在历史中的记录） */
+function isPresentStatus(st) {
+  return st === "added" || st === "duplicate" || st === "synced";
+}
+
+/**
+ * 服务记录的键：默认单词本为服务 key（youdao），指定单词本时为 <key>@<单词本>（eudic@42、anki@Papers）
+ * - 同一服务的不同单词本分别记录：路由到 eudic:Papers 的单词不因曾写入其它欧路单词本而被跳过
+ */
+function serviceSlot(serviceKey, book) {
+  return book ? (serviceKey + "@" + book) : serviceKey;
+}
+
+/** 记录所属的服务（记录带 service 字段；旧记录以服务 key 为键） */
+function slotService(slot, rec) {
+  return (rec && rec.service) || String(slot).split("@")[0];
+}
+
+/**
+ * findServiceSlot：单词在指定服务 + 单词本下的记录键，没有时返回空串
+ * - 兼容旧历史：以服务 key 为键、book 写在记录里；没有 book 字段的更早记录视为该服务任一单词本
+ */
+function findServiceSlot(e, serviceKey, book) {
+  var services = (e && e.services) || {};
+  book = String(book || "");
+  for (var slot in services) {
+    if (!Object.prototype.hasOwnProperty.call(services, slot)) continue;
+    var rec = services[slot] || {};
+    if (slotService(slot, rec) !== serviceKey) continue;
+    if (rec.book === undefined || String(rec.book || "") === book) return slot;
+  }
+  return "";
+}
+
+/** 历史中是否记录该单词已写入目标服务的目标单词本（target：{ key, bookId }） */
+function isRecordedInService(h, word, target) {
+  var e = historyEntry(h, word, false);
+  var slot = findServiceSlot(e, target.key, target.bookId);
+  return !!slot && isPresentStatus(e.services[slot].status);
+}
+
+/** 该单词是否已在目标服务的目标单词本中：查词历史或 /sync 索引 */
+function isKnownInService(h, word, target) {
+  return isRecordedInService(h, word, target) || inSyncIndex(h.index, target, word);
+}
+
+/**
+ * splitKnownWords：按服务 + 单词本把单词拆成“待写入 / 已在单词本”
+ * @returns {{fresh:string[], known:string[]}}
+ */
+function splitKnownWords(h, target, words) {
+  var fresh = [], known = [];
+  for (var i = 0; i < words.length; i++) {
+    if (h && isKnownInService(h, words[i], target)) known.push(words[i]);
+    else fresh.push(words[i]);
+  }
+  return { fresh: fresh, known: known };
+}
+
+/** 记录一次查询：每个单词 count+1，返回达到难词阈值的单词 */
+function recordLookups(h, words) {
+  var hard = [];
+  var now = Date.now();
+  for (var i = 0; i < words.length; i++) {
+    var e = historyEntry(h, words[i], true);
+    if (!e) continue;
+    e.count = (Number(e.count) || 0) + 1;
+    e.lastAt = now;
+    if (e.count >= HARD_WORD_MIN_LOOKUPS) hard.push(e);
+  }
+  return hard;
+}
+
+/**
+ * recordWriteReports：把写入报告按服务记入历史
+ * - 成功 / 服务端已存在 → 用于去重；待重试（queued）与失败（认证失效 / 超时等 outcome）只作记录（/export 导出）；
+ * - 失败记录不覆盖已在单词本中的记录。
+ */
+function recordWriteReports(h, reports) {
+  var now = Date.now();
+  for (var i = 0; i < reports.length; i++) {
+    var r = reports[i];
+    var rows = (r.success || []).map(function (w) { return [w, "added"]; })
+      .concat((r.duplicate || []).map(function (w) { return [w, "duplicate"]; }))
+      .concat((r.queued || []).map(function (w) { return [w, "queued"]; }))
+      .concat((r.failed || []).map(function (x) { return [x.word, x.status || "unknown"]; }));
+    for (var j = 0; j < rows.length; j++) {
+      var e = historyEntry(h, rows[j][0], true);
+      if (!e) continue;
+      e.services = e.services || {};
+      var book = String(r.target.bookId || "");
+      var slot = findServiceSlot(e, r.target.key, book);
+      var prev = slot && e.services[slot];
+      if (!isPresentStatus(rows[j][1]) && prev && isPresentStatus(prev.status)) continue;
+      if (slot) delete e.services[slot];
+      e.services[serviceSlot(r.target.key, book)] = { at: now, status: rows[j][1], service: r.target.key, book: book };
+    }
+  }
+}
+
+/**
+ * recordWordContexts：保存单词最近一次的来源例句与语境释义
+ * - 有道/欧路/扇贝的添加接口不接受笔记字段，语境只保存在本地历史中（Anki 写入笔记字段）
+ */
+function recordWordContexts(h, contexts) {
+  var now = Date.now();
+  for (var w in contexts) {
+    if (!Object.prototype.hasOwnProperty.call(contexts, w)) continue;
+    var c = contexts[w];
+    if (!c || (!c.sentence && !c.gloss)) continue;
+    var e = historyEntry(h, w, true);
+    if (!e) continue;
+    e.context = { sentence: c.sentence || "", gloss: c.gloss || "", at: now };
+  }
+}
+
+/** 难词提示行（无难词时为空串） */
+function renderHardWords(hard) {
+  if (!hard || !hard.length) return "";
+  return "Hard: 多次查询的难词 → " + joinPreview(hard.map(function (e) { return e.word + "（" + e.count + " 次）"; }), 10);
+}
+
+///////////////////////////////
+// 3.66) 删除单词 / 撤销上次写入（/undo、-单词）
+///////////////////////////////
+
+// 最近一次查询新写入（added）的单词，按服务与单词本记录，供 /undo 整批撤销
+var LAST_BATCH_STORE = "last_batch";
+
+/**
+ * recordLastBatch：记录本次查询新写入的单词
+ * - 服务端已存在 / 历史中已在单词本的单词不记录，撤销时不会删掉用户原有的单词；
+ * - 本次没有新写入任何单词时保留上一条记录。
+ */
+function recordLastBatch(reports) {
+  var entries = [];
+  for (var i = 0; i < reports.length; i++) {
+    var r = reports[i];
+    if (!r.success || !r.success.length) continue;
+    entries.push({ dictType: r.target.dictType, bookId: r.target.bookId || "", words: r.success.slice() });
+  }
+  if (!entries.length) return false;
+  return saveStore(LAST_BATCH_STORE, { at: Date.now(), entries: entries });
+}
+
+/**
+ * removalOutcome：按服务解析一次删除请求的响应
+ * - removed：已删除；missing：单词本中没有该单词（404 或「不存在」类提示）；
+ * - 其余（认证失效 / 限流 / 超时等）沿用写入结果的分类。
+ */
+function removalOutcome(dictType, res) {
+  var sc = (res && res.response && res.response.statusCode) || 0;
+  var hint = serverMessage(res && res.data);
+  if (sc === 404 || /不存在|not (?:exist|found)/i.test(hint)) return { status: "missing", message: hint };
+  if (sc === 204 && String(dictType) !== "1") return { status: "removed", message: "" };
+  var o = outcomeFromHttp(dictType, res);
+  return o.status === "added" ? { status: "removed", message: "" } : o;
+}
+
+/**
+ * removeBatchFromService：一个批次从有道 / 欧路 / 扇贝删除（有道一次一个单词；整批共享同一个 outcome）
+ * - 欧路：DELETE /studylist/words，请求体 { id:<单词本 id>, language:"en", words }
+ * @returns {Promise<{status:string, message:string}>}
+ */
+function removeBatchFromService(query, target, batch) {
+  var opts;
+  if (target.dictType === "1") {
+    opts = {
+      method: "GET",
+      url: YOUDAO_DELETE_WORD_URL + encodeURIComponent(batch[0]),
+      header: { "Cookie": target.authorization, "Referer": "https://dict.youdao.com", "User-Agent": "Mozilla/5.0" }
+    };
+  } else if (target.dictType === "2") {
+    opts = {
+      method: "DELETE",
+      url: EUDIC_ADD_WORD_URL,
+      header: eudicHeaders(target.authorization),
+      body: { id: target.bookId || setting("wordbook_id"), language: "en", words: batch }
+    };
+  } else {
+    opts = {
+      method: "POST",
+      url: SHANBAY_DELETE_WORDS_URL,
+      header: { "Cookie": "auth_token=" + String(target.authorization), "Content-Type": "application/json", "User-Agent": "Mozilla/5.0" },
+      body: { business_id: 6, words: batch }
+    };
+  }
+  opts.stage = "write";
+  opts.cancelSignal = query && query.cancelSignal;
+  return requestWithRetry(opts).then(function (res) {
+    return removalOutcome(target.dictType, res);
+  }, outcomeFromError);
+}
+
+/** Anki 搜索语法中的双引号内容 */
+function ankiSearchTerm(s) {
+  return "\"" + String(s).replace(/["\\]/g, "\\$&") + "\"";
+}
+
+/**
+ * removeBatchFromAnki：按牌组 + 单词字段查找笔记（findNotes）后删除（deleteNotes）
+ * - 文件模式：TSV 已由用户自行导入，插件无法删除
+ * @returns {Promise<{removed:string[], missing:string[], failed:Array<{word:string, reason:string, status:string}>}>}
+ */
+function removeBatchFromAnki(query, batch, deck) {
+  var cfg = getAnkiConfig();
+  if (deck) cfg.deck = String(deck);
+  var report = { removed: [], missing: [], failed: [] };
+  function failAll(reason, status) {
+    report.failed = batch.map(function (w) { return { word: w, reason: reason, status: status || "unknown" }; });
+    return report;
+  }
+  if (cfg.mode === "file") return Promise.resolve(failAll("TSV 文件模式无法删除，请在 Anki 中手动删除已导入的笔记"));
+  var field = cfg.fields ? cfg.fields[0] : "Front";
+  var found = [];
+  var idx = 0;
+  function next() {
+    if (idx >= batch.length) return Promise.resolve();
+    var w = batch[idx++];
+    return ankiConnectInvoke(query, cfg, "findNotes", { query: ankiSearchTerm("deck:" + cfg.deck) + " " + ankiSearchTerm(field + ":" + w) }).then(function (r) {
+      if (r.error) throw new Error(String(r.error));
+      var ids = r.result || [];
+      if (ids.length) found.push({ word: w, ids: ids });
+      else report.missing.push(w);
+      return next();
+    });
+  }
+  return next().then(function () {
+    if (!found.length) return report;
+    var ids = [].concat.apply([], found.map(function (x) { return x.ids; }));
+    return ankiConnectInvoke(query, cfg, "deleteNotes", { notes: ids }).then(function (r) {
+      if (r.error) throw new Error(String(r.error));
+      report.removed = found.map(function (x) { return x.word; });
+      return report;
+    });
+  }).catch(function (err) {
+    var msg = errorToMessage(err);
+    if (/api ?key/i.test(msg)) return failAll("AnkiConnect：" + msg, "auth-expired");
+    return failAll("AnkiConnect：" + msg, outcomeFromError(err).status === "timeout" ? "timeout" : "unknown");
+  });
+}
+
+/**
+ * removeWordsFromTarget：从单个服务删除单词（按 batchSize 分批、按 qps 限速，认证失效后不再请求）
+ * @returns {Promise<{target:object, removed:string[], missing:string[], failed:Array<{word:string, reason:string, status:string}>}>}
+ */
+function removeWordsFromTarget(query, target, words) {
+  var report = { target: target, removed: [], missing: [], failed: [] };
+  function failAll(list, reason, status) {
+    for (var i = 0; i < list.length; i++) report.failed.push({ word: list[i], reason: reason, status: status || "unknown" });
+    return report;
+  }
+  var svc = WORDBOOK_SERVICES[target.dictType] || {};
+  if (isMissingCredential(target)) return Promise.resolve(failAll(words, "「" + svc.credentialLabel + "」未填写"));
+  if (target.bookError) return Promise.resolve(failAll(words, target.bookError));
+  if (target.dictType === "2" && !(target.bookId || setting("wordbook_id"))) {
+    return Promise.resolve(failAll(words, "未配置欧路单词本 id 或名称"));
+  }
+
+  var batches = chunkArray(words, svc.batchSize);
+  var wait = createRateLimiter(svc.qps, query && query.cancelSignal);
+  var authError = "";
+  var idx = 0;
+  function next() {
+    if (idx >= batches.length) return Promise.resolve(report);
+    var batch = batches[idx++];
+    if (authError) {
+      failAll(batch, authError, "auth-expired");
+      return next();
+    }
+    return wait().then(function () {
+      if (target.dictType === "4") return removeBatchFromAnki(query, batch, target.bookId);
+      return removeBatchFromService(query, target, batch).then(function (o) {
+        if (o.status === "removed") return { removed: batch, missing: [], failed: [] };
+        if (o.status === "missing") return { removed: [], missing: batch, failed: [] };
+        return { removed: [], missing: [], failed: batch.map(function (w) { return { word: w, reason: o.message, status: o.status }; }) };
+      });
+    }).then(function (r) {
+      report.removed = report.removed.concat(r.removed);
+      report.missing = report.missing.concat(r.missing);
+      report.failed = report.failed.concat(r.failed);
+      var expired = r.failed.filter(function (x) { return x.status === "auth-expired"; })[0];
+      if (expired) authError = expired.reason;
+      streamProgressLine(query, renderRemovalReport(report));
+      return next();
+    });
+  }
+  return next();
+}
+
+/** 单个服务的删除结果行，如 "Del[欧路]: 已删除 2 个（a, b）" */
+function renderRemovalReport(r) {
+  var line = "Del[" + r.target.name + "]: 已删除 " + r.removed.length + " 个" + (r.removed.length ? ("（" + joinPreview(r.removed, 30) + "）") : "");
+  if (r.target.bookNote) line += "｜" + r.target.bookNote;
+  if (r.missing.length) line += "\n  单词本中没有 " + r.missing.length + " 个（" + joinPreview(r.missing, 10) + "）";
+  if (r.failed.length) {
+    line += "\n  " + (WRITE_OUTCOMES[r.failed[0].status] || "失败") + " " + r.failed.length + " 个（如：" +
+            joinPreview(r.failed.map(function (x) { return x.word; }), 10) + "；原因：" + r.failed[0].reason + "）";
+  }
+  return line;
+}
+
+/**
+ * parseRemovalList：「-单词」/「/undo 单词」后的单词列表
+ * - 逗号/分号/换行分隔；短语模式下每段可以是短语，否则按空白再切分
+ */
+function parseRemovalList(text) {
+  var phrases = String(setting("word_only")) === "0";
+  var parts = String(text || "").split(/[,，;；\n]+/);
+  var out = [];
+  for (var i = 0; i < parts.length; i++) {
+    var items = phrases ? [parts[i]] : parts[i].split(/\s+/);
+    for (var j = 0; j < items.length; j++) {
+      var w = normalizeWord(items[j]).replace(/\s+/g, " ");
+      if (isLikelyEnglishTerm(w, phrases)) out.push(w);
+    }
+  }
+  return uniqueStable(out);
+}
+
+function serviceTarget(dictType, bookId) {
+  var svc = WORDBOOK_SERVICES[String(dictType)];
+  return { dictType: String(dictType), key: svc.key, name: svc.name, authorization: resolveCredential(dictType), bookId: bookId || "", words: [] };
+}
+
+/**
+ * removalTargetsForWords：确定每个单词要从哪些服务删除
+ * - 本地历史中记录过（写入成功、服务端已存在）或 /sync 索引中有该单词的服务与单词本；
+ * - 历史中没有记录的单词 → 当前「词典类型」的服务与默认单词本。
+ * @returns {Promise<Array<object>>}  serviceTarget 结构，words 为该服务要删除的单词
+ */
+function removalTargetsForWords(query, history, words) {
+  var groups = Object.create(null);
+  var order = [];
+  var unknown = [];
+  function add(dictType, bookId, w) {
+    var k = dictType + "|" + bookId;
+    if (!groups[k]) {
+      groups[k] = serviceTarget(dictType, bookId);
+      order.push(k);
+    }
+    if (groups[k].words.indexOf(w) < 0) groups[k].words.push(w);
+  }
+  var books = (history.index && history.index.books) || {};
+  for (var i = 0; i < words.length; i++) {
+    var e = historyEntry(history, words[i], false);
+    var services = (e && e.services) || {};
+    var hit = false;
+    for (var slot in services) {
+      if (!Object.prototype.hasOwnProperty.call(services, slot)) continue;
+      var rec = services[slot];
+      var t = ROUTE_SERVICE_KEYS[slotService(slot, rec)];
+      if (!WORDBOOK_SERVICES[t] || !isPresentStatus(rec && rec.status)) continue;
+      add(t, String(rec.book || ""), words[i]);
+      hit = true;
+    }
+    for (var b in books) {
+      if (!Object.prototype.hasOwnProperty.call(books, b)) continue;
+      var dt = ROUTE_SERVICE_KEYS[books[b].service];
+      if (!WORDBOOK_SERVICES[dt] || !inSyncIndex(history.index, { key: books[b].service, bookId: books[b].book }, words[i])) continue;
+      add(dt, String(books[b].book || ""), words[i]);
+      hit = true;
+    }
+    if (!hit) unknown.push(words[i]);
+  }
+  var targets = order.map(function (k) { return groups[k]; });
+  if (!unknown.length) return Promise.resolve(targets);
+  var defaults = resolveWriteTargets().map(function (t) {
+    t.words = unknown.slice();
+    return t;
+  });
+  // 历史中没有单词本记录时按当前设置解析（欧路 wordbook_id / 名称，Anki 默认牌组）
+  return resolveTargetBooks(query, defaults, "").then(function () {
+    return targets.concat(defaults);
+  });
+}
+
+/**
+ * 删除后同步本地记录：历史与 /sync 索引中去掉对应服务、上次写入记录中去掉这些单词；
+ * 离线重试队列中只去掉同一服务 + 单词本待写入的同一单词（其他服务 / 单词本的待写入保留）
+ */
+function forgetRemovedWords(history, reports) {
+  var batch = loadStore(LAST_BATCH_STORE, null);
+  var indexChanged = false;
+  var dropped = Object.create(null);
+  for (var i = 0; i < reports.length; i++) {
+    var r = reports[i];
+    var gone = r.removed.concat(r.missing);
+    var asked = gone.concat(r.failed.map(function (f) { return f.word; }));
+    for (var k = 0; k < asked.length; k++) {
+      dropped[retryKey({ dictType: r.target.dictType, bookId: r.target.bookId, word: normalizeWord(asked[k]) })] = 1;
+    }
+    var indexed = history.index && history.index.books[serviceSlot(r.target.key, r.target.bookId)];
+    for (var j = 0; j < gone.length; j++) {
+      var e = historyEntry(history, gone[j], false);
+      var slot = findServiceSlot(e, r.target.key, r.target.bookId);
+      if (slot) delete e.services[slot];
+      if (indexed && inSyncIndex(history.index, r.target, gone[j])) {
+        delete indexed.words[normalizeTerm(gone[j])];
+        indexChanged = true;
       }
-    } catch (e) {
-      // 若不是纯 JSON，退而使用本地正则从 content 提取
-      wordsToAdd = localExtractWords(content);
     }
+    if (batch && Array.isArray(batch.entries)) {
+      batch.entries.forEach(function (b) {
+        if (b.dictType !== r.target.dictType) return;
+        b.words = b.words.filter(function (w) { return gone.indexOf(w) < 0; });
+      });
+    }
+  }
+  saveHistory(history);
+  if (indexChanged) saveStore(SYNC_INDEX_STORE, history.index);
+  if (batch && Array.isArray(batch.entries)) {
+    batch.entries = batch.entries.filter(function (b) { return b.words && b.words.length; });
+    saveStore(LAST_BATCH_STORE, batch);
+  }
+  var q = loadRetryQueue();
+  var pending = q.pending.filter(function (item) {
+    return !dropped[retryKey({ dictType: item.dictType, bookId: item.bookId, word: normalizeWord(item.word) })];
+  });
+  if (pending.length !== q.pending.length) {
+    q.pending = pending;
+    saveStore(RETRY_QUEUE_STORE, q);
+  }
+}
 
-    // 过滤 + 去重 + 截断（再严格校验一次）
-    var cleaned = [];
-    for (var i = 0; i < wordsToAdd.length; i++) {
-      // 保留 LLM 返回的大小写（普通词小写，专有名词首字母大写）
-      var w0 = String(wordsToAdd[i] || "");
-      var w = w0.trim();
-      if (!isLikelyEnglishWord(w)) continue; // 二次严格校验（大小写无关）
-      cleaned.push(w);
+/**
+ * /undo 命令：从单词本删除单词
+ *  - /undo               撤销上一次查询新写入的全部单词（按当时的服务与单词本）
+ *  - /undo 单词…  或  -单词…   从记录过该单词的服务删除（如误抽的专有名词）
+ */
+function handleUndoCommand(query, args) {
+  var history = loadHistory();
+  var words = parseRemovalList(args.join(" "));
+  var head;
+  var plan;
+  if (args.length) {
+    if (!words.length) return Promise.resolve({ error: buildError("用法：/undo 单词[, 单词…] 或 -单词；不带参数时撤销上一次写入") });
+    head = "Undo: 删除 " + joinPreview(words, 10);
+    plan = removalTargetsForWords(query, history, words);
+  } else {
+    var batch = loadStore(LAST_BATCH_STORE, null);
+    var entries = (batch && Array.isArray(batch.entries)) ? batch.entries : [];
+    if (!entries.length) return Promise.resolve({ result: buildResult("Undo: 没有可撤销的写入记录") });
+    var targets = entries.map(function (b) {
+      var t = serviceTarget(b.dictType, b.bookId);
+      t.words = b.words.slice();
+      return t;
+    });
+    words = uniqueStable([].concat.apply([], entries.map(function (b) { return b.words; })));
+    head = "Undo: 撤销上一次写入的 " + words.length + " 个单词";
+    plan = Promise.resolve(targets);
+  }
+  attachProgress(query);
+  streamProgressLine(query, head);
+  return plan.then(function (targets) {
+    if (!targets.length) return { error: buildError(head + "\n「认证信息」缺失") };
+    var reports = [];
+    var idx = 0;
+    function next() {
+      if (idx >= targets.length) return Promise.resolve(reports);
+      var t = targets[idx++];
+      return removeWordsFromTarget(query, t, t.words).then(function (r) {
+        reports.push(r);
+        return next();
+      });
     }
-    cleaned = uniqueStable(cleaned).slice(0, _maxAdd);
-    return {
-      ok: sc >= 200 && sc < 300 && cleaned.length >= 0,
-      statusCode: sc,
-      words: cleaned,
-      data: resp && resp.data,
-      headers: headers,
-      durationMs: Date.now() - _start,
-      url: url,
-      endpoint: base,
-      model: vModel
-    };
-  }, function (err) {
-    var sc2 = (err && err.response && err.response.statusCode) || 0;
-    var headers2 = (err && err.response && err.response.headers) || {};
-    return {
-      ok: false,
-      statusCode: sc2,
-      words: [],
-      data: (err && err.response && err.response.data) || null,
-      headers: headers2,
-      durationMs: Date.now() - _start,
-      url: url,
-      endpoint: base,
-      model: vModel,
-      errorMessage: errorToMessage(err)
-    };
+    return next().then(function () {
+      forgetRemovedWords(history, reports);
+      var msg = head + "\n" + reports.map(renderRemovalReport).join("\n");
+      var authLine = renderAuthExpired(reports);
+      if (authLine) return { error: buildError(authLine + "\n" + msg) };
+      var anyDone = reports.some(function (r) { return r.removed.length || r.missing.length; });
+      return anyDone ? { result: buildResult(msg) } : { error: buildError(msg) };
+    });
   });
 }
 
 ///////////////////////////////
-// 3) 写入三个词典（全部 request+timeout+cancel）
+// 3.67) 同步单词本到本地索引（/sync）
 ///////////////////////////////
 
-/** 入口分发 */
-function addWord(query, dictType, authorization, word, cb) {
-  if (dictType == 1) return addWordYoudao(query, authorization, word, cb);
-  if (dictType == 2) {
-    var wid = $option.wordbook_id;
-    return addWordEudic(query, authorization, word, wid, function (res) {
-      if (res && res.response && res.response.statusCode === 201) {
-        cb({ result: buildResult("添加单词成功：" + word) });
-      } else {
-        cb({ error: buildError("欧路词典 token 或配置有误，请检查。") });
-      }
-    });
-  }
-  if (dictType == 3) return addWordShanbay(query, authorization, word, cb);
-  cb({ error: buildError("未知的词典类型") });
+// 分页读取各服务单词本（GET）：有道 offset/limit；欧路 page(从 0 起)/page_size；扇贝 page(从 1 起)/ipp
+var YOUDAO_WORDBOOK_PAGE_URL = "https://dict.youdao.com/wordbook/webapi/v2/word/list?sort=time&lanFrom=en";
+var EUDIC_WORDS_LIST_URL = "https://api.frdic.com/api/open/v1/studylist/words/";
+var SHANBAY_WORDS_LIST_URL = "https://apiv3.shanbay.com/wordscollection/words?business_id=6";
+// 每页条数；单个单词本最多读取的单词数（防止异常分页时无限请求）
+var SYNC_PAGE_SIZE = 100;
+var SYNC_MAX_WORDS = 20000;
+var SYNC_INDEX_STORE = "sync_index";
+
+/**
+ * 同步索引：{ books: { <serviceSlot>: { service, book, at, total, words: { <normalizeTerm 结果>: 1 } } } }
+ * - 与查词历史分开保存：单词本可能有上万个单词，只在 /sync 与删除时写回，也不作为查词记录导出；
+ * - 键为服务 + 单词本，与历史记录一致；单词按 normalizeTerm 规范化，与查询时的单词对齐（colour / color）。
+ */
+function loadSyncIndex() {
+  var ix = loadStore(SYNC_INDEX_STORE, null) || {};
+  if (!ix.books || typeof ix.books !== "object") ix.books = {};
+  return ix;
 }
 
-/** 有道（GET） */
-function addWordYoudao(query, cookie, word, cb) {
-  $http.request({
+/** 单词是否在目标服务 + 单词本的 /sync 索引中 */
+function inSyncIndex(ix, target, word) {
+  var b = ix && ix.books[serviceSlot(target.key, target.bookId)];
+  return !!(b && b.words && Object.prototype.hasOwnProperty.call(b.words, normalizeTerm(word)));
+}
+
+/** 从列表项中取单词（各服务字段名不同） */
+function wordOfListItem(item) {
+  if (typeof item === "string") return item;
+  if (!item || typeof item !== "object") return "";
+  return String(item.word || item.content || (item.vocab_with_senses && item.vocab_with_senses.word) || (item.vocabulary && item.vocabulary.word) || "");
+}
+
+/** 去掉 Anki 字段中的 HTML */
+function stripHTML(s) {
+  return String(s || "").replace(/<[^>]*>/g, "").replace(/&nbsp;/g, " ").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&").trim();
+}
+
+/**
+ * fetchWordbookPage：读取单词本的一页
+ * @returns {Promise<{words:string[], total:number|null}>}  认证失效 / 网络错误等 reject（message 为如实原因）
+ */
+function fetchWordbookPage(query, target, page) {
+  var url, header;
+  if (target.dictType === "1") {
+    url = YOUDAO_WORDBOOK_PAGE_URL + "&limit=" + SYNC_PAGE_SIZE + "&offset=" + (page * SYNC_PAGE_SIZE);
+    header = { "Cookie": target.authorization, "Referer": "https://dict.youdao.com", "User-Agent": "Mozilla/5.0" };
+  } else if (target.dictType === "2") {
+    url = EUDIC_WORDS_LIST_URL + encodeURIComponent(target.bookId || setting("wordbook_id")) + "?language=en&page=" + page + "&page_size=" + SYNC_PAGE_SIZE;
+    header = eudicHeaders(target.authorization);
+  } else {
+    url = SHANBAY_WORDS_LIST_URL + "&ipp=" + SYNC_PAGE_SIZE + "&page=" + (page + 1);
+    header = { "Cookie": "auth_token=" + String(target.authorization), "User-Agent": "Mozilla/5.0" };
+  }
+  return requestWithRetry({
     method: "GET",
-    url: YOUDAO_ADD_WORD_URL + encodeURIComponent(word),
-    header: {
-      "Cookie": cookie,
-      "Host": "dict.youdao.com",
-      "Accept": "application/json, text/plain, */*",
-      "Referer": "https://dict.youdao.com",
-      "User-Agent": "Mozilla/5.0"
-    },
-    timeout: WORD_CHECK_TIMEOUT_S,
-    cancelSignal: query.cancelSignal
+    url: url,
+    header: header,
+    stage: "lookup",
+    cancelSignal: query && query.cancelSignal
   }).then(function (res) {
-    var data = (res || {}).data || {};
-    if (data.code === 0) {
-      cb({ result: buildResult("添加单词成功：" + word) });
-    } else {
-      cb({ error: buildError("有道 Cookie 错误或过期，请重新填写。") });
+    if (res && res.__error) throw res.__error;
+    var o = outcomeFromHttp(target.dictType, res);
+    if (o.status !== "added") {
+      var err = new Error(o.message);
+      err.__status = o.status;
+      throw err;
     }
-  }).catch(function () {
-    // 写入层异常也兜底成功，避免 UI 悬挂
-    cb({ result: buildResult("添加单词成功（超时本地兜底）：" + word) });
+    var data = (res && res.data) || {};
+    var body = target.dictType === "1" ? (data.data || {}) : data;
+    var list = body.itemList || body.objects || body.data || [];
+    var total = body.total != null ? Number(body.total) : null;
+    return { words: (Array.isArray(list) ? list : []).map(wordOfListItem).filter(function (w) { return !!w; }), total: total };
   });
 }
 
-/** 欧路（POST） */
-function addWordEudic(query, token, word, wordbook_id, cb) {
-  $http.request({
-    method: "POST",
-    url: EUDIC_ADD_WORD_URL,
-    header: {
-      "Authorization": token,
-      "Content-Type": "application/json",
-      "User-Agent": "Mozilla/5.0"
-    },
-    body: { id: wordbook_id, language: "en", words: [word] },
-    timeout: WORD_CHECK_TIMEOUT_S,
-    cancelSignal: query.cancelSignal
-  }).then(function (res) {
-    cb(res); // 上层判断 statusCode
-  }).catch(function () {
-    cb({ result: buildResult("添加单词成功（超时本地兜底）：" + word) });
+/** Anki：读取牌组中全部笔记的单词字段（findNotes → notesInfo） */
+function fetchAnkiDeckWords(query, deck) {
+  var cfg = getAnkiConfig();
+  if (deck) cfg.deck = String(deck);
+  if (cfg.mode === "file") return Promise.reject(new Error("TSV 文件模式没有可读取的牌组"));
+  var field = cfg.fields ? cfg.fields[0] : "Front";
+  return ankiConnectInvoke(query, cfg, "findNotes", { query: ankiSearchTerm("deck:" + cfg.deck) }).then(function (r) {
+    if (r.error) throw new Error("AnkiConnect：" + r.error);
+    if (!(r.result || []).length) return [];
+    return ankiConnectInvoke(query, cfg, "notesInfo", { notes: r.result }).then(function (info) {
+      if (info.error) throw new Error("AnkiConnect：" + info.error);
+      return (info.result || []).map(function (n) {
+        return stripHTML(n && n.fields && n.fields[field] && n.fields[field].value);
+      }).filter(function (w) { return !!w; });
+    });
   });
 }
+
 /**
- * addWordsBatchEudic：欧路（Frdic）批量添加（单次请求）
- * - 严格遵循官方 API：POST /studylist/words
- * - 请求体：{ language:"en", category_id:"<id>", words:["w1","w2",...] }
- * - 期望 201；重复单词由服务端去重
+ * fetchWordbookWords：按服务分页读取整个单词本（按 qps 限速；读到不足一页、达到 total 或 SYNC_MAX_WORDS 时停止）
+ * @returns {Promise<{words:string[], total:number}>}
  */
-function addWordsBatchEudic(query, token, words, category_id, cb) {
-  $http.request({
-    method: "POST",
-    url: EUDIC_ADD_WORD_URL,
-    header: {
-      "Authorization": token,           // 欧路开放平台 Token
-      "Content-Type": "application/json",
-      "User-Agent": "Mozilla/5.0"
-    },
-    body: { category_id: category_id, language: "en", words: words },
-    timeout: WORD_CHECK_TIMEOUT_S,
-    cancelSignal: query.cancelSignal
-  }).then(function (res) {
-    cb(res); // 交给上层判断 statusCode / message
-  }).catch(function () {
-    // 兜底：避免 UI 悬挂；说明本次是“批量请求超时本地兜底”
-    cb({ __batch_error: true, result: buildResult("添加单词成功（批量超时本地兜底），请求词数：" + String((words||[]).length)) });
+function fetchWordbookWords(query, target) {
+  if (target.dictType === "4") {
+    return fetchAnkiDeckWords(query, target.bookId).then(function (words) {
+      return { words: words, total: words.length };
+    });
+  }
+  if (target.dictType === "2" && !(target.bookId || setting("wordbook_id"))) {
+    return Promise.reject(new Error("未配置欧路单词本 id 或名称"));
+  }
+  var svc = WORDBOOK_SERVICES[target.dictType] || {};
+  var wait = createRateLimiter(svc.qps, query && query.cancelSignal);
+  var words = [];
+  var total = null;
+  var page = 0;
+  function next() {
+    return wait().then(function () {
+      return fetchWordbookPage(query, target, page++);
+    }).then(function (p) {
+      words = words.concat(p.words);
+      if (p.total != null) total = p.total;
+      var expect = total != null ? Math.min(total, SYNC_MAX_WORDS) : SYNC_MAX_WORDS;
+      streamProgress(query, "Sync[" + target.name + "]: 已读取 " + words.length + (total != null ? ("/" + total) : "") + " 个…");
+      if (p.words.length < SYNC_PAGE_SIZE || words.length >= expect) {
+        return { words: words.slice(0, SYNC_MAX_WORDS), total: total != null ? total : words.length };
+      }
+      return next();
+    });
+  }
+  return next();
+}
+
+/**
+ * applySyncIndex：用读取到的单词本内容替换该服务 + 单词本的 /sync 索引（h.index）
+ * - 单词本中有、索引与历史中都没有的 → 计为新记入；
+ * - 索引或历史记录在同一单词本、但单词本中已没有的（在词典 App 中删掉了）→ 移除，历史中去掉该服务记录；
+ * - 单词本内容读取超过 SYNC_MAX_WORDS 被截断时不做移除，保留旧索引中的单词；
+ * - 旧版写在历史中的 synced 记录一并去掉（已由索引代替）。
+ * @returns {{total:number, indexed:number, removed:number}}
+ */
+function applySyncIndex(h, target, fetched) {
+  var has = Object.prototype.hasOwnProperty;
+  var key = target.key;
+  var book = String(target.bookId || "");
+  var slot = serviceSlot(key, book);
+  var prev = (h.index.books[slot] && h.index.books[slot].words) || {};
+  var complete = fetched.words.length >= fetched.total;
+  var words = {};
+  var gone = {};
+  var indexed = 0;
+  for (var i = 0; i < fetched.words.length; i++) {
+    var k = normalizeTerm(fetched.words[i]);
+    if (!k || has.call(words, k)) continue;
+    words[k] = 1;
+    if (!has.call(prev, k) && !isRecordedInService(h, k, target)) indexed++;
+  }
+  for (var p in prev) {
+    if (!has.call(prev, p) || has.call(words, p)) continue;
+    if (complete) gone[p] = true;
+    else words[p] = 1;
+  }
+  for (var w in h.words) {
+    if (!has.call(h.words, w)) continue;
+    var e = h.words[w];
+    var s = findServiceSlot(e, key, book);
+    if (!s) continue;
+    if (e.services[s].status === "synced") {
+      delete e.services[s];
+      continue;
+    }
+    var term = normalizeTerm(e.word || w);
+    if (!complete || !isPresentStatus(e.services[s].status) || has.call(words, term)) continue;
+    delete e.services[s];
+    gone[term] = true;
+  }
+  h.index.books[slot] = { service: key, book: book, at: Date.now(), total: fetched.total, words: words };
+  return { total: fetched.total, indexed: indexed, removed: Object.keys(gone).length };
+}
+
+/** 本次查询的“新词 / 单词本中已有”统计行：只在目标单词本执行过 /sync 后展示（无索引时无法得知已有哪些单词） */
+function renderIndexLine(h, targets, words) {
+  var books = h && h.index && h.index.books;
+  if (!books || !targets.some(function (t) { return books[serviceSlot(t.key, t.bookId)]; })) return "";
+  var existing = words.filter(function (w) {
+    return targets.every(function (t) { return isKnownInService(h, w, t); });
   });
+  return "Index: 新词 " + (words.length - existing.length) + " 个，单词本中已有 " + existing.length + " 个" +
+         (existing.length ? ("（" + joinPreview(existing, 10) + "）") : "");
 }
-/** 扇贝（POST） */
-function addWordShanbay(query, token, word, cb) {
-  $http.request({
-    method: "POST",
-    url: SHANBAY_ADD_WORD_URL,
-    header: {
-      "Cookie": "auth_token=" + String(token),
-      "Content-Type": "application/json",
-      "User-Agent": "Mozilla/5.0"
-    },
-    body: { business_id: 6, words: [word] },
-    timeout: WORD_CHECK_TIMEOUT_S,
-    cancelSignal: query.cancelSignal
-  }).then(function (res) {
-    if (res && res.response && res.response.statusCode === 200) {
-      cb({ result: buildResult("添加单词成功：" + word) });
-    } else {
-      cb({ error: buildError("扇贝 auth_token 错误或过期，请重新填写。") });
+
+/**
+ * /sync 命令：读取各目标服务的单词本，写入本地索引（sync_index.json）
+ * - 之后的查询按索引跳过已在单词本中的单词，并给出「新词 / 已有」统计；
+ * - 欧路读取当前配置的单词本（wordbook_id / 名称），Anki 读取默认牌组。
+ */
+function handleSyncCommand(query) {
+  var targets = resolveWriteTargets().filter(function (t) { return !isMissingCredential(t); });
+  if (!targets.length) return Promise.resolve({ error: buildError("「认证信息」缺失") });
+  attachProgress(query);
+  var history = loadHistory();
+  var lines = [];
+  var failed = [];
+  var idx = 0;
+  function next() {
+    if (idx >= targets.length) return Promise.resolve();
+    var t = targets[idx++];
+    streamProgress(query, "Sync[" + t.name + "]: 读取单词本中…");
+    return fetchWordbookWords(query, t).then(function (fetched) {
+      var st = applySyncIndex(history, t, fetched);
+      var line = "Sync[" + t.name + "]: 单词本共 " + st.total + " 个，新记入本地索引 " + st.indexed + " 个" +
+                 (st.removed ? ("，移除已不在单词本的 " + st.removed + " 个") : "") +
+                 (fetched.words.length < st.total ? ("（仅读取前 " + fetched.words.length + " 个）") : "") +
+                 (t.bookNote ? ("｜" + t.bookNote) : "");
+      lines.push(line);
+      streamProgressLine(query, line);
+    }, function (err) {
+      var line = "Sync[" + t.name + "]: 读取失败：" + (t.bookError || errorToMessage(err));
+      failed.push({ target: t, status: (err && err.__status) || "unknown" });
+      lines.push(line);
+      streamProgressLine(query, line);
+    }).then(next);
+  }
+  return resolveTargetBooks(query, targets, "").then(next).then(function () {
+    saveHistory(history);
+    var msg = lines.join("\n");
+    if (failed.length < targets.length && !saveStore(SYNC_INDEX_STORE, history.index)) {
+      return { error: buildError(msg + "\n本地索引保存失败，本次同步结果未保留") };
     }
-  }).catch(function () {
-    cb({ result: buildResult("添加单词成功（超时本地兜底）：" + word) });
+    var expired = failed.filter(function (f) { return f.status === "auth-expired"; }).map(function (f) {
+      return "「" + WORDBOOK_SERVICES[f.target.dictType].credentialLabel + "」";
+    });
+    if (expired.length) return { error: buildError(expired.join("、") + "已失效或有误，请在插件设置中重新填写。\n" + msg) };
+    return failed.length === targets.length ? { error: buildError(msg) } : { result: buildResult(msg) };
   });
 }
 
 ///////////////////////////////
-// 4) 验证入口（欧路词典 id 辅助）
+// 3.68) 导出查词历史（/export：CSV / Markdown / JSON）
 ///////////////////////////////
 
-/** 插件“验证”按钮逻辑 */
-function pluginValidate(completion) {
-  var dictType = $option.dict_type;
-  var auth = $option.authorization;
+// 导出文件（$sandbox 下，每种格式一个文件，重复导出时覆盖）
+var EXPORT_PATH_PREFIX = "$sandbox/wordbook_export.";
+var EXPORT_FORMATS = { csv: "csv", md: "md", markdown: "md", json: "json" };
+var EXPORT_COLUMNS = ["word", "time", "service", "book", "status", "sentence", "gloss", "lookups"];
 
-  if (!auth) {
-    completion({ result: false, error: { type: "secretKey", message: "未设置认证信息。" } });
-    return;
+/** "YYYY-MM-DD" → 当天 0 点（本地时间）的时间戳；格式有误返回 NaN */
+function parseLocalDate(s) {
+  var m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(s || ""));
+  if (!m) return NaN;
+  var d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return d.getMonth() === Number(m[2]) - 1 ? d.getTime() : NaN;
+}
+
+/**
+ * parseExportArgs：/export [csv|md|json] [since:YYYY-MM-DD] [until:YYYY-MM-DD] [service:youdao,eudic]
+ * - until 包含当天；service 可用 youdao / eudic / shanbay / anki，逗号分隔多个
+ * @returns {{format:string, since:number, until:number, services:string[]|null, error:string}}
+ */
+function parseExportArgs(args) {
+  var out = { format: "csv", since: 0, until: Infinity, services: null, error: "" };
+  for (var i = 0; i < args.length; i++) {
+    var a = String(args[i]);
+    var m = /^(since|from|until|to|service):(.+)$/i.exec(a);
+    if (!m) {
+      if (!EXPORT_FORMATS[a.toLowerCase()]) {
+        out.error = "无法识别的参数「" + a + "」";
+        return out;
+      }
+      out.format = EXPORT_FORMATS[a.toLowerCase()];
+      continue;
+    }
+    var name = m[1].toLowerCase();
+    if (name === "service") {
+      var keys = m[2].toLowerCase().split(",").filter(function (x) { return !!x; });
+      var bad = keys.filter(function (k) { return !ROUTE_SERVICE_KEYS[k] || k === "all"; });
+      if (bad.length) {
+        out.error = "未知的服务「" + bad.join(",") + "」";
+        return out;
+      }
+      out.services = keys;
+      continue;
+    }
+    var t = parseLocalDate(m[2]);
+    if (isNaN(t)) {
+      out.error = "日期「" + m[2] + "」应为 YYYY-MM-DD";
+      return out;
+    }
+    if (name === "since" || name === "from") out.since = t;
+    else out.until = t + 24 * 3600 * 1000 - 1;
   }
+  return out;
+}
 
-  if (dictType == 2) {
-    var wid = $option.wordbook_id;
-    if (!wid) return queryEudicWordbookIds(auth, completion);
-    // 健康性检查
-    addWordEudic({ cancelSignal: null }, auth, "test", wid, function (res) {
-      if (res && res.response && res.response.statusCode === 201) completion({ result: true });
-      else queryEudicWordbookIds(auth, completion);
-    });
-    return;
+/**
+ * exportRows：历史 → 导出行（每个单词每个服务一行；只被查询、未写入任何服务的单词 service 为空）
+ * - time 为该服务最近一次写入/同步的时间，无服务记录时为最近一次查询时间；按 time 排序
+ */
+function exportRows(h, opts) {
+  var rows = [];
+  for (var w in h.words) {
+    if (!Object.prototype.hasOwnProperty.call(h.words, w)) continue;
+    var e = h.words[w];
+    var base = {
+      word: e.word || w,
+      sentence: (e.context && e.context.sentence) || "",
+      gloss: (e.context && e.context.gloss) || "",
+      lookups: Number(e.count) || 0
+    };
+    var services = e.services || {};
+    // 旧版 /sync 写在历史中的 synced 记录不是写入记录，不导出
+    var keys = Object.keys(services).filter(function (k) { return (services[k] || {}).status !== "synced"; });
+    if (!keys.length && Object.keys(services).length) continue;
+    if (!keys.length) keys = [""];
+    for (var i = 0; i < keys.length; i++) {
+      var rec = keys[i] ? services[keys[i]] : null;
+      var service = keys[i] ? slotService(keys[i], rec) : "";
+      if (opts.services && opts.services.indexOf(service) < 0) continue;
+      var at = Number((rec && rec.at) || e.lastAt || e.firstAt) || 0;
+      if (at < opts.since || at > opts.until) continue;
+      rows.push({
+        word: base.word,
+        time: at ? new Date(at).toISOString() : "",
+        service: service,
+        book: (rec && rec.book) || "",
+        status: (rec && rec.status) || "",
+        sentence: base.sentence,
+        gloss: base.gloss,
+        lookups: base.lookups,
+        __at: at
+      });
+    }
+  }
+  rows.sort(function (a, b) { return a.__at - b.__at; });
+  return rows.map(function (r) {
+    delete r.__at;
+    return r;
+  });
+}
+
+function csvCell(v) {
+  var s = String(v == null ? "" : v);
+  return /[",\r\n]/.test(s) ? ("\"" + s.replace(/"/g, "\"\"") + "\"") : s;
+}
+
+function mdCell(v) {
+  return String(v == null ? "" : v).replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/[\r\n]+/g, " ");
+}
+
+/** 导出行 → 文件内容（CSV 带 BOM，Excel 打开中文不乱码） */
+function formatExport(rows, format) {
+  if (format === "json") return JSON.stringify(rows, null, 2) + "\n";
+  var lines;
+  if (format === "md") {
+    lines = ["| " + EXPORT_COLUMNS.join(" | ") + " |", "|" + EXPORT_COLUMNS.map(function () { return " --- "; }).join("|") + "|"];
+    for (var i = 0; i < rows.length; i++) {
+      lines.push("| " + EXPORT_COLUMNS.map(function (c) { return mdCell(rows[i][c]); }).join(" | ") + " |");
+    }
+    return lines.join("\n") + "\n";
+  }
+  lines = [EXPORT_COLUMNS.join(",")];
+  for (var j = 0; j < rows.length; j++) {
+    lines.push(EXPORT_COLUMNS.map(function (c) { return csvCell(rows[j][c]); }).join(","));
+  }
+  return "\ufeff" + lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * /export 命令：把本地查词历史导出为 CSV / Markdown / JSON 文件
+ * - 每行：单词、时间、服务、单词本、写入状态（added / duplicate / queued / 失败类型）、来源例句、语境释义、查询次数
+ */
+function handleExportCommand(query, args) {
+  var opts = parseExportArgs(args);
+  if (opts.error) {
+    return Promise.resolve({ error: buildError(opts.error + "\n用法：/export [csv|md|json] [since:YYYY-MM-DD] [until:YYYY-MM-DD] [service:youdao,eudic,shanbay,anki]") });
+  }
+  var rows = exportRows(loadHistory(), opts);
+  if (!rows.length) return Promise.resolve({ result: buildResult("Export: 没有符合条件的记录") });
+  var path = EXPORT_PATH_PREFIX + opts.format;
+  var ok = false;
+  try { ok = $file.write({ data: $data.fromUTF8(formatExport(rows, opts.format)), path: path }); } catch (_) { ok = false; }
+  if (!ok) return Promise.resolve({ error: buildError("Export: 写入 " + path + " 失败") });
+  var words = uniqueStable(rows.map(function (r) { return normalizeWord(r.word); }));
+  return Promise.resolve({ result: buildResult("Export: 已导出 " + rows.length + " 条记录（" + words.length + " 个单词）→ " + path) });
+}
+
+///////////////////////////////
+// 3.7) 插件命令（以 / 开头的输入）
+///////////////////////////////
+
+/** 命令表：name → handler(query, args) => Promise<{result}|{error}> */
+var PLUGIN_COMMANDS = {
+  queue: handleQueueCommand,
+  books: handleBooksCommand,
+  known: handleKnownCommand,
+  undo: handleUndoCommand,
+  sync: handleSyncCommand,
+  export: handleExportCommand
+};
+
+/**
+ * parseCommand：识别 "/name arg1 arg2" 形式的命令（以及「-单词」）
+ * @returns {null|{name:string, args:string[]}}  非命令或未知命令返回 null
+ */
+function parseCommand(text) {
+  // 「-单词」是「/undo 单词」的简写：只接受单行的单个单词（短语模式下为不超过 6 词的短语），
+  // 不含标点，避免以连字符开头的普通选中文本被当作删除命令
+  var rm = /^-([A-Za-z][A-Za-z'-]*(?: [A-Za-z][A-Za-z'-]*)*)$/.exec(String(text || "").trim());
+  if (rm) {
+    var n = rm[1].split(" ").length;
+    if (n === 1 || (String(setting("word_only")) === "0" && n <= 6)) return { name: "undo", args: [rm[1]] };
+    return null;
   }
+  var m = /^\/([a-z][a-z-]*)(?:\s+([\s\S]*))?$/i.exec(String(text || "").trim());
+  if (!m) return null;
+  var name = m[1].toLowerCase();
+  if (!PLUGIN_COMMANDS[name]) return null;
+  var args = m[2] ? m[2].trim().split(/\s+/) : [];
+  return { name: name, args: args };
+}
+
+///////////////////////////////
+// 4) 验证入口（只读健康检查，不写入任何单词）
+///////////////////////////////
 
-  completion({ result: true });
+// 有道单词本列表（GET，只取 1 条）与扇贝用户信息（GET）：只读接口，用于校验 Cookie / auth_token
+var YOUDAO_WORDBOOK_LIST_URL = "https://dict.youdao.com/wordbook/webapi/v2/word/list?limit=1&offset=0&sort=time&lanFrom=en";
+var SHANBAY_USER_INFO_URL = "https://apiv3.shanbay.com/uc/user/info";
+
+/**
+ * 单项检查结果：{ ok, label, message, type }
+ *  - ok=true 通过；ok=null 仅提示（不影响验证结果）；ok=false 失败，type 为 Bob 错误类型
+ */
+function checkItem(ok, label, message, type) {
+  return { ok: ok, label: label, message: message, type: type || "param" };
 }
 
-/** 查询欧路单词本列表（便于用户挑选 id） */
-function queryEudicWordbookIds(token, completion) {
-  $http.request({
+/** 有道：读取单词本列表（登录失效时接口返回登录页） */
+function checkYoudao(target) {
+  return requestWithRetry({
     method: "GET",
-    url: EUDIC_BOOK_LIST_URL,
-    header: {
-      "Authorization": token,
-      "Content-Type": "application/json",
-      "User-Agent": "Mozilla/5.0"
-    },
-    timeout: Math.max(5, WORD_CHECK_TIMEOUT_S)
+    url: YOUDAO_WORDBOOK_LIST_URL,
+    header: { "Cookie": target.authorization, "Referer": "https://dict.youdao.com", "User-Agent": "Mozilla/5.0" },
+    stage: "lookup"
   }).then(function (res) {
-    if (res && res.response && res.response.statusCode === 200) {
-      var data = (res.data && res.data.data) || [];
-      completion({
-        result: false,
-        error: { type: "param", message: "请选择欧路单词本 id : \n" + JSON.stringify(data, null, 2) }
-      });
-    } else {
-      completion({ result: false, error: { type: "param", message: "欧路 token 错误或过期。" } });
+    var o = outcomeFromHttp("1", res);
+    if (o.status !== "added") return checkItem(false, "有道 Cookie", o.message, o.status === "auth-expired" ? "secretKey" : "api");
+    var total = res.data && res.data.data && res.data.data.total;
+    return checkItem(true, "有道 Cookie", "有效" + (total != null ? ("（单词本共 " + total + " 个单词）") : ""));
+  }, function (err) {
+    return checkItem(false, "有道 Cookie", outcomeFromError(err).message, "network");
+  });
+}
+
+/** 扇贝：读取当前用户信息 */
+function checkShanbay(target) {
+  return requestWithRetry({
+    method: "GET",
+    url: SHANBAY_USER_INFO_URL,
+    header: { "Cookie": "auth_token=" + String(target.authorization), "User-Agent": "Mozilla/5.0" },
+    stage: "lookup"
+  }).then(function (res) {
+    var o = outcomeFromHttp("3", res);
+    if (o.status !== "added") return checkItem(false, "扇贝 auth_token", o.message, o.status === "auth-expired" ? "secretKey" : "api");
+    var nick = res.data && (res.data.nickname || res.data.username);
+    return checkItem(true, "扇贝 auth_token", "有效" + (nick ? ("（" + nick + "）") : ""));
+  }, function (err) {
+    return checkItem(false, "扇贝 auth_token", outcomeFromError(err).message, "network");
+  });
+}
+
+/** 欧路：列出单词本，核对配置的单词本 id / 名称 */
+function checkEudic(target) {
+  return listEudicBooks(null, target.authorization).then(function (books) {
+    var wid = String(setting("wordbook_id") || "");
+    var name = String(setting("wordbook_name") || "").trim();
+    var all = books.map(function (b) { return b.id + " " + b.name; }).join("；");
+    if (wid) {
+      var hit = books.filter(function (b) { return b.id === wid; })[0];
+      if (!hit) return checkItem(false, "欧路 Token", "有效，但单词本 id=" + wid + " 不存在（现有：" + all + "）");
+      return checkItem(true, "欧路 Token", "有效，单词本 id=" + wid + "（" + hit.name + "）");
+    }
+    if (name) {
+      var exists = books.some(function (b) { return b.name === name; });
+      return checkItem(true, "欧路 Token", "有效，单词本「" + name + "」" + (exists ? "已存在" : "不存在，首次写入时自动新建"));
+    }
+    return checkItem(false, "欧路 Token", "有效，但未配置单词本：请填写欧路单词本 id 或名称（现有：" + all + "）");
+  }, function (err) {
+    var msg = errorToMessage(err);
+    return checkItem(false, "欧路 Token", msg, /token/.test(msg) ? "secretKey" : "network");
+  });
+}
+
+/** Anki：AnkiConnect 读取版本号；文件模式无需连接 */
+function checkAnki() {
+  var cfg = getAnkiConfig();
+  if (cfg.mode === "file") return Promise.resolve(checkItem(true, "Anki", "文件模式：导出 TSV，无需连接（牌组 " + cfg.deck + "）"));
+  return ankiConnectInvoke(null, cfg, "version", {}).then(function (r) {
+    if (r.error) return checkItem(false, "Anki", "AnkiConnect：" + r.error);
+    return checkItem(true, "Anki", "AnkiConnect v" + r.result + " 可用（牌组 " + cfg.deck + "）");
+  }, function (err) {
+    return checkItem(false, "Anki", "无法连接 AnkiConnect（" + cfg.url + "）：" + errorToMessage(err), "network");
+  });
+}
+
+/** LLM：发送一个极短的 ping；未配置时提示将使用本地离线抽词 */
+function checkLLM() {
+  var cfg = getLLMConfig();
+  if (setting("llm_provider") === "local") return Promise.resolve(checkItem(null, "LLM", "未使用（本地离线抽词）"));
+  var label = "LLM（" + cfg.adapter.name + (cfg.model ? (" " + cfg.model) : "") + "）";
+  if (!isLLMConfigured(cfg)) return Promise.resolve(checkItem(null, label, "配置不完整（需 API Key / Endpoint / 模型名称），将使用本地离线抽词"));
+  return callLLM({ system: "Reply with the single word OK.", user: "ping", maxTokens: 5 }, null).then(function (info) {
+    if (info.ok) return checkItem(true, label, "响应正常（" + info.durationMs + "ms）");
+    var reason = info.statusCode ? ("HTTP " + info.statusCode + (serverMessage(info.data) ? ("：" + serverMessage(info.data)) : ""))
+                                 : (info.errorMessage || "请求失败");
+    return checkItem(false, label, reason, info.statusCode === 401 || info.statusCode === 403 ? "secretKey" : "api");
+  });
+}
+
+var SERVICE_CHECKS = { "1": checkYoudao, "2": checkEudic, "3": checkShanbay, "4": checkAnki };
+
+/** renderChecklist：每项一行，✓ 通过 / ✗ 失败 / － 提示 */
+function renderChecklist(items) {
+  return items.map(function (x) {
+    return (x.ok ? "✓ " : (x.ok === null ? "－ " : "✗ ")) + x.label + "：" + x.message;
+  }).join("\n");
+}
+
+/**
+ * 插件“验证”按钮逻辑：只读健康检查，结果以清单形式返回
+ *  1) 配置项取值；2) 各单词本服务凭据（有道/扇贝只读接口、欧路单词本列表、AnkiConnect 版本）；3) LLM ping。
+ * 全部通过 → { result: true }；否则 error.message 为完整清单（含每项的具体原因）。
+ */
+function pluginValidate(completion) {
+  var items = settingIssues().map(function (x) {
+    return checkItem(false, "「" + x.title + "」", x.message + "（查询时按默认值处理）");
+  });
+
+  var targets = resolveWriteTargets();
+  if (!targets.length) items.push(checkItem(false, "认证信息", "多词典模式请至少填写一个服务的 Cookie/Token", "secretKey"));
+  var checks = targets.map(function (t) {
+    if (isMissingCredential(t)) {
+      var svc = WORDBOOK_SERVICES[t.dictType];
+      return Promise.resolve(checkItem(false, svc.credentialLabel || t.name, "未填写", "secretKey"));
+    }
+    return SERVICE_CHECKS[t.dictType](t);
+  });
+  checks.push(checkLLM());
+
+  Promise.all(checks).then(function (results) {
+    items = items.concat(results);
+    var failed = items.filter(function (x) { return x.ok === false; });
+    if (!failed.length) {
+      try { $log.info("pluginValidate:\n" + renderChecklist(items)); } catch (_) {}
+      completion({ result: true });
+      return;
     }
-  }).catch(function () {
-    completion({ result: false, error: { type: "param", message: "欧路单词本列表查询失败（网络/超时）。" } });
+    completion({ result: false, error: { type: failed[0].type, message: "验证未通过：\n" + renderChecklist(items) } });
+  }, function (err) {
+    completion({ result: false, error: { type: "unknown", message: "验证异常：" + errorToMessage(err) } });
   });
 }
 
@@ -739,25 +4631,56 @@ function queryEudicWordbookIds(token, completion) {
 // 5) 主入口：translate
 ///////////////////////////////
 
+/** 在结果/错误文案末尾追加状态行（如重试队列状态）；line 为空时原样返回 */
+function appendStatusLine(payload, line) {
+  if (!line || !payload) return payload;
+  if (payload.result && payload.result.toParagraphs && payload.result.toParagraphs.length) {
+    payload.result.toParagraphs[0] = String(payload.result.toParagraphs[0]) + "\n" + line;
+  } else if (payload.error) {
+    payload.error.message = String(payload.error.message || "") + "\n" + line;
+  }
+  return payload;
+}
+
 /**
  * translate：整体流程
- *  1) 仅单词模式 → 含空格直接拒；
+ *  0) 插件命令（/queue、/books、/sync、/export、/undo、-单词 等）→ 直接执行并返回；
+ *  1) 开头的 #标签 → 本次写入同名单词本；
  *  2) 认证检查；
  *  3) 本地严格过滤；
- *  4) 火山 LLM 判定（双重 5s 兜底）；
- *  5) 通过 → 写词典；写入层也有超时兜底提示，保证 UI 快速返回。
+ *  4) 先重试离线队列，再火山 LLM 判定（双重 5s 兜底）；
+ *  5) 通过 → 写词典；写入失败（网络/超时）记入离线重试队列，保证 UI 快速返回。
  */
 function translate(query, completion) {
   try {
     var text          = query.text || "";
-    var from_language = query.detectFrom;
-    var dictType      = $option.dict_type;
-    var word_only     = $option.word_only;
-    var authorization = $option.authorization;
-
-    // 2) 认证检查（必须）
-    if (!authorization) {
-      finalize(query, completion, { error: buildError("「认证信息」缺失") });
+    var word_only     = setting("word_only");
+    // 「仅保存单词」选「否」→ 短语模式：同时保留短语动词/固定搭配/习语
+    var allowPhrases  = String(word_only) === "0";
+
+    // 0) 插件命令
+    var cmd = parseCommand(text);
+    if (cmd) {
+      PLUGIN_COMMANDS[cmd.name](query, cmd.args).then(function (payload) {
+        finalize(query, completion, payload);
+      }, function (err) {
+        finalize(query, completion, { error: buildError("命令执行失败：" + errorToMessage(err)) });
+      });
+      return;
+    }
+
+    // 1) #标签 → 写入同名单词本（欧路/Anki）；配置了路由规则时由规则决定服务与单词本
+    var tagged = parseBookTag(text);
+    text = tagged.text;
+    var rules = parseRoutingRules(setting("routing_rules")).rules;
+
+    var targets = resolveWriteTargets();
+    var bookName = tagged.book;
+
+    // 2) 认证检查（必须；多词典模式下至少配置一个服务）；有路由规则时在选定服务后再检查
+    var credError = rules.length ? "" : credentialError(targets);
+    if (credError) {
+      finalize(query, completion, { error: buildError(credError) });
       return;
     }
 
@@ -771,9 +4694,67 @@ function translate(query, completion) {
 
     // === 情况B：短语/句子/单词（新流程：LLM 抽词 → 批量写库） ===
     if (cls.type === "single_word" || cls.type === "multi_word") {
-      // 3.1 先尝试 LLM 抽词；失败时直接返回“真实报错”，不做本地兜底
-      extractWordsByLLMVolcano(cls.norm, query.cancelSignal)
+      // 流式进度：抽词中 → 抽出的单词 → 每个单词的写入结果，最后由 finalize 给出汇总
+      attachProgress(query);
+      var retryLine = "";
+      var routeLine = "";
+      var history = loadHistory();
+      var done = function (payload) {
+        finalize(query, completion, appendStatusLine(payload, retryLine));
+      };
+
+      // 3.0 先重试离线队列中上次失败的单词（队列为空则跳过）
+      drainRetryQueue(query, history)
+        .then(function (stat) {
+          retryLine = renderRetryStatus(stat);
+          if (stat && stat.recovered) saveHistory(history);
+        }, function (err) {
+          retryLine = "Retry: 重试队列处理异常：" + errorToMessage(err);
+        })
+        // 3.05 路由规则：#标签 / 正则 / LLM 主题 → 写入服务与单词本
+        .then(function () {
+          if (!rules.length) return true;
+          return selectRoute(query, rules, tagged.book, cls.norm).then(function (route) {
+            targets = route.targets;
+            bookName = route.book;
+            routeLine = renderRoute(route);
+            var err = credentialError(targets);
+            if (err) {
+              done({ error: buildError(err + "\n" + routeLine) });
+              return false;
+            }
+            streamProgressLine(query, routeLine);
+            return true;
+          });
+        })
+        // 3.1 再尝试 LLM 抽词；失败时直接返回“真实报错”，不做本地兜底
+        .then(function (routed) {
+          if (!routed) return null;
+          // 单个单词（按原形）且已写入全部目标服务 → 无需再调 LLM，只累计查询次数
+          var single = cls.type === "single_word" ? normalizeTerm(cls.norm) : "";
+          // 先确定单词本（欧路 id / Anki 牌组）：是否已写入按服务 + 单词本判断
+          return (single ? resolveTargetBooks(query, targets, bookName) : Promise.resolve(targets)).then(function () {
+            if (single && targets.every(function (t) { return isKnownInService(history, single, t); })) {
+              var hardKnown = recordLookups(history, [single]);
+              var e = historyEntry(history, single, false);
+              // 已在单词本的单词同样展示释义（优先复用历史中保存的释义）
+              return fetchWordLookups(history, [single], null, query.cancelSignal).then(function (defs) {
+                saveHistory(history);
+                var def = defs[single];
+                var known = buildResult("Agent: " + single + " 已在单词本（第 " + e.count + " 次查询）\nAdd: 跳过" +
+                                        (def ? ("\n" + renderDefinitions(defs, [single])) : "") +
+                                        (hardKnown.length ? ("\n" + renderHardWords(hardKnown)) : ""));
+                if (def) known.toDict = definitionToDict(single, def);
+                done({ result: known });
+                return null;
+              });
+            }
+            // 单词列表直接使用；未配置 LLM → 本地离线抽词（不联网）；长文分段抽词
+            return extractWordsForInput(query, cls.norm, allowPhrases);
+          });
+        })
         .then(function (winfo) {
+          if (winfo === null) return;
           // LLM 请求失败或服务端返回错误 → 直接把真实报错回传给前端
           if (!winfo || !winfo.ok) {
             var dbg = makeLLMDebugMessage({
@@ -782,62 +4763,133 @@ function translate(query, completion) {
               data: winfo && winfo.data,
               headers: winfo && winfo.headers,
               durationMs: winfo && winfo.durationMs,
+              attempts: winfo && winfo.attempts,
+              timeoutMs: winfo && winfo.timeoutMs,
               url: winfo && winfo.url,
+              provider: winfo && winfo.provider,
               model: winfo && winfo.model,
               endpoint: winfo && winfo.endpoint,
               errorMessage: winfo && winfo.errorMessage
             });
-            finalize(query, completion, { error: buildError(dbg) });
+            done({ error: buildError(dbg) });
             return;
           }
 
-          var words = uniqueStable(winfo.words || []);
-          // 限制最大写入量（与 LLM 抽词上限一致）
-          var limit = Number($option.llm_words_max_add) || 200;
+          // 专有名词策略 + 允许/拒绝列表（抽词后在本地应用）
+          var proper = applyProperNounPolicy(uniqueStable(winfo.words || []), winfo.items, cls.norm, winfo.mode);
+          var properLine = renderProperNouns(proper);
+          // 已掌握词表 / 词频过滤（单词列表只按已掌握词表过滤）
+          var vocab = winfo.filter || filterByVocabulary(proper.kept, winfo.mode !== "list");
+          var vocabLine = renderVocabFilter(vocab);
+          var words = vocab.kept;
+          // 限制最大写入量（与 LLM 抽词上限一致；长文/单词列表为 bulk_max_words）
+          var isBulk = winfo.mode === "list" || winfo.mode === "chunked" || String(cls.norm).length > CHUNK_MAX_CHARS;
+          var limit = isBulk ? bulkMaxWords() : setting("llm_words_max_add");
           words = words.slice(0, limit);
 
+          var isLocal = winfo.mode === "local";
           // 如果模型返回空列表，认为无可添加词，直接告知并结束（不做本地兜底）
           if (!words.length) {
-            finalize(query, completion, { result: buildResult("Agent: 模型未返回可加入的英文单词（空列表）\nAdd: 跳过") });
+            var emptyLine = winfo.mode === "prefiltered" ? "Agent: 输入中的单词均已掌握或属于所选常用词范围（未调用 LLM）"
+                          : (vocabLine ? "Agent: 抽出的单词均已掌握或属于所选常用词范围"
+                          : (properLine ? "Agent: 抽出的单词均按专有名词策略跳过"
+                          : (isLocal ? "Agent: 本地离线抽词未发现需加入的单词（均为常见词）"
+                                     : "Agent: 模型未返回可加入的英文单词（空列表）")));
+            done({ result: buildResult(emptyLine + (properLine ? ("\n" + properLine) : "") + (vocabLine ? ("\n" + vocabLine) : "") + "\nAdd: 跳过") });
             return;
           }
 
-          // 工具：拼装预览（控制长度，避免 UI 过长）
-          function joinPreview(arr, limit) {
-            var n = Math.max(0, limit || 30);
-            var head = arr.slice(0, n);
-            var more = arr.length > n ? (" … 等 " + (arr.length - n) + " 个") : "";
-            return head.join(", ") + more;
+          var unit = allowPhrases ? "个英文单词/短语" : "个英文单词";
+          var agentLine;
+          if (winfo.mode === "list") {
+            agentLine = "Agent: 单词列表 " + words.length + " " + unit + "（不经 LLM，还原原形后写入）→ " + joinPreview(words, 30);
+          } else if (winfo.mode === "chunked") {
+            agentLine = "Agent: 长文分 " + winfo.chunks + " 段抽词" + (winfo.failedChunks ? ("（" + winfo.failedChunks + " 段失败已跳过）") : "") +
+                        "，合并排序后 " + words.length + " " + unit + "（AI已过滤简单词）→ " + joinPreview(words, 30);
+          } else if (isLocal) {
+            agentLine = "Agent: 本地离线抽词 " + words.length + " " + unit + "（已过滤常见词，按稀有度排序）→ " + joinPreview(words, 30);
+          } else {
+            agentLine = "Agent: 提取并优先排序 " + words.length + " " + unit + "（AI已过滤简单词）→ " + joinPreview(words, 30);
           }
-
-          if (dictType == 2) {
-            // 欧路（Frdic）批量一次请求
-            var wid = $option.wordbook_id; // 即 category_id
-            addWordsBatchEudic(query, authorization, words, wid, function (res) {
-              if (res && res.response && res.response.statusCode === 201) {
-                var serverMsg = (res.data && res.data.message) ? String(res.data.message) : "批量导入成功";
-                var agentLine = "Agent: 提取并优先排序 " + words.length + " 个英文单词（AI已过滤简单词）→ " + joinPreview(words, 30);
-                var addLine   = "Add: " + serverMsg + "（请求词数：" + words.length + "）";
-                finalize(query, completion, { result: buildResult(agentLine + "\n" + addLine) });
-              } else if (res && res.__batch_error) {
-                finalize(query, completion, res);
-              } else {
-                var sc = res && res.response && res.response.statusCode;
-                var msg = "Agent: 已提取 " + words.length + " 个英文单词\nAdd: 批量失败（statusCode=" + String(sc || "n/a") + "）";
-                finalize(query, completion, { error: buildError(msg) });
+          if (properLine) agentLine += "\n" + properLine;
+          if (vocabLine) agentLine += "\n" + vocabLine;
+          streamProgressLine(query, agentLine);
+          // 定位每个单词的来源句子（语境释义在写入后补充，失败不影响写入）
+          var contexts = buildWordContexts(text, words);
+          var indexLine = "";
+          return resolveTargetBooks(query, targets, bookName).then(function () {
+            // 执行过 /sync 时按本地索引统计新词 / 单词本中已有（写入前统计）
+            indexLine = renderIndexLine(history, targets, words);
+            // Anki 笔记带语境释义：只为要写入 Anki 的新词先取释义
+            var anki = targets.filter(function (t) { return t.dictType === "4"; })[0];
+            var fresh = anki && glossSource() !== "off" ? splitKnownWords(history, anki, words).fresh : [];
+            if (!fresh.length) return null;
+            streamProgress(query, "Dict: 查询释义中…");
+            return fetchWordLookups(history, fresh, contexts, query.cancelSignal);
+          }).then(function () {
+            // 有道/扇贝串行、欧路批量；多词典模式下逐个服务写入；历史中已写入的单词跳过
+            return writeWordsToTargets(query, targets, words, history, contexts);
+          }).then(function (reports) {
+            // 本次写入（或服务端已有、待重试）的单词 → 查释义卡片，一次查询既保存又学习；
+            // 已在单词本而跳过的单词只复用历史中保存的释义，不再请求
+            var inReports = function (w, lists) {
+              return reports.some(function (r) {
+                return lists.some(function (k) { return r[k] && r[k].indexOf(w) >= 0; });
+              });
+            };
+            var written = words.filter(function (w) { return inReports(w, ["success", "duplicate", "queued"]); });
+            var saved = words.filter(function (w) { return written.indexOf(w) >= 0 || inReports(w, ["known"]); });
+            var lookup = written.length && (glossSource() !== "off" || definitionSource() !== "off");
+            if (lookup) streamProgress(query, "Dict: 查询释义中…");
+            return (lookup ? fetchWordLookups(history, written, contexts, query.cancelSignal) : Promise.resolve({})).then(function (defs) {
+              var shown = {};
+              for (var i = 0; i < saved.length; i++) {
+                var e = historyEntry(history, saved[i], false);
+                var d = defs[saved[i]] || (definitionSource() !== "off" && e && e.definition);
+                if (d && Object.keys(shown).length < DEFINITION_MAX_WORDS) shown[saved[i]] = d;
               }
+              var cards = renderDefinitions(shown, saved);
+              if (cards) streamProgressLine(query, cards);
+              return { reports: reports, saved: saved, defs: shown };
             });
-          } else {
-            // 有道/扇贝等 → 保持串行（稳定）
-            addWordsInSeries(query, dictType, authorization, words).then(function (batchRes) {
-              var succ = batchRes.success || [];
-              var fail = batchRes.failed || [];
-              var agentLine = "Agent: 提取并优先排序 " + words.length + " 个英文单词（AI已过滤简单词）→ " + joinPreview(words, 30);
-              var addLine = "Add: 成功 " + succ.length + " 个" + (succ.length ? ("（" + joinPreview(succ, 30) + "）") : "") +
-                            (fail.length ? ("\n失败 " + fail.length + " 个（如：" + joinPreview(fail.map(function(x){return x.word;}), 10) + "）") : "");
-              finalize(query, completion, { result: buildResult(agentLine + "\n" + addLine) });
+          }).then(function (out) {
+            var reports = out.reports;
+            var hard = recordLookups(history, words);
+            recordWriteReports(history, reports);
+            recordWordContexts(history, contexts);
+            saveHistory(history);
+            recordLastBatch(reports);
+
+            var msg = (routeLine ? (routeLine + "\n") : "") + agentLine + "\n" + renderWriteReports(reports);
+            if (indexLine) msg += "\n" + indexLine;
+            var defLines = renderDefinitions(out.defs, out.saved);
+            if (defLines) msg += "\n" + defLines;
+            var infoLine = renderWordInfo(winfo.items, words, winfo.skipped);
+            if (infoLine) msg += "\n" + infoLine;
+            var glossLine = renderGlosses(contexts, words, out.defs);
+            if (glossLine) msg += "\n" + glossLine;
+            if (hard.length) msg += "\n" + renderHardWords(hard);
+            // 认证失效：明确提示重新填写 Cookie/Token（即使其他服务写入成功）
+            var authLine = renderAuthExpired(reports);
+            if (authLine) {
+              done({ error: buildError(authLine + "\n" + msg) });
+              return;
+            }
+            var anyAccepted = reports.some(function (r) {
+              return (r.success && r.success.length > 0) || (r.queued && r.queued.length > 0) ||
+                     (r.duplicate && r.duplicate.length > 0) || (r.known && r.known.length > 0);
             });
-          }
+            if (anyAccepted) {
+              var result = buildResult(msg);
+              // 单个单词：同时以 Bob 词典样式展示释义
+              if (cls.type === "single_word" && out.saved.length === 1 && out.defs[out.saved[0]]) {
+                result.toDict = definitionToDict(out.saved[0], out.defs[out.saved[0]]);
+              }
+              done({ result: result });
+            } else {
+              done({ error: buildError(msg) });
+            }
+          });
         })
         .catch(function (err) {
           // 极端情况下 Promise 拒绝：也把底层真实报错透出
@@ -846,13 +4898,15 @@ function translate(query, completion) {
             statusCode: (err && err.response && err.response.statusCode) || 0,
             data: (err && err.response && err.response.data) || null,
             headers: (err && err.response && err.response.headers) || null,
-            durationMs: null,
+            durationMs: (err && err.__meta && err.__meta.durationMs) || null,
+            attempts: err && err.__meta && err.__meta.attempts,
             url: "",
-            model: $option.volcano_model || "",
-            endpoint: $option.volcano_endpoint || "",
+            provider: getLLMConfig().provider,
+            model: getLLMConfig().model,
+            endpoint: getLLMConfig().endpoint,
             errorMessage: errorToMessage(err)
           });
-          finalize(query, completion, { error: buildError(dbg) });
+          done({ error: buildError(dbg) });
         });
       return;
     }
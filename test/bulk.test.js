@@ -0,0 +1,90 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub, extractionReply } = require("./helpers/stub-server");
+const { createBobSandbox, runTranslate, payloadText, plain } = require("./helpers/bob-sandbox");
+
+const ARK = "https://ark.cn-beijing.volces.com";
+const SHANBAY = "https://apiv3.shanbay.com";
+
+test("parseWordList：逐行 / 逗号分隔的单词列表，含编号前缀", () => {
+  const { ctx } = createBobSandbox();
+  assert.deepEqual(plain(ctx.parseWordList("1. Apple\n2. banana\n3. cherry\n- durian\n• elder\napple")), ["apple", "banana", "cherry", "durian", "elder"]);
+  assert.deepEqual(plain(ctx.parseWordList("alpha, beta; gamma，delta\tepsilon")), ["alpha", "beta", "gamma", "delta", "epsilon"]);
+  assert.equal(ctx.parseWordList("alpha, beta, gamma"), null);
+  assert.equal(ctx.parseWordList("This is a sentence, not a list, of words, at all, really."), null);
+  assert.equal(ctx.parseWordList("give up\nby and large\nalpha\nbeta\ngamma"), null);
+  assert.deepEqual(plain(ctx.parseWordList("give up\nby and large\nalpha\nbeta\ngamma", true)), ["give up", "by and large", "alpha", "beta", "gamma"]);
+  // 短语模式下逗号分隔的句子成分不算单词列表
+  assert.equal(ctx.parseWordList("We went home early, the dog barked twice, it rained all night, she left the party, nobody said anything", true), null);
+  assert.equal(ctx.parseWordList("went home early, barked twice, rained all night, left the party, said nothing", true), null);
+  assert.deepEqual(plain(ctx.parseWordList("carbon footprint, take off, pros and cons, hit the nail on the head, alpha", true)),
+    ["carbon footprint", "take off", "pros and cons", "hit the nail on the head", "alpha"]);
+});
+
+test("splitIntoChunks：按段落合并，超长段落按句子切分，每块不超过上限", () => {
+  const { ctx } = createBobSandbox();
+  const para = (n) => Array.from({ length: n }, (_, i) => "Sentence number " + i + " is here.").join(" ");
+  const text = [para(5), para(5), para(200), para(3)].join("\n\n");
+  const chunks = Array.from(ctx.splitIntoChunks(text, 500));
+  assert.ok(chunks.length > 3);
+  for (const c of chunks) assert.ok(c.length <= 500, c.length);
+  assert.equal(chunks.join(" ").replace(/\s+/g, " "), text.replace(/\s+/g, " "));
+  assert.deepEqual(plain(ctx.splitIntoChunks("short text", 500)), ["short text"]);
+});
+
+test("mergeRankedLists：取最好名次，多段出现的词前移，大小写去重", () => {
+  const { ctx } = createBobSandbox();
+  const merged = plain(ctx.mergeRankedLists([["alpha", "beta", "gamma", "delta"], ["delta", "Beta", "epsilon", "zeta"]], 10));
+  assert.deepEqual(merged, ["delta", "alpha", "beta", "gamma", "epsilon", "zeta"]);
+  assert.equal(ctx.mergeRankedLists([["a", "b", "c"]], 2).length, 2);
+});
+
+test("长文：分段调用 LLM，合并结果，并通过 onStream 报告进度", async () => {
+  let n = 0;
+  const ark = await stub(() => {
+    n++;
+    const words = n === 1 ? ["ubiquitous", "ephemeral"] : ["serendipity", "ubiquitous"];
+    return { body: extractionReply(words) };
+  });
+  const shanbay = await stub(() => ({ body: {} }));
+  const sb = createBobSandbox({
+    options: { dict_type: "3", shanbay_token: "s", volcano_api_key: "k", volcano_model: "m", context_gloss: "off", word_definition: "off" },
+    hosts: { [ARK]: ark.origin, [SHANBAY]: shanbay.origin }
+  });
+  const paragraph = "Phones are ubiquitous and fame is ephemeral, as everyone knows. ".repeat(20);
+  const text = [paragraph, paragraph, paragraph].join("\n\n");
+  const streamed = [];
+
+  const payload = await runTranslate(sb, text, { onStream: (s) => streamed.push(s.result.toParagraphs[0].split("\n").pop()) });
+
+  assert.ok(payload.result, payloadText(payload));
+  assert.equal(ark.requests.length, 3);
+  assert.ok(ark.requests.every((r) => r.body.messages[1].content.length <= 2000));
+  assert.match(payloadText(payload), /Agent: 长文分 3 段抽词，合并排序后 3 个英文单词/);
+  assert.deepEqual(streamed.filter((l) => /分段抽词/.test(l)), ["Agent: 长文分段抽词 1/3…", "Agent: 长文分段抽词 2/3…", "Agent: 长文分段抽词 3/3…"]);
+  // 扇贝一次批量上传
+  assert.deepEqual(shanbay.requests[0].body.words.slice().sort(), ["ephemeral", "serendipity", "ubiquitous"]);
+});
+
+test("单词列表：不经 LLM，按服务的批量大小分批并限速写入", async () => {
+  const shanbay = await stub(() => ({ body: {} }));
+  const sb = createBobSandbox({
+    options: { dict_type: "3", shanbay_token: "s", volcano_api_key: "k", volcano_model: "m", context_gloss: "off", word_definition: "off" },
+    hosts: { [SHANBAY]: shanbay.origin }
+  });
+  const list = Array.from({ length: 60 }, (_, i) => "word" + String.fromCharCode(97 + (i % 26)) + String.fromCharCode(97 + Math.floor(i / 26))).join("\n");
+  const streamed = [];
+
+  const started = Date.now();
+  const payload = await runTranslate(sb, list, { onStream: (s) => streamed.push(s.result.toParagraphs[0].split("\n").pop()) });
+
+  assert.match(payloadText(payload), /Agent: 单词列表 60 个英文单词/);
+  assert.match(payloadText(payload), /成功 60 个/);
+  assert.deepEqual(shanbay.requests.map((r) => r.body.words.length), [50, 10]);
+  // 扇贝 qps=1：两批之间至少间隔约 1 秒
+  assert.ok(Date.now() - started >= 900);
+  assert.deepEqual(streamed.filter((l) => /写入中/.test(l)), ["Add[扇贝]: 写入中 0/60…", "Add[扇贝]: 写入中 50/60（成功 50 个）", "Add[扇贝]: 写入中 60/60（成功 60 个）"]);
+  assert.equal(sb.http.filter((h) => /volces/.test(h.url)).length, 0);
+});
@@ -0,0 +1,143 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub, chatReply, extractionReply } = require("./helpers/stub-server");
+const { createBobSandbox, runTranslate, payloadText, plain } = require("./helpers/bob-sandbox");
+
+const ARK = "https://ark.cn-beijing.volces.com";
+const EUDIC = "https://api.frdic.com";
+const YOUDAO = "https://dict.youdao.com";
+const SHANBAY = "https://apiv3.shanbay.com";
+
+test("LLM 释义卡片：已加入的单词展示音标 / 词性 / 中英释义，单个单词同时给出 toDict", async () => {
+  const ark = await stub((req) => /learner's dictionary/.test(req.body.messages[0].content)
+    ? { body: chatReply(JSON.stringify({ ubiquitous: { phonetic: "/juːˈbɪkwɪtəs/", pos: "adj.", zh: "无处不在的；普遍存在的", en: "present everywhere" } })) }
+    : { body: extractionReply(["ubiquitous"]) });
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const sb = createBobSandbox({
+    options: { dict_type: "2", eudic_token: "t", wordbook_id: "1", volcano_api_key: "k", volcano_model: "m", context_gloss: "off" },
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+
+  const payload = await runTranslate(sb, "ubiquitous");
+
+  assert.match(payloadText(payload), /\nubiquitous \/juːˈbɪkwɪtəs\/ adj\. 无处不在的；普遍存在的 — present everywhere/);
+  assert.deepEqual(plain(payload.result.toDict), {
+    word: "ubiquitous",
+    phonetics: [{ type: "us", value: "juːˈbɪkwɪtəs" }],
+    parts: [{ part: "adj.", means: ["无处不在的", "普遍存在的"] }],
+    additions: [{ name: "English", value: "present everywhere" }]
+  });
+  assert.deepEqual(ark.requests[1].body.response_format, { type: "json_object" });
+  // 释义保存在本地历史中，下次直接复用
+  const history = JSON.parse(sb.files["$sandbox/history.json"]);
+  assert.equal(history.words.ubiquitous.definition.zh, "无处不在的；普遍存在的");
+});
+
+test("默认设置：语境释义与释义卡片由同一次 LLM 请求给出，Gloss 行不重复已展示的释义", async () => {
+  const ark = await stub((req) => /learner's dictionary/.test(req.body.messages[0].content)
+    ? { body: chatReply(JSON.stringify({
+      ubiquitous: { phonetic: "juːˈbɪkwɪtəs", pos: "adj.", zh: "无处不在的", en: "present everywhere", gloss: "随处可见的" },
+      ephemeral: { phonetic: "ɪˈfemərəl", pos: "adj.", zh: "短暂的", en: "lasting a short time", gloss: "转瞬即逝的" }
+    })) }
+    : { body: extractionReply(["ubiquitous", "ephemeral"]) });
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const sb = createBobSandbox({
+    options: { dict_type: "2", eudic_token: "t", wordbook_id: "1", volcano_api_key: "k", volcano_model: "m" },
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous. Fame is ephemeral."));
+
+  assert.equal(ark.requests.filter((r) => /learner's dictionary/.test(r.body.messages[0].content)).length, 1);
+  assert.match(text, /\nubiquitous \/juːˈbɪkwɪtəs\/ adj\. 无处不在的 — present everywhere/);
+  assert.match(text, /\nephemeral \/ɪˈfemərəl\/ adj\. 短暂的 — lasting a short time/);
+  assert.doesNotMatch(text, /Gloss:/);
+  const history = JSON.parse(sb.files["$sandbox/history.json"]).words;
+  assert.equal(history.ubiquitous.context.gloss, "随处可见的");
+});
+
+test("有道词典释义（未配置 LLM）：解析 jsonapi 的音标、英汉与英英释义", async () => {
+  const youdao = await stub(() => ({
+    body: {
+      ec: { word: [{ usphone: "juːˈbɪkwɪtəs", trs: [{ tr: [{ l: { i: ["adj. 普遍存在的，无所不在的"] } }] }] }] },
+      ee: { word: { trs: [{ pos: "adj.", tr: [{ l: { i: "being present everywhere at once" } }] }] } }
+    }
+  }));
+  const shanbay = await stub(() => ({ body: {} }));
+  const sb = createBobSandbox({
+    options: { dict_type: "3", shanbay_token: "s", llm_provider: "local", context_gloss: "off" },
+    hosts: { [YOUDAO]: youdao.origin, [SHANBAY]: shanbay.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous."));
+
+  assert.match(text, /\nubiquitous \/juːˈbɪkwɪtəs\/ adj\. 普遍存在的，无所不在的 — being present everywhere at once/);
+  assert.deepEqual(youdao.requests.map((r) => r.path), ["/jsonapi?jsonversion=2&client=mobile&q=ubiquitous"]);
+});
+
+test("有道词典释义在写入之后并发获取，只查本次写入的单词；已在单词本的单词不再请求", async () => {
+  const youdao = await stub((req) => {
+    if (/ajax\/add/.test(req.path)) return { body: { code: 0 } };
+    const q = new URL(req.path, "http://x").searchParams.get("q");
+    return { delayMs: 800, body: { ec: { word: [{ trs: [{ tr: [{ l: { i: ["n. " + q + " 释义"] } }] }] }] } } };
+  });
+  const history = {
+    words: { quixotic: { word: "quixotic", count: 1, firstAt: 1, lastAt: 1, services: { youdao: { at: 1, status: "added", book: "" } } } }
+  };
+  const sb = createBobSandbox({
+    options: { dict_type: "1", youdao_cookie: "c", llm_provider: "local" },
+    hosts: { [YOUDAO]: youdao.origin },
+    files: { "$sandbox/history.json": JSON.stringify(history) }
+  });
+
+  const started = Date.now();
+  const text = payloadText(await runTranslate(sb, "Ubiquitous, ephemeral and quixotic serendipity."));
+
+  const paths = youdao.requests.map((r) => r.path.replace(/^\/(\w+).*[?&](?:q|word)=(\w+).*$/, "$1 $2"));
+  assert.deepEqual(paths.slice(0, 3).map((p) => p.split(" ")[0]), ["wordbook", "wordbook", "wordbook"]);
+  assert.deepEqual(paths.slice(3).sort(), ["jsonapi ephemeral", "jsonapi serendipity", "jsonapi ubiquitous"]);
+  assert.ok(Date.now() - started < 2000, "释义请求应并发发出");
+  assert.match(text, /\nephemeral n\. ephemeral 释义/);
+  assert.doesNotMatch(text, /quixotic n\./);
+});
+
+test("已在单词本的单词：复用历史中的释义，不发任何请求", async () => {
+  const history = {
+    words: {
+      ubiquitous: {
+        word: "ubiquitous", count: 1, firstAt: 1, lastAt: 1,
+        services: { eudic: { at: 1, status: "added" } },
+        definition: { phonetic: "juːˈbɪkwɪtəs", pos: "adj.", zh: "无处不在的", en: "" }
+      }
+    }
+  };
+  const sb = createBobSandbox({
+    options: { dict_type: "2", eudic_token: "t", wordbook_id: "1", volcano_api_key: "k", volcano_model: "m" },
+    files: { "$sandbox/history.json": JSON.stringify(history) }
+  });
+
+  const payload = await runTranslate(sb, "ubiquitous");
+
+  assert.equal(payloadText(payload), "Agent: ubiquitous 已在单词本（第 2 次查询）\nAdd: 跳过\nubiquitous /juːˈbɪkwɪtəs/ adj. 无处不在的");
+  assert.equal(payload.result.toDict.word, "ubiquitous");
+  assert.equal(sb.http.length, 0);
+});
+
+test("释义获取失败不影响写入结果", async () => {
+  const ark = await stub((req) => /learner's dictionary/.test(req.body.messages[0].content)
+    ? { body: chatReply("not json") }
+    : { body: extractionReply(["ubiquitous"]) });
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const sb = createBobSandbox({
+    options: { dict_type: "2", eudic_token: "t", wordbook_id: "1", volcano_api_key: "k", volcano_model: "m", context_gloss: "off" },
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+
+  const payload = await runTranslate(sb, "Phones are ubiquitous.");
+
+  assert.ok(payload.result);
+  assert.match(payloadText(payload), /成功 1 个（ubiquitous）/);
+  assert.equal(payload.result.toDict, undefined);
+});
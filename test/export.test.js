@@ -0,0 +1,79 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub } = require("./helpers/stub-server");
+const { createBobSandbox, runTranslate, payloadText } = require("./helpers/bob-sandbox");
+
+const YOUDAO = "https://dict.youdao.com";
+
+const T1 = Date.UTC(2026, 2, 1, 12);
+const T2 = Date.UTC(2026, 5, 1, 12);
+const HISTORY = {
+  words: {
+    ubiquitous: {
+      word: "ubiquitous", count: 2, firstAt: T1, lastAt: T2,
+      context: { sentence: "Phones are \"ubiquitous\", sadly.", gloss: "无处不在的" },
+      services: { youdao: { at: T1, status: "added", book: "" }, eudic: { at: T2, status: "duplicate", book: "42" } }
+    },
+    ephemeral: { word: "ephemeral", count: 1, firstAt: T2, lastAt: T2, services: { eudic: { at: T2, status: "queued", book: "42" } } },
+    tesla: { word: "tesla", count: 1, firstAt: T1, lastAt: T1, services: {} }
+  }
+};
+
+function sandbox(options, hosts) {
+  return createBobSandbox({ options: options || {}, hosts: hosts || {}, files: { "$sandbox/history.json": JSON.stringify(HISTORY) } });
+}
+
+test("/export 默认导出 CSV：每个单词每个服务一行，按时间排序，特殊字符转义", async () => {
+  const sb = sandbox();
+
+  const text = payloadText(await runTranslate(sb, "/export"));
+
+  assert.equal(text, "Export: 已导出 4 条记录（3 个单词）→ $sandbox/wordbook_export.csv");
+  const lines = sb.files["$sandbox/wordbook_export.csv"].replace(/^﻿/, "").split("\r\n");
+  assert.equal(lines[0], "word,time,service,book,status,sentence,gloss,lookups");
+  assert.equal(lines[1], "ubiquitous,2026-03-01T12:00:00.000Z,youdao,,added,\"Phones are \"\"ubiquitous\"\", sadly.\",无处不在的,2");
+  assert.equal(lines[2], "tesla,2026-03-01T12:00:00.000Z,,,,,,1");
+  assert.equal(lines.length, 6);
+});
+
+test("/export json / md：按服务与日期范围过滤", async () => {
+  const sb = sandbox();
+
+  assert.match(payloadText(await runTranslate(sb, "/export json service:eudic since:2026-05-01")), /已导出 2 条记录（2 个单词）→ \$sandbox\/wordbook_export\.json$/);
+  const rows = JSON.parse(sb.files["$sandbox/wordbook_export.json"]);
+  assert.deepEqual(rows.map((r) => [r.word, r.service, r.status, r.book]), [["ubiquitous", "eudic", "duplicate", "42"], ["ephemeral", "eudic", "queued", "42"]]);
+
+  await runTranslate(sb, "/export md until:2026-03-01");
+  assert.equal(sb.files["$sandbox/wordbook_export.md"],
+    "| word | time | service | book | status | sentence | gloss | lookups |\n" +
+    "| --- | --- | --- | --- | --- | --- | --- | --- |\n" +
+    "| ubiquitous | 2026-03-01T12:00:00.000Z | youdao |  | added | Phones are \"ubiquitous\", sadly. | 无处不在的 | 2 |\n" +
+    "| tesla | 2026-03-01T12:00:00.000Z |  |  |  |  |  | 1 |\n");
+
+  assert.equal(payloadText(await runTranslate(sb, "/export since:2027-01-01")), "Export: 没有符合条件的记录");
+});
+
+test("/export 参数有误时给出用法", async () => {
+  const sb = sandbox();
+  assert.match(payloadText(await runTranslate(sb, "/export xlsx")), /^无法识别的参数「xlsx」\n用法：\/export/);
+  assert.match(payloadText(await runTranslate(sb, "/export service:dropbox")), /^未知的服务「dropbox」/);
+  assert.match(payloadText(await runTranslate(sb, "/export since:2026-13-01")), /^日期「2026-13-01」应为 YYYY-MM-DD/);
+});
+
+test("写入失败的单词同样记入历史并可导出，但不影响之后重新写入", async () => {
+  let expired = true;
+  const youdao = await stub(() => (expired ? { status: 401, body: {} } : { body: { code: 0 } }));
+  const sb = createBobSandbox({
+    options: { dict_type: "1", youdao_cookie: "c", llm_provider: "none", context_gloss: "off", word_definition: "off" },
+    hosts: { [YOUDAO]: youdao.origin }
+  });
+
+  await runTranslate(sb, "ubiquitous");
+  await runTranslate(sb, "/export json");
+  assert.deepEqual(JSON.parse(sb.files["$sandbox/wordbook_export.json"]).map((r) => [r.word, r.service, r.status]), [["ubiquitous", "youdao", "auth-expired"]]);
+
+  expired = false;
+  assert.match(payloadText(await runTranslate(sb, "ubiquitous")), /Add: 成功 1 个/);
+});
@@ -0,0 +1,185 @@
+"use strict";
+
+/**
+ * 模拟 Bob 插件运行时：在 vm 沙箱中加载 src/main.js
+ * - $option：只接受 info.json 声明的配置项（Bob 不会把未声明的键传给插件）；
+ * - $log / $file（内存）/ $data / $timer（插件环境没有 setTimeout）；
+ * - $http.request：真实发起 HTTP 请求，按 hosts 把线上域名改写到本地桩服务器；
+ *   mode="promise" 返回 Promise（Bob 1.8+），mode="handler" 只支持 handler 回调（旧版 Bob）；
+ * - 沙箱顶层的函数与 var 直接挂在返回的 ctx 上，便于单元测试。
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const vm = require("vm");
+
+const SRC_DIR = path.join(__dirname, "..", "..", "src");
+const DECLARED_OPTIONS = JSON.parse(fs.readFileSync(path.join(SRC_DIR, "info.json"), "utf8")).options.map((o) => o.identifier);
+
+/** 模拟 $signal：subscribe(fn) 订阅，send() 触发取消 */
+function createCancelSignal() {
+  const subscribers = [];
+  let sent = false;
+  return {
+    subscribe(fn) {
+      if (sent) fn();
+      else subscribers.push(fn);
+      return { dispose() {} };
+    },
+    send() {
+      if (sent) return;
+      sent = true;
+      subscribers.splice(0).forEach((fn) => fn());
+    }
+  };
+}
+
+function rewriteURL(url, hosts) {
+  for (const prefix of Object.keys(hosts)) {
+    if (url.startsWith(prefix)) return hosts[prefix] + url.slice(prefix.length);
+  }
+  return null;
+}
+
+/**
+ * performRequest：按 Bob $http.request 的参数发起请求
+ * @returns {Promise<{data:any, response:{statusCode:number, headers:object}}>}  网络错误/超时/取消时 reject
+ */
+function performRequest(opts, hosts, log) {
+  return new Promise((resolve, reject) => {
+    const target = rewriteURL(String(opts.url || ""), hosts);
+    log.push({ method: opts.method || "GET", url: opts.url, target });
+    if (!target) return reject(new Error("connect ECONNREFUSED（未映射的地址：" + opts.url + "）"));
+
+    const hasBody = opts.body !== undefined && opts.body !== null;
+    const payload = hasBody ? (typeof opts.body === "string" ? opts.body : JSON.stringify(opts.body)) : null;
+    const headers = Object.assign({}, opts.header || {});
+    if (payload !== null) headers["Content-Length"] = Buffer.byteLength(payload);
+
+    const req = http.request(target, { method: opts.method || "GET", headers }, (res) => {
+      const chunks = [];
+      res.on("data", (c) => chunks.push(c));
+      res.on("end", () => {
+        const raw = Buffer.concat(chunks).toString("utf8");
+        let data = raw;
+        try {
+          data = raw ? JSON.parse(raw) : "";
+        } catch (_) {
+          data = raw;
+        }
+        resolve({ data, response: { statusCode: res.statusCode, headers: res.headers } });
+      });
+    });
+    req.on("error", (err) => reject(err));
+    if (opts.timeout) {
+      req.setTimeout(Number(opts.timeout) * 1000, () => req.destroy(new Error("timeout")));
+    }
+    if (opts.cancelSignal && typeof opts.cancelSignal.subscribe === "function") {
+      opts.cancelSignal.subscribe(() => req.destroy(new Error("cancelled")));
+    }
+    if (payload !== null) req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * createBobSandbox
+ * @param {{options?:object, hosts?:object, mode?:"promise"|"handler", files?:object}} [opts]
+ *   hosts：{ "https://api.frdic.com": "http://127.0.0.1:PORT" }
+ * @returns {{ctx:object, files:object, http:Array<object>, logs:Array<object>}}
+ */
+function createBobSandbox(opts) {
+  opts = opts || {};
+  const hosts = opts.hosts || {};
+  const mode = opts.mode || "promise";
+  const files = Object.assign({}, opts.files || {});
+  const httpLog = [];
+  const logs = [];
+  const undeclared = Object.keys(opts.options || {}).filter((k) => !DECLARED_OPTIONS.includes(k));
+  if (undeclared.length) throw new Error("info.json 未声明的配置项：" + undeclared.join(", "));
+
+  const $http = {
+    request(o) {
+      if (typeof o.handler === "function") {
+        performRequest(o, hosts, httpLog).then(
+          (res) => o.handler(res),
+          (err) => o.handler({ error: { message: err.message }, response: undefined, data: undefined })
+        );
+        return undefined;
+      }
+      if (mode === "handler") throw new TypeError("$http.request: handler is required");
+      return performRequest(o, hosts, httpLog);
+    }
+  };
+
+  const globals = {
+    console,
+    $option: Object.assign({}, opts.options || {}),
+    $log: {
+      info: (msg) => logs.push({ level: "info", msg }),
+      error: (msg) => logs.push({ level: "error", msg })
+    },
+    $http,
+    $timer: {
+      schedule: (o) => setTimeout(o.handler, Number(o.interval || 0) * 1000),
+      invalidate: (t) => clearTimeout(t)
+    },
+    $data: {
+      fromUTF8: (s) => ({ toUTF8: () => String(s) })
+    },
+    $file: {
+      exists: (p) => Object.prototype.hasOwnProperty.call(files, p),
+      read: (p) => (Object.prototype.hasOwnProperty.call(files, p) ? { toUTF8: () => files[p] } : undefined),
+      write: (o) => {
+        files[o.path] = o.data.toUTF8();
+        return true;
+      },
+      delete: (p) => {
+        delete files[p];
+        return true;
+      }
+    }
+  };
+
+  function load(file, extra) {
+    const ctx = vm.createContext(Object.assign({}, globals, extra));
+    ctx.require = (p) => {
+      const m = { exports: {} };
+      load(path.basename(p), { module: m, exports: m.exports });
+      return m.exports;
+    };
+    vm.runInContext(fs.readFileSync(path.join(SRC_DIR, file), "utf8"), ctx, { filename: file });
+    return ctx;
+  }
+
+  const ctx = load("main.js");
+  return { ctx, files, http: httpLog, logs };
+}
+
+/**
+ * runTranslate：以 Bob 的方式调用 translate，等待 onCompletion
+ * @returns {Promise<{result?:object, error?:object}>}
+ */
+function runTranslate(sandbox, text, query) {
+  return new Promise((resolve) => {
+    sandbox.ctx.translate(Object.assign({
+      text,
+      detectFrom: "en",
+      detectTo: "zh-Hans",
+      cancelSignal: createCancelSignal(),
+      onCompletion: resolve
+    }, query || {}), resolve);
+  });
+}
+
+/** 结果/错误的展示文本 */
+function payloadText(payload) {
+  if (payload && payload.result) return payload.result.toParagraphs.join("\n");
+  return String((payload && payload.error && payload.error.message) || "");
+}
+
+/** 沙箱内对象来自另一个 realm，比较前转成普通对象 */
+const plain = (x) => JSON.parse(JSON.stringify(x));
+
+module.exports = { createBobSandbox, createCancelSignal, runTranslate, payloadText, plain };
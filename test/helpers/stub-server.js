@@ -0,0 +1,109 @@
+"use strict";
+
+/**
+ * 本地桩服务器：代替 Ark / 欧路 / 有道 / 扇贝 等远端接口
+ * - handler(req) → { status, body, headers, delayMs }，body 为对象时按 JSON 返回；
+ * - 收到的请求（含解析后的 JSON body）记录在 stub.requests 中供断言。
+ */
+
+const http = require("http");
+const test = require("node:test");
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      if (!raw) return resolve(null);
+      try {
+        resolve(JSON.parse(raw));
+      } catch (_) {
+        resolve(raw);
+      }
+    });
+  });
+}
+
+/**
+ * startStub：在随机端口启动桩服务器
+ * @param {(req:{method:string, path:string, headers:object, body:any}) => object} handler
+ * @returns {Promise<{origin:string, requests:Array<object>, close:() => Promise<void>}>}
+ */
+function startStub(handler) {
+  const requests = [];
+  const timers = new Set();
+  const server = http.createServer(async (req, res) => {
+    const entry = { method: req.method, path: req.url, headers: req.headers, body: await readBody(req) };
+    requests.push(entry);
+    const out = (await handler(entry)) || {};
+    const send = () => {
+      const isJSON = out.body !== undefined && typeof out.body !== "string";
+      res.writeHead(out.status || 200, Object.assign(
+        { "Content-Type": isJSON ? "application/json" : "text/plain" },
+        out.headers || {}
+      ));
+      res.end(isJSON ? JSON.stringify(out.body) : (out.body || ""));
+    };
+    if (out.delayMs) {
+      const t = setTimeout(() => {
+        timers.delete(t);
+        send();
+      }, out.delayMs);
+      timers.add(t);
+    } else {
+      send();
+    }
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const origin = "http://127.0.0.1:" + server.address().port;
+      resolve({
+        origin,
+        requests,
+        close: () => new Promise((done) => {
+          timers.forEach((t) => clearTimeout(t));
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+// stub() 启动的桩服务器：每个测试结束后统一关闭（node --test 每个测试文件一个进程，各自注册一次）
+const started = [];
+test.afterEach(async () => {
+  await Promise.all(started.splice(0).map((s) => s.close()));
+});
+
+/**
+ * stub：启动桩服务器，当前测试结束后自动关闭
+ * @returns {Promise<{origin:string, requests:Array<object>, close:() => Promise<void>}>}
+ */
+async function stub(handler) {
+  const s = await startStub(handler);
+  started.push(s);
+  return s;
+}
+
+/**
+ * chatReply：OpenAI 兼容 Chat Completions 响应体
+ * @param {string} content  message.content
+ */
+function chatReply(content) {
+  return { choices: [{ message: { content }, finish_reason: "stop" }] };
+}
+
+/**
+ * extractionReply：符合抽词 schema 的 LLM 响应体（每个单词给出 lemma / pos / cefr / reason）
+ * @param {string[]} words
+ */
+function extractionReply(words) {
+  return chatReply(JSON.stringify({
+    add: words.map((w) => ({ word: w, lemma: w, pos: /\s/.test(w) ? "phrase" : "adjective", cefr: "C1", reason: "useful" })),
+    skip: []
+  }));
+}
+
+module.exports = { startStub, stub, chatReply, extractionReply };
@@ -0,0 +1,83 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createBobSandbox, plain } = require("./helpers/bob-sandbox");
+
+const { ctx } = createBobSandbox();
+
+test("isLikelyEnglishWord 接受普通单词与内部连字符/撇号", () => {
+  for (const w of ["hello", "  Hello ", "well-known", "o'clock", "A"]) {
+    assert.equal(ctx.isLikelyEnglishWord(w), true, w);
+  }
+});
+
+test("isLikelyEnglishWord 拒绝空白、邮箱、URL、CJK、数字与首尾符号", () => {
+  for (const w of ["", "give up", "a@b.com", "https://x.y", "www.example", "中文", "abc123", "snake_case", "-ing", "it's'", "a--b", "x".repeat(65), null, 42]) {
+    assert.equal(ctx.isLikelyEnglishWord(w), false, String(w));
+  }
+});
+
+test("classifyInput 区分单词 / 多词 / 无效输入", () => {
+  assert.deepEqual(plain(ctx.classifyInput("  Hello ")), { type: "single_word", norm: "hello" });
+  assert.deepEqual(plain(ctx.classifyInput("give up")), { type: "multi_word", norm: "give up" });
+  assert.equal(ctx.classifyInput("I like it.").type, "multi_word");
+  assert.equal(ctx.classifyInput("中文").type, "invalid");
+  assert.equal(ctx.classifyInput("abc123").type, "invalid");
+  assert.equal(ctx.classifyInput("").type, "invalid");
+});
+
+test("parseYesNo 容错大小写、标点、引号与代码块", () => {
+  assert.equal(ctx.parseYesNo("Yes"), "yes");
+  assert.equal(ctx.parseYesNo("no."), "no");
+  assert.equal(ctx.parseYesNo("\"No\""), "no");
+  assert.equal(ctx.parseYesNo("```\nYes\n```"), "yes");
+  assert.equal(ctx.parseYesNo("Yes, it's a word"), "yes");
+  assert.equal(ctx.parseYesNo("maybe"), "unknown");
+  assert.equal(ctx.parseYesNo(""), "unknown");
+  assert.equal(ctx.parseYesNo(null), "unknown");
+});
+
+test("extractArkContent 兼容字符串、多模态数组、reasoning_content 与 output_text", () => {
+  const msg = (message, finish) => ({ data: { choices: [{ message, finish_reason: finish }] } });
+  assert.deepEqual(plain(ctx.extractArkContent(msg({ content: "[\"a\"]" }, "stop"))), { text: "[\"a\"]", finish_reason: "stop" });
+  assert.deepEqual(
+    plain(ctx.extractArkContent(msg({ content: [{ type: "text", text: "foo" }, { type: "image_url" }, { type: "text", text: "bar" }] }, "stop"))),
+    { text: "foobar", finish_reason: "stop" }
+  );
+  assert.equal(ctx.extractArkContent(msg({ content: null, reasoning_content: "think" }, "length")).text, "think");
+  assert.equal(ctx.extractArkContent({ data: { output_text: "out", finish_reason: "stop" } }).text, "out");
+  assert.deepEqual(plain(ctx.extractArkContent({ data: {} })), { text: "", finish_reason: "" });
+  assert.deepEqual(plain(ctx.extractArkContent(null)), { text: "", finish_reason: "" });
+});
+
+test("validateExtraction 严格校验抽词 schema：结构、词性、CEFR 与 lemma", () => {
+  const good = JSON.stringify({
+    add: [{ word: "ran", lemma: "run", pos: "verb", cefr: "A1", reason: "core verb" },
+          { word: "Paris", lemma: "Paris", pos: "noun", cefr: null, reason: "place" }],
+    skip: [{ word: "the", reason: "function word" }]
+  });
+  const v = plain(ctx.validateExtraction("```json\n" + good + "\n```", false));
+  assert.equal(v.ok, true);
+  assert.deepEqual(v.add.map((x) => x.lemma), ["run", "Paris"]);
+  assert.deepEqual(v.skip, [{ word: "the", reason: "function word" }]);
+
+  assert.equal(ctx.validateExtraction("Sure! Here are the words: ubiquitous", false).ok, false);
+  assert.equal(ctx.validateExtraction("[\"ubiquitous\"]", false).ok, false);
+  const bad = plain(ctx.validateExtraction(JSON.stringify({
+    add: [{ word: "x", lemma: "give up", pos: "phrase", cefr: "B1", reason: "" },
+          { word: "y", lemma: "novel", pos: "adj", cefr: "D1", reason: "r" }],
+    skip: []
+  }), false));
+  assert.equal(bad.ok, false);
+  assert.deepEqual(bad.errors, ["add[0] has invalid lemma", "add[1] has invalid pos/cefr"]);
+  // 短语模式下接受短语 lemma
+  assert.equal(ctx.validateExtraction(JSON.stringify({
+    add: [{ word: "gave up", lemma: "give up", pos: "phrase", cefr: "B1", reason: "" }], skip: []
+  }), true).ok, true);
+});
+
+test("本地离线抽词：词表外的词按原词排在最前，不产出不存在的词干", () => {
+  const words = Array.from(ctx.extractWordsLocally("My darling sibling loves pudding, wrestling and sterling prosecutors.").words);
+  assert.deepEqual(words, ["darling", "sibling", "pudding", "wrestling", "sterling", "prosecutor"]);
+});
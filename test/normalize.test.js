@@ -0,0 +1,84 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub, chatReply } = require("./helpers/stub-server");
+const { createBobSandbox, runTranslate, payloadText } = require("./helpers/bob-sandbox");
+
+const ARK = "https://ark.cn-beijing.volces.com";
+const EUDIC = "https://api.frdic.com";
+
+function normalizeAll(options, words) {
+  const { ctx } = createBobSandbox({ options });
+  return words.map(([w, pos]) => ctx.normalizeTerm(w, pos));
+}
+
+test("normalizeTerm：规则 + 不规则变形表还原原形，词表确认过的 -s 原形不动", () => {
+  assert.deepEqual(normalizeAll({}, [
+    ["Running"], ["ran"], ["runs"], ["created"], ["went", "verb"], ["criteria", "noun"], ["species"], ["news"]
+  ]), ["run", "run", "run", "create", "go", "criterion", "species", "news"]);
+});
+
+test("normalizeTerm：按 LLM 给出的词性还原，不把形容词 / 名词当动词处理", () => {
+  assert.deepEqual(normalizeAll({}, [
+    ["sophisticated", "adjective"], ["building", "noun"], ["buildings", "noun"], ["teacher", "noun"]
+  ]), ["sophisticated", "building", "building", "teacher"]);
+});
+
+test("normalizeTerm：英式 / 美式拼写按「拼写变体」统一", () => {
+  const words = [["colours"], ["realised"], ["organisations"], ["centres"], ["analysing"], ["travelled"], ["rumour"], ["realize"]];
+  assert.deepEqual(normalizeAll({}, words), ["color", "realize", "organization", "center", "analyze", "travel", "rumor", "realize"]);
+  assert.deepEqual(normalizeAll({ spelling_variant: "uk" }, words), ["colour", "realise", "organisation", "centre", "analyse", "travel", "rumour", "realise"]);
+  assert.deepEqual(normalizeAll({ spelling_variant: "keep" }, words), ["colour", "realise", "organisation", "centre", "analyse", "travel", "rumour", "realize"]);
+  // 原词本身认识时不按规则改写
+  assert.deepEqual(normalizeAll({}, [["tours"], ["premise"], ["exercise"], ["filled"]]), ["tour", "premise", "exercise", "fill"]);
+});
+
+test("normalizeTerm：候选原形都不在词表中时保持原词，不还原成不存在的词", () => {
+  const words = [
+    ["compelled"], ["cancelled", "verb"], ["despised"], ["obfuscating"], ["pudding"], ["wrestling"], ["sibling"],
+    ["darling"], ["sterling"], ["quizzes"], ["bored"], ["boring"]
+  ];
+  const surface = words.map(([w]) => w);
+  assert.deepEqual(normalizeAll({}, words), surface);
+  assert.deepEqual(normalizeAll({ spelling_variant: "keep" }, words), surface);
+  // 词表认识的原形照常还原（双写 -ss、-ses 复数、单音节双写）
+  assert.deepEqual(normalizeAll({}, [["focussed"], ["bases"], ["filled"], ["kissed"], ["installed"], ["discussed"]]),
+    ["focus", "base", "fill", "kiss", "install", "discuss"]);
+
+  const { ctx } = createBobSandbox();
+  assert.deepEqual(Array.from(ctx.parseWordList("pudding\nwrestling\nsibling\nquizzes\nbases")), ["pudding", "wrestling", "sibling", "quizzes", "base"]);
+});
+
+test("normalizeTerm：短语只统一拼写并还原首词，内置短语表中的短语保持原样", () => {
+  assert.deepEqual(normalizeAll({}, [["Gave  up on"], ["pros and cons"], ["in favour of"]]), ["give up on", "pros and cons", "in favor of"]);
+});
+
+test("LLM 给出的不同变形在写入前合并为同一原形", async () => {
+  const ark = await stub(() => ({
+    body: chatReply(JSON.stringify({
+      add: [
+        { word: "running", lemma: "running", pos: "verb", cefr: "A1", reason: "r" },
+        { word: "ran", lemma: "ran", pos: "verb", cefr: "A1", reason: "r" },
+        { word: "colours", lemma: "colours", pos: "noun", cefr: "A1", reason: "r" },
+        { word: "color", lemma: "color", pos: "noun", cefr: "A1", reason: "r" }
+      ],
+      skip: []
+    }))
+  }));
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const sb = createBobSandbox({
+    options: { dict_type: "2", eudic_token: "t", wordbook_id: "1", volcano_api_key: "k", volcano_model: "m", context_gloss: "off", word_definition: "off" },
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "He ran, running past the colours of the color wheel."));
+
+  assert.deepEqual(eudic.requests[0].body.words, ["run", "color"]);
+  assert.match(text, /成功 2 个（run, color）/);
+});
+
+test("单词列表同样经过规范化", () => {
+  const { ctx } = createBobSandbox();
+  assert.deepEqual(Array.from(ctx.parseWordList("Colours\nrealised\nstudies\nanalysing\nmice\ncolor")), ["color", "realize", "study", "analyze", "mouse"]);
+});
@@ -0,0 +1,50 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createBobSandbox } = require("./helpers/bob-sandbox");
+
+const { ctx } = createBobSandbox();
+const http = (statusCode, data) => ({ response: { statusCode }, data });
+const status = (dictType, res) => ctx.outcomeFromHttp(dictType, res).status;
+
+test("outcomeFromHttp：通用状态码", () => {
+  for (const dictType of ["1", "2", "3"]) {
+    assert.equal(status(dictType, http(401, {})), "auth-expired");
+    assert.equal(status(dictType, http(403, {})), "auth-expired");
+    assert.equal(status(dictType, http(429, {})), "rate-limited");
+    assert.equal(status(dictType, http(504, {})), "timeout");
+    assert.equal(status(dictType, http(503, {})), "network-error");
+    assert.equal(status(dictType, http(500, {})), "unknown");
+  }
+});
+
+test("outcomeFromHttp：按服务解析成功与重复", () => {
+  assert.equal(status("1", http(200, { code: 0 })), "added");
+  assert.equal(status("1", http(200, { code: 1, msg: "not login" })), "auth-expired");
+  assert.equal(status("1", http(200, "<html>login</html>")), "auth-expired");
+  assert.equal(status("1", http(200, { code: 2 })), "unknown");
+  assert.equal(status("2", http(201, { message: "ok" })), "added");
+  assert.equal(status("2", http(400, { message: "单词已存在" })), "duplicate");
+  assert.equal(status("3", http(200, {})), "added");
+  // 成功状态优先于提示文案：成功提示中的「已添加」不算重复
+  assert.equal(status("2", http(201, { message: "已添加到生词本" })), "added");
+  assert.equal(status("2", http(200, { message: "已添加 1 个单词" })), "added");
+  assert.equal(status("2", http(200, { message: "单词已存在" })), "duplicate");
+  assert.equal(status("3", http(200, { msg: "已添加" })), "added");
+  assert.equal(status("1", http(200, { code: 0, msg: "已添加" })), "added");
+  assert.equal(status("1", http(200, { code: 1, msg: "单词已存在" })), "duplicate");
+});
+
+test("outcomeFromError / outcomeFromHttp：网络层异常区分超时与网络错误", () => {
+  assert.equal(ctx.outcomeFromError(new Error("timeout")).status, "timeout");
+  assert.equal(ctx.outcomeFromError(new Error("请求超时")).status, "timeout");
+  assert.equal(ctx.outcomeFromError(new Error("connect ECONNREFUSED")).status, "network-error");
+  assert.equal(status("2", { error: { message: "The request timed out." } }), "timeout");
+  assert.equal(status("2", { __error: new Error("offline") }), "network-error");
+});
+
+test("isTransientOutcome：仅限流 / 网络错误 / 超时进入重试队列", () => {
+  const transient = Object.keys(ctx.WRITE_OUTCOMES).filter((s) => ctx.isTransientOutcome(s));
+  assert.deepEqual(transient.sort(), ["network-error", "rate-limited", "timeout"]);
+});
@@ -0,0 +1,89 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub, chatReply } = require("./helpers/stub-server");
+const { createBobSandbox, runTranslate, payloadText, plain } = require("./helpers/bob-sandbox");
+
+const ARK = "https://ark.cn-beijing.volces.com";
+const EUDIC = "https://api.frdic.com";
+
+function properItems() {
+  return {
+    tesla: { word: "Tesla", pos: "proper_noun" },
+    licard: { word: "Licard", pos: "proper_noun" },
+    ubiquitous: { word: "ubiquitous", pos: "adjective" }
+  };
+}
+
+test("properNounsInText：句中首字母大写且从未小写出现的词视为专有名词，句首与标题行不作依据", () => {
+  const { ctx } = createBobSandbox();
+  const found = plain(ctx.properNounsInText(
+    "Yesterday Licard met NASA engineers in Paris. Paris is big.\nApple pie beats an apple.\nHow To Build A Better Mousetrap"
+  ));
+  assert.deepEqual(found, { licard: "Licard", nasa: "NASA", paris: "Paris" });
+});
+
+test("applyProperNounPolicy：默认只保留内置名录中的专有名词并恢复大小写", () => {
+  const { ctx } = createBobSandbox();
+  const items = properItems();
+  const p = plain(ctx.applyProperNounPolicy(["tesla", "licard", "ubiquitous"], items, "Tesla and Licard are ubiquitous.", "llm"));
+  assert.deepEqual(p.kept, ["Tesla", "ubiquitous"]);
+  assert.deepEqual(p.dropped, [{ word: "Licard", reason: "不在常见专有名词表" }]);
+  assert.equal(items.Tesla.pos, "proper_noun");
+  assert.equal(ctx.renderProperNouns(p), "Proper: 已跳过 1 个 → Licard（不在常见专有名词表）");
+});
+
+test("applyProperNounPolicy：拒绝列表优先于允许列表，允许列表优先于策略", () => {
+  const { ctx } = createBobSandbox({
+    options: { proper_nouns: "drop", proper_noun_allow: "Licard, Tesla", proper_noun_deny: "tesla；running" }
+  });
+  const p = plain(ctx.applyProperNounPolicy(["tesla", "licard", "run", "ubiquitous"], properItems(), "", "llm"));
+  assert.deepEqual(p.kept, ["Licard", "ubiquitous"]);
+  assert.deepEqual(p.dropped, [{ word: "Tesla", reason: "拒绝列表" }, { word: "run", reason: "拒绝列表" }]);
+
+  const { ctx: keepAll } = createBobSandbox({ options: { proper_nouns: "keep" } });
+  assert.deepEqual(plain(keepAll.applyProperNounPolicy(["tesla", "licard"], properItems(), "", "llm")).kept, ["Tesla", "Licard"]);
+});
+
+test("单词列表只应用允许/拒绝列表，不按大小写判断专有名词", () => {
+  const { ctx } = createBobSandbox({ options: { proper_nouns: "drop", proper_noun_deny: "acme" } });
+  const p = plain(ctx.applyProperNounPolicy(["licard", "acme", "ubiquitous"], null, "ubiquitous, Licard, Acme", "list"));
+  assert.deepEqual(p.kept, ["licard", "ubiquitous"]);
+  assert.deepEqual(p.dropped, [{ word: "acme", reason: "拒绝列表" }]);
+});
+
+test("LLM 抽词后按策略跳过专有名词，结果中列出跳过的词及原因", async () => {
+  const ark = await stub(() => ({
+    body: chatReply(JSON.stringify({
+      add: [
+        { word: "Tesla", lemma: "Tesla", pos: "proper_noun", cefr: "B1", reason: "brand" },
+        { word: "Licard", lemma: "Licard", pos: "proper_noun", cefr: "C2", reason: "name" },
+        { word: "ubiquitous", lemma: "ubiquitous", pos: "adjective", cefr: "C1", reason: "useful" }
+      ],
+      skip: []
+    }))
+  }));
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const sb = createBobSandbox({
+    options: { dict_type: "2", eudic_token: "t", wordbook_id: "1", volcano_api_key: "k", volcano_model: "m", context_gloss: "off", word_definition: "off" },
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Chargers from Tesla and Licard are ubiquitous now."));
+
+  assert.match(ark.requests[0].body.messages[0].content, /proper_noun/);
+  assert.deepEqual(eudic.requests[0].body.words, ["Tesla", "ubiquitous"]);
+  assert.match(text, /Proper: 已跳过 1 个 → Licard（不在常见专有名词表）/);
+});
+
+test("本地离线抽词：专有名词不做词形还原，全部跳过时说明原因", async () => {
+  const sb = createBobSandbox({ options: { dict_type: "2", eudic_token: "t", wordbook_id: "1", llm_provider: "local", proper_nouns: "drop" } });
+  assert.deepEqual(Array.from(sb.ctx.extractWordsLocally("We met Jones and Licard there.").words), ["jones", "licard"]);
+  // 句中的专有名词不还原；句首的大写词只还原成词表认识的原形
+  assert.deepEqual(Array.from(sb.ctx.extractWordsLocally("Jones arrived late. We met Rivers there.").words), ["jones", "rivers"]);
+
+  const text = payloadText(await runTranslate(sb, "We met Jones and Licard there."));
+  assert.match(text, /Agent: 抽出的单词均按专有名词策略跳过/);
+  assert.match(text, /Proper: 已跳过 2 个 → Jones（专有名词）, Licard（专有名词）/);
+});
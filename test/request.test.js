@@ -0,0 +1,153 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub } = require("./helpers/stub-server");
+const { createBobSandbox, createCancelSignal, runTranslate, payloadText } = require("./helpers/bob-sandbox");
+
+const API = "https://api.example.com";
+
+/** 依次返回 responses 中的响应，用完后重复最后一个 */
+function sequence(responses) {
+  let i = 0;
+  return () => responses[Math.min(i++, responses.length - 1)];
+}
+
+test("stageTimeoutMs：按毫秒读取配置（不再除以 50000）", () => {
+  const { ctx } = createBobSandbox({ options: { word_check_timeout_ms: "12000", write_timeout_ms: "3000" } });
+  assert.equal(ctx.stageTimeoutMs("llm"), 12000);
+  assert.equal(ctx.stageTimeoutMs("write"), 3000);
+  assert.equal(ctx.stageTimeoutMs("lookup"), 5000);
+  const defaults = createBobSandbox().ctx;
+  assert.equal(defaults.stageTimeoutMs("llm"), 15000);
+  assert.equal(defaults.stageTimeoutMs("write"), 8000);
+});
+
+test("parseRetryAfterMs / backoffDelayMs", () => {
+  const { ctx } = createBobSandbox();
+  assert.equal(ctx.parseRetryAfterMs({ "Retry-After": "2" }), 2000);
+  assert.equal(ctx.parseRetryAfterMs({ "retry-after": "0.5" }), 500);
+  assert.ok(ctx.parseRetryAfterMs({ "retry-after": new Date(Date.now() + 3000).toUTCString() }) > 1000);
+  assert.equal(ctx.parseRetryAfterMs({}), null);
+  assert.equal(ctx.backoffDelayMs(3, 1234), 1234);
+  for (let attempt = 1; attempt <= 6; attempt++) {
+    const exp = Math.min(ctx.HTTP_BACKOFF_MAX_MS, ctx.HTTP_BACKOFF_BASE_MS * 2 ** (attempt - 1));
+    const d = ctx.backoffDelayMs(attempt, null);
+    assert.ok(d >= exp / 2 && d <= exp, `attempt ${attempt}: ${d}`);
+  }
+});
+
+test("withTimeout：超时后返回替代值", async () => {
+  const { ctx } = createBobSandbox();
+  const never = new Promise(() => {});
+  assert.equal(await ctx.withTimeout(never, 20, "fallback"), "fallback");
+  assert.equal(await ctx.withTimeout(Promise.resolve("ok"), 1000, "fallback"), "ok");
+});
+
+test("5xx 后退避重试，成功时 __meta 记录尝试次数", async () => {
+  const api = await stub(sequence([{ status: 503, headers: { "Retry-After": "0" } }, { status: 200, body: { ok: 1 } }]));
+  const { ctx } = createBobSandbox({ hosts: { [API]: api.origin } });
+
+  const res = await ctx.requestWithRetry({ method: "GET", url: API + "/x", stage: "lookup" });
+
+  assert.equal(res.response.statusCode, 200);
+  assert.equal(res.__meta.attempts, 2);
+  assert.equal(api.requests.length, 2);
+});
+
+test("429 遵守 Retry-After；重试耗尽后返回最后一次响应", async () => {
+  const api = await stub(() => ({ status: 429, headers: { "Retry-After": "1" }, body: {} }));
+  const { ctx } = createBobSandbox({ hosts: { [API]: api.origin } });
+
+  const started = Date.now();
+  const res = await ctx.requestWithRetry({ method: "GET", url: API + "/x", retries: 1 });
+
+  assert.equal(res.response.statusCode, 429);
+  assert.equal(res.__meta.attempts, 2);
+  assert.ok(Date.now() - started >= 900);
+});
+
+test("Retry-After 超过等待上限时不再重试", async () => {
+  const api = await stub(() => ({ status: 429, headers: { "Retry-After": "3600" }, body: {} }));
+  const { ctx } = createBobSandbox({ hosts: { [API]: api.origin } });
+
+  const res = await ctx.requestWithRetry({ method: "GET", url: API + "/x" });
+
+  assert.equal(res.__meta.attempts, 1);
+  assert.equal(api.requests.length, 1);
+});
+
+test("4xx 不重试", async () => {
+  const api = await stub(() => ({ status: 401, body: {} }));
+  const { ctx } = createBobSandbox({ hosts: { [API]: api.origin } });
+  const res = await ctx.requestWithRetry({ method: "GET", url: API + "/x" });
+  assert.equal(res.response.statusCode, 401);
+  assert.equal(api.requests.length, 1);
+});
+
+test("阶段超时生效：写入超时按 write_timeout_ms 结束并 reject", async () => {
+  const api = await stub(() => ({ delayMs: 5000, body: {} }));
+  const { ctx } = createBobSandbox({ options: { write_timeout_ms: "1000" }, hosts: { [API]: api.origin } });
+
+  const started = Date.now();
+  await assert.rejects(ctx.requestWithRetry({ method: "POST", url: API + "/x", stage: "write" }), (err) => {
+    assert.match(err.message, /timeout/);
+    assert.equal(err.__meta.attempts, 1);
+    assert.equal(err.__meta.timeoutMs, 1000);
+    return true;
+  });
+  assert.ok(Date.now() - started < 2500);
+});
+
+test("cancelSignal：退避等待中取消 → 立即 reject，不再发起重试", async () => {
+  const api = await stub(() => ({ status: 503, headers: { "Retry-After": "5" }, body: {} }));
+  const { ctx } = createBobSandbox({ hosts: { [API]: api.origin } });
+  const signal = createCancelSignal();
+
+  const pending = ctx.requestWithRetry({ method: "GET", url: API + "/x", cancelSignal: signal });
+  setTimeout(() => signal.send(), 200);
+
+  await assert.rejects(pending, /cancelled/);
+  assert.equal(api.requests.length, 1);
+});
+
+test("LLM 报错时调试信息包含尝试次数与耗时", async () => {
+  const ark = await stub(() => ({ status: 500, headers: { "Retry-After": "0" }, body: { error: "boom" } }));
+  const sb = createBobSandbox({
+    options: { dict_type: "2", eudic_token: "t", wordbook_id: "1", volcano_api_key: "k", volcano_model: "m" },
+    hosts: { "https://ark.cn-beijing.volces.com": ark.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous."));
+
+  assert.match(text, /statusCode=500/);
+  assert.match(text, /attempts=3 timeoutMs=15000/);
+  assert.match(text, /durationMs=\d+/);
+  assert.equal(ark.requests.length, 3);
+});
+
+test("单词本写入回调抛错时不会被当作请求失败再回调一次", async () => {
+  const youdao = await stub(() => ({ body: { code: 0 } }));
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const shanbay = await stub(() => ({ body: {} }));
+  const { ctx } = createBobSandbox({
+    hosts: { "https://dict.youdao.com": youdao.origin, "https://api.frdic.com": eudic.origin, "https://apiv3.shanbay.com": shanbay.origin }
+  });
+  const query = { cancelSignal: createCancelSignal() };
+  const calls = [];
+  const cb = (payload) => {
+    calls.push(payload);
+    throw new Error("boom");
+  };
+
+  const settled = await Promise.allSettled([
+    ctx.addWordYoudao(query, "c", "ubiquitous", cb),
+    ctx.addWordEudic(query, "t", "ubiquitous", "1", cb),
+    ctx.addWordsBatchEudic(query, "t", ["ubiquitous"], "1", cb),
+    ctx.addWordsBatchShanbay(query, "s", ["ubiquitous"], cb)
+  ]);
+
+  assert.deepEqual(settled.map((x) => x.status + ":" + (x.reason && x.reason.message)), Array(4).fill("rejected:boom"));
+  assert.equal(calls.length, 4);
+  assert.ok(calls.every((x) => x.outcome.status === "added"));
+});
@@ -0,0 +1,167 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub, chatReply, extractionReply } = require("./helpers/stub-server");
+const { createBobSandbox, runTranslate, payloadText, plain } = require("./helpers/bob-sandbox");
+
+const ARK = "https://ark.cn-beijing.volces.com";
+const EUDIC = "https://api.frdic.com";
+const YOUDAO = "https://dict.youdao.com";
+const SHANBAY = "https://apiv3.shanbay.com";
+
+const RULES = "#paper => eudic:Papers\n/\\bnpm\\b/i => shanbay; topic:fiction => eudic:Novels\n#misc => youdao";
+const BASE = {
+  dict_type: "1", youdao_cookie: "c", eudic_token: "t", shanbay_token: "s",
+  volcano_api_key: "k", volcano_model: "m", context_gloss: "off", word_definition: "off", routing_rules: RULES
+};
+
+/** Ark 桩：主题分类请求回复 topic，其余为抽词 */
+function ark(topic, words) {
+  return stub((req) => /^Classify the TEXT/.test(req.body.messages[0].content)
+    ? { body: chatReply(topic) }
+    : { body: extractionReply(words) });
+}
+
+/** 欧路桩：单词本列表 + 写入 */
+function eudicBooks(books) {
+  return stub((req) => req.method === "GET" ? { body: { data: books } } : { status: 201, body: {} });
+}
+
+test("parseRoutingRules：解析四种条件，格式有误的规则跳过并报告", () => {
+  const { ctx } = createBobSandbox();
+  const r = plain(ctx.parseRoutingRules(RULES + "\nfoo => eudic\n#x => dropbox\n/(/ => anki"));
+  assert.deepEqual(r.rules.map((x) => [x.index, x.kind, x.value, x.dictType, x.book]), [
+    [1, "tag", "paper", "2", "Papers"],
+    [2, "regex", "", "3", ""],
+    [3, "topic", "fiction", "2", "Novels"],
+    [4, "tag", "misc", "1", ""]
+  ]);
+  assert.equal(r.errors.length, 3);
+  assert.match(r.errors[0], /^第 5 条条件「foo」应为 #标签、\/正则\/、topic:主题 或 \*/);
+  assert.match(r.errors[1], /^第 6 条「#x => dropbox」格式应为/);
+  assert.match(r.errors[2], /^第 7 条正则有误/);
+});
+
+test("parseRoutingRules：/正则/ 内的 ; 不作规则分隔", () => {
+  const { ctx } = createBobSandbox();
+  const r = plain(ctx.parseRoutingRules("/\\w+\\(\\);|[;/]x/ => anki:Code ; #paper => eudic:Papers\n* => youdao"));
+  assert.deepEqual(r.errors, []);
+  assert.deepEqual(r.rules.map((x) => [x.kind, x.dictType, x.book]), [["regex", "4", "Code"], ["tag", "2", "Papers"], ["default", "1", ""]]);
+  const re = ctx.parseRoutingRules("/\\w+\\(\\);|[;/]x/ => anki").rules[0].re;
+  assert.ok(re.test("call foo();"));
+  assert.ok(re.test("a/x"));
+});
+
+test("#标签 规则：写入指定服务的指定单词本，结果说明命中的规则", async () => {
+  const llm = await ark("other", ["ubiquitous"]);
+  const eudic = await eudicBooks([{ id: 9, name: "Papers" }]);
+  const sb = createBobSandbox({ options: BASE, hosts: { [ARK]: llm.origin, [EUDIC]: eudic.origin } });
+
+  const text = payloadText(await runTranslate(sb, "#paper Phones are ubiquitous."));
+
+  assert.match(text, /^Route: 命中规则 1「#paper => eudic:Papers」\n/);
+  assert.equal(eudic.requests[1].body.category_id, "9");
+  // 标签与正则规则在前命中，不需要主题分类
+  assert.equal(llm.requests.filter((r) => /^Classify/.test(r.body.messages[0].content)).length, 0);
+});
+
+test("同一单词路由到不同单词本时分别写入，只在同一单词本中按历史跳过", async () => {
+  const llm = await ark("fiction", ["ubiquitous"]);
+  const eudic = await eudicBooks([{ id: 9, name: "Papers" }, { id: 10, name: "Novels" }]);
+  const sb = createBobSandbox({ options: BASE, hosts: { [ARK]: llm.origin, [EUDIC]: eudic.origin } });
+
+  await runTranslate(sb, "#paper Phones are ubiquitous.");
+  await runTranslate(sb, "In the novel, phones are ubiquitous.");
+  const text = payloadText(await runTranslate(sb, "#paper Phones are ubiquitous again."));
+
+  const writes = eudic.requests.filter((r) => r.method === "POST" && r.body.words);
+  assert.deepEqual(writes.map((r) => [r.body.category_id, r.body.words]), [["9", ["ubiquitous"]], ["10", ["ubiquitous"]]]);
+  assert.match(text, /已在单词本/);
+  const history = JSON.parse(sb.files["$sandbox/history.json"]).words;
+  assert.deepEqual(Object.keys(history.ubiquitous.services).sort(), ["eudic@10", "eudic@9"]);
+});
+
+test("正则规则：按内容匹配", async () => {
+  const llm = await ark("other", ["ubiquitous"]);
+  const shanbay = await stub(() => ({ body: {} }));
+  const sb = createBobSandbox({ options: BASE, hosts: { [ARK]: llm.origin, [SHANBAY]: shanbay.origin } });
+
+  const text = payloadText(await runTranslate(sb, "Install it with npm; it is ubiquitous."));
+
+  assert.match(text, /^Route: 命中规则 2「\/\\bnpm\\b\/i => shanbay」/);
+  assert.deepEqual(shanbay.requests[0].body.words, ["ubiquitous"]);
+});
+
+test("主题规则：LLM 判定主题后路由", async () => {
+  const llm = await ark("Fiction.", ["melancholy"]);
+  const eudic = await eudicBooks([{ id: 3, name: "Novels" }]);
+  const sb = createBobSandbox({ options: BASE, hosts: { [ARK]: llm.origin, [EUDIC]: eudic.origin } });
+
+  const text = payloadText(await runTranslate(sb, "The old man walked home in melancholy silence."));
+
+  assert.match(text, /^Route: 命中规则 3「topic:fiction => eudic:Novels」（主题 fiction）/);
+  assert.equal(eudic.requests[1].body.category_id, "3");
+  assert.match(llm.requests[0].body.messages[0].content, /topics: fiction, or "other"/);
+});
+
+test("未命中任何规则 → 沿用默认设置", async () => {
+  const llm = await ark("other", ["ubiquitous"]);
+  const youdao = await stub(() => ({ body: { code: 0 } }));
+  const sb = createBobSandbox({ options: BASE, hosts: { [ARK]: llm.origin, [YOUDAO]: youdao.origin } });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous."));
+
+  assert.match(text, /^Route: 未命中规则，使用默认设置\n/);
+  assert.equal(youdao.requests.length, 1);
+});
+
+test("规则选中的服务未填写凭据 → 如实报错", async () => {
+  const llm = await ark("other", ["ubiquitous"]);
+  const sb = createBobSandbox({
+    options: Object.assign({}, BASE, { shanbay_token: "" }),
+    hosts: { [ARK]: llm.origin }
+  });
+
+  const payload = await runTranslate(sb, "Install it with npm.");
+
+  assert.equal(payloadText(payload), "「认证信息」缺失：扇贝 auth_token 未填写\nRoute: 命中规则 2「/\\bnpm\\b/i => shanbay」");
+});
+
+test("缓存的欧路单词本已被删除（404）→ 丢弃缓存 id，按名称重新查找后重写", async () => {
+  const llm = await ark("other", ["ubiquitous"]);
+  const eudic = await stub((req) => {
+    if (req.method === "GET") return { body: { data: [{ id: 9, name: "Papers" }] } };
+    return req.body.category_id === "7" ? { status: 404, body: { message: "category not found" } } : { status: 201, body: {} };
+  });
+  const sb = createBobSandbox({
+    options: BASE,
+    hosts: { [ARK]: llm.origin, [EUDIC]: eudic.origin },
+    files: { "$sandbox/books.json": JSON.stringify({ eudic: { papers: "7" } }) }
+  });
+
+  const text = payloadText(await runTranslate(sb, "#paper Phones are ubiquitous."));
+
+  const writes = eudic.requests.filter((r) => r.method === "POST");
+  assert.deepEqual(writes.map((r) => r.body.category_id), ["7", "9"]);
+  assert.doesNotMatch(text, /失败/);
+  assert.deepEqual(JSON.parse(sb.files["$sandbox/books.json"]).eudic, { papers: "9" });
+  const history = JSON.parse(sb.files["$sandbox/history.json"]).words;
+  assert.deepEqual(Object.keys(history.ubiquitous.services), ["eudic@9"]);
+});
+
+test("/books 列出扇贝账号下的单词书并标出当前在学的一本，auth_token 失效时如实报告", async () => {
+  const shanbay = await stub((req) => /\/current$/.test(req.path)
+    ? { body: { materialbook_id: "b2", materialbook: { id: "b2", name: "GRE 核心词" } } }
+    : { body: { objects: [{ materialbook: { id: "b1", name: "四级词汇" } }, { materialbook: { id: "b2", name: "GRE 核心词" } }], total: 2 } });
+  const sb = createBobSandbox({ options: { dict_type: "3", shanbay_token: "s" }, hosts: { [SHANBAY]: shanbay.origin } });
+
+  const text = payloadText(await runTranslate(sb, "/books"));
+
+  assert.match(text, /^\[扇贝\] 单词书（只读）：单词写入生词本，不能按单词书写入或新建\n {4}四级词汇（id=b1）\n {2}\* GRE 核心词（id=b2）\n/);
+  assert.deepEqual(shanbay.requests.map((r) => r.headers.cookie), ["auth_token=s", "auth_token=s"]);
+
+  const expired = await stub(() => ({ status: 401, body: { msg: "unauthorized" } }));
+  const sb2 = createBobSandbox({ options: { dict_type: "3", shanbay_token: "s" }, hosts: { [SHANBAY]: expired.origin } });
+  assert.match(payloadText(await runTranslate(sb2, "/books")), /^\[扇贝\] 列出失败：扇贝认证失效/);
+});
@@ -0,0 +1,60 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createBobSandbox, plain } = require("./helpers/bob-sandbox");
+
+const SRC = path.join(__dirname, "..", "src");
+const info = JSON.parse(fs.readFileSync(path.join(SRC, "info.json"), "utf8"));
+const mainSource = fs.readFileSync(path.join(SRC, "main.js"), "utf8");
+
+test("SETTINGS 与 info.json 声明的配置项一一对应，代码只通过 setting() 读取已声明的配置", () => {
+  const { ctx } = createBobSandbox();
+  assert.deepEqual(Object.keys(ctx.SETTINGS).sort(), info.options.map((o) => o.identifier).sort());
+  for (const o of info.options.filter((x) => x.type === "menu")) {
+    assert.deepEqual(Array.from(ctx.SETTINGS[o.identifier].values), o.menuValues.map((m) => m.value), o.identifier);
+    assert.equal(ctx.SETTINGS[o.identifier].def, o.defaultValue, o.identifier);
+  }
+  const used = [...mainSource.matchAll(/setting\("([a-z_]+)"\)/g)].map((m) => m[1]);
+  for (const name of used) assert.ok(ctx.SETTINGS[name], name);
+  assert.doesNotMatch(mainSource.replace(/function rawSetting[\s\S]*?\n}\n/, ""), /\$option/);
+});
+
+test("旧配置名 llm_system_prompt 映射到 llm_words_system_prompt，新名优先", () => {
+  assert.equal(createBobSandbox({ options: { llm_system_prompt: "old" } }).ctx.setting("llm_words_system_prompt"), "old");
+  assert.equal(createBobSandbox({ options: { llm_system_prompt: "old", llm_words_system_prompt: "new" } }).ctx.setting("llm_words_system_prompt"), "new");
+});
+
+test("旧配置名仍在 info.json 中声明，测试沙箱拒绝未声明的配置项", () => {
+  const old = info.options.find((o) => o.identifier === "llm_system_prompt");
+  assert.ok(old);
+  assert.match(old.title, /已弃用/);
+  assert.throws(() => createBobSandbox({ options: { llm_prompt: "x" } }), /info\.json 未声明的配置项：llm_prompt/);
+});
+
+test("取值不合法时运行时回退默认值，settingIssues 逐项列出", () => {
+  const { ctx } = createBobSandbox({
+    options: { llm_words_max_add: "abc", bulk_max_words: "0", word_check_timeout_ms: "500", write_timeout_ms: "20000", dict_type: "9", llm_endpoint: "api.example.com" }
+  });
+  assert.equal(ctx.setting("llm_words_max_add"), 200);
+  assert.equal(ctx.setting("bulk_max_words"), 500);
+  assert.equal(ctx.stageTimeoutMs("llm"), 15000);
+  assert.equal(ctx.stageTimeoutMs("write"), 20000);
+  assert.equal(ctx.setting("dict_type"), "1");
+  assert.deepEqual(plain(ctx.settingIssues()), [
+    { name: "dict_type", title: "词典类型", message: "「9」不是可选值" },
+    { name: "llm_endpoint", title: "LLM Endpoint", message: "必须以 http:// 或 https:// 开头" },
+    { name: "llm_words_max_add", title: "LLM 最多加入单词数", message: "「abc」不是整数" },
+    { name: "bulk_max_words", title: "长文/单词列表最多写入数", message: "取值范围 1–5000，当前为 0" },
+    { name: "word_check_timeout_ms", title: "LLM 超时（毫秒）", message: "取值范围 1000–120000，当前为 500" }
+  ]);
+});
+
+test("pluginValidate 报告配置错误，而不是在查询时才失败", async () => {
+  const { ctx } = createBobSandbox({ options: { dict_type: "2", eudic_token: "t", wordbook_id: "1", write_timeout_ms: "8s" } });
+  const res = await new Promise((resolve) => ctx.pluginValidate(resolve));
+  assert.equal(res.result, false);
+  assert.match(res.error.message, /^验证未通过：\n✗ 「单词本写入超时（毫秒）」：「8s」不是整数（查询时按默认值处理）\n/);
+});
@@ -0,0 +1,139 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub, extractionReply } = require("./helpers/stub-server");
+const { createBobSandbox, runTranslate, payloadText } = require("./helpers/bob-sandbox");
+
+const ARK = "https://ark.cn-beijing.volces.com";
+const EUDIC = "https://api.frdic.com";
+const YOUDAO = "https://dict.youdao.com";
+const SHANBAY = "https://apiv3.shanbay.com";
+const ANKI = "http://127.0.0.1:8765";
+
+const ARK_OPTIONS = { volcano_api_key: "k", volcano_model: "m", context_gloss: "off", word_definition: "off" };
+
+test("/sync 分页读取有道单词本；之后的查询跳过已有单词并给出新词 / 已有统计", async () => {
+  const remote = Array.from({ length: 100 }, (_, i) => "filler" + i).concat(["Ubiquitous", "serendipity", "quixotic"]);
+  const youdao = await stub((req) => {
+    if (/word\/list/.test(req.path)) {
+      const u = new URL(req.path, "http://x");
+      const offset = Number(u.searchParams.get("offset"));
+      const limit = Number(u.searchParams.get("limit"));
+      return { body: { code: 0, data: { total: remote.length, itemList: remote.slice(offset, offset + limit).map((word) => ({ word })) } } };
+    }
+    return { body: { code: 0 } };
+  });
+  const ark = await stub(() => ({ body: extractionReply(["ubiquitous", "ephemeral"]) }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "1", youdao_cookie: "c" }, ARK_OPTIONS),
+    hosts: { [YOUDAO]: youdao.origin, [ARK]: ark.origin }
+  });
+
+  const synced = await runTranslate(sb, "/sync");
+
+  assert.equal(payloadText(synced), "Sync[有道]: 单词本共 103 个，新记入本地索引 103 个");
+  assert.deepEqual(youdao.requests.map((r) => new URL(r.path, "http://x").searchParams.get("offset")), ["0", "100"]);
+  assert.equal(youdao.requests[0].headers.cookie, "c");
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous; fame is ephemeral."));
+
+  assert.match(text, /Add: 成功 1 个（ephemeral）\n已在单词本 1 个（ubiquitous）\nIndex: 新词 1 个，单词本中已有 1 个（ubiquitous）/);
+  const adds = youdao.requests.filter((r) => /ajax\/add/.test(r.path));
+  assert.deepEqual(adds.map((r) => r.path), ["/wordbook/webapi/v2/ajax/add?lan=en&word=ephemeral"]);
+});
+
+test("/sync 欧路：读取配置的单词本，移除本地记录中已被删掉的单词", async () => {
+  const eudic = await stub((req) => {
+    if (req.method === "GET") return { body: { data: [{ word: "ubiquitous", exp: "" }] } };
+    return { status: 201, body: {} };
+  });
+  const history = {
+    words: {
+      ephemeral: { word: "ephemeral", count: 1, firstAt: 1, lastAt: 1, services: { eudic: { at: 1, status: "added", book: "42" } } },
+      quixotic: { word: "quixotic", count: 1, firstAt: 1, lastAt: 1, services: { eudic: { at: 1, status: "added", book: "7" } } }
+    }
+  };
+  const sb = createBobSandbox({
+    options: { dict_type: "2", eudic_token: "t", wordbook_id: "42" },
+    hosts: { [EUDIC]: eudic.origin },
+    files: { "$sandbox/history.json": JSON.stringify(history) }
+  });
+
+  const text = payloadText(await runTranslate(sb, "/sync"));
+
+  assert.equal(text, "Sync[欧路]: 单词本共 1 个，新记入本地索引 1 个，移除已不在单词本的 1 个");
+  assert.equal(eudic.requests[0].path, "/api/open/v1/studylist/words/42?language=en&page=0&page_size=100");
+  const saved = JSON.parse(sb.files["$sandbox/history.json"]);
+  assert.deepEqual(saved.words.ephemeral.services, {});
+  assert.equal(saved.words.quixotic.services.eudic.book, "7");
+  // 同步到的单词只进索引，不写入查词历史
+  assert.equal(saved.words.ubiquitous, undefined);
+  const index = JSON.parse(sb.files["$sandbox/sync_index.json"]);
+  assert.deepEqual(Object.keys(index.books), ["eudic@42"]);
+  assert.deepEqual(index.books["eudic@42"].words, { ubiquitous: 1 });
+  assert.equal(index.books["eudic@42"].total, 1);
+});
+
+test("/sync 多词典：认证失效的服务如实报错，其余服务照常同步", async () => {
+  const shanbay = await stub(() => ({ status: 401, body: { msg: "login required" } }));
+  const anki = await stub((req) => {
+    if (req.body.action === "findNotes") return { body: { result: [1, 2], error: null } };
+    return { body: { result: [{ fields: { Front: { value: "<b>ubiquitous</b>" } } }, { fields: { Front: { value: "give up" } } }], error: null } };
+  });
+  const sb = createBobSandbox({
+    options: { dict_type: "0", shanbay_token: "bad", anki_deck: "Vocab" },
+    hosts: { [SHANBAY]: shanbay.origin, [ANKI]: anki.origin }
+  });
+
+  const payload = await runTranslate(sb, "/sync");
+
+  assert.ok(payload.error);
+  assert.equal(payloadText(payload), "「扇贝 auth_token」已失效或有误，请在插件设置中重新填写。\n" +
+    "Sync[扇贝]: 读取失败：扇贝认证失效（statusCode=401，login required）\n" +
+    "Sync[Anki]: 单词本共 2 个，新记入本地索引 2 个");
+  assert.equal(shanbay.requests[0].path, "/wordscollection/words?business_id=6&ipp=100&page=1");
+  assert.equal(anki.requests[0].body.params.query, "\"deck:Vocab\"");
+  const index = JSON.parse(sb.files["$sandbox/sync_index.json"]);
+  assert.deepEqual(Object.keys(index.books.anki.words), ["ubiquitous", "give up"]);
+  assert.equal(index.books.shanbay, undefined);
+});
+
+test("未执行过 /sync 时不展示新词 / 已有统计", async () => {
+  const ark = await stub(() => ({ body: extractionReply(["ubiquitous"]) }));
+  const youdao = await stub(() => ({ body: { code: 0 } }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "1", youdao_cookie: "c" }, ARK_OPTIONS),
+    hosts: { [YOUDAO]: youdao.origin, [ARK]: ark.origin }
+  });
+
+  assert.doesNotMatch(payloadText(await runTranslate(sb, "Phones are ubiquitous.")), /Index:/);
+});
+
+test("/sync 索引按 normalizeTerm 匹配，不出现在 /export 中；/undo 删除后从索引移除", async () => {
+  const eudic = await stub((req) => {
+    if (req.method === "GET") return { body: { data: [{ word: "colour" }, { word: "Running" }] } };
+    return { status: 204, body: {} };
+  });
+  const ark = await stub(() => ({ body: extractionReply(["color", "ephemeral"]) }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "42" }, ARK_OPTIONS),
+    hosts: { [EUDIC]: eudic.origin, [ARK]: ark.origin }
+  });
+
+  await runTranslate(sb, "/sync");
+  assert.deepEqual(JSON.parse(sb.files["$sandbox/sync_index.json"]).books["eudic@42"].words, { color: 1, run: 1 });
+
+  const text = payloadText(await runTranslate(sb, "The color of ephemeral things."));
+  assert.match(text, /已在单词本 1 个（color）/);
+
+  await runTranslate(sb, "/export json");
+  const rows = JSON.parse(sb.files["$sandbox/wordbook_export.json"]);
+  assert.deepEqual(rows.map((r) => r.word).sort(), ["color", "ephemeral"]);
+  assert.ok(rows.every((r) => r.status !== "synced"));
+
+  await runTranslate(sb, "/undo run");
+  const del = eudic.requests.filter((r) => r.method === "DELETE");
+  assert.deepEqual(del.map((r) => [r.body.id, r.body.words]), [["42", ["run"]]]);
+  assert.deepEqual(JSON.parse(sb.files["$sandbox/sync_index.json"]).books["eudic@42"].words, { color: 1 });
+});
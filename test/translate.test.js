@@ -0,0 +1,386 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub, chatReply, extractionReply } = require("./helpers/stub-server");
+const { createBobSandbox, createCancelSignal, runTranslate, payloadText } = require("./helpers/bob-sandbox");
+
+// 线上域名 → 本地桩服务器（插件中的 URL 常量保持不变）
+const ARK = "https://ark.cn-beijing.volces.com";
+const EUDIC = "https://api.frdic.com";
+const YOUDAO = "https://dict.youdao.com";
+const SHANBAY = "https://apiv3.shanbay.com";
+
+const ARK_OPTIONS = {
+  volcano_api_key: "ark-key",
+  volcano_model: "doubao-test",
+  context_gloss: "off",
+  word_definition: "off"
+};
+
+/** Ark 桩：返回固定的抽词结果 */
+function arkReplying(words) {
+  return () => ({ body: extractionReply(words) });
+}
+
+test("Ark 抽词 → 欧路批量写入", async () => {
+  const ark = await stub(arkReplying(["ubiquitous", "ephemeral"]));
+  const eudic = await stub(() => ({ status: 201, body: { message: "导入成功" } }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "NIS abc", wordbook_id: "42" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+
+  const payload = await runTranslate(sb, "Phones are ubiquitous; fame is ephemeral.");
+
+  assert.ok(payload.result, payloadText(payload));
+  assert.match(payloadText(payload), /成功 2 个（ubiquitous, ephemeral）/);
+
+  const llm = ark.requests[0];
+  assert.equal(llm.path, "/api/v3/chat/completions");
+  assert.equal(llm.headers.authorization, "Bearer ark-key");
+  assert.equal(llm.body.model, "doubao-test");
+  assert.deepEqual(llm.body.thinking, { type: "disabled" });
+
+  assert.equal(eudic.requests.length, 1);
+  assert.equal(eudic.requests[0].path, "/api/open/v1/studylist/words");
+  assert.equal(eudic.requests[0].headers.authorization, "NIS abc");
+  assert.deepEqual(eudic.requests[0].body, { category_id: "42", language: "en", words: ["ubiquitous", "ephemeral"] });
+});
+
+test("抽词请求使用 JSON 模式，结果展示词性 / CEFR / 理由与模型跳过的词", async () => {
+  const ark = await stub(() => ({
+    body: chatReply(JSON.stringify({
+      add: [{ word: "ubiquitous", lemma: "ubiquitous", pos: "adjective", cefr: "C1", reason: "found everywhere" }],
+      skip: [{ word: "phones", reason: "common word" }]
+    }))
+  }));
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous."));
+
+  assert.deepEqual(ark.requests[0].body.response_format, { type: "json_object" });
+  assert.match(text, /Info: ubiquitous（adjective, C1） found everywhere/);
+  assert.match(text, /Skip: 模型跳过 1 个 → phones（common word）/);
+});
+
+test("输出不符合 schema → 带错误信息修复重试一次；仍不符合则如实报错，不从解释文字里取词", async () => {
+  const replies = ["Here are the words: ubiquitous, ephemeral", JSON.stringify(["ubiquitous"])];
+  const ark = await stub(() => ({ body: chatReply(replies.shift() || "") }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin }
+  });
+
+  const payload = await runTranslate(sb, "Phones are ubiquitous.");
+
+  assert.ok(payload.error);
+  assert.match(payloadText(payload), /LLM 输出不符合抽词 JSON 格式（已自动修复重试 1 次）/);
+  assert.equal(ark.requests.length, 2);
+  assert.match(ark.requests[1].body.messages[1].content, /ERRORS:\n- not valid JSON/);
+  assert.match(ark.requests[1].body.messages[1].content, /PREVIOUS OUTPUT:\nHere are the words/);
+});
+
+test("修复重试成功 → 正常写入", async () => {
+  let n = 0;
+  const ark = await stub(() => ({
+    body: n++ === 0 ? chatReply(JSON.stringify({ add: [{ word: "ubiquitous" }] })) : extractionReply(["ubiquitous"])
+  }));
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous."));
+
+  assert.match(text, /成功 1 个（ubiquitous）/);
+  assert.equal(ark.requests.length, 2);
+});
+
+test("服务商不支持 response_format（400）→ 去掉 JSON 模式重试", async () => {
+  const ark = await stub((req) => req.body.response_format
+    ? { status: 400, body: { error: { message: "response_format is not supported" } } }
+    : { body: extractionReply(["ubiquitous"]) });
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous."));
+
+  assert.match(text, /成功 1 个（ubiquitous）/);
+  assert.deepEqual(ark.requests.map((r) => !!r.body.response_format), [true, false]);
+});
+
+test("有道：code=0 视为成功，其余 code 如实报告", async () => {
+  const ark = await stub(arkReplying(["ubiquitous", "ephemeral"]));
+  const youdao = await stub((req) => ({ body: { code: /ephemeral/.test(req.path) ? 1 : 0 } }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "1", youdao_cookie: "OUTFOX=1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [YOUDAO]: youdao.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous; fame is ephemeral."));
+
+  assert.match(text, /成功 1 个（ubiquitous）/);
+  assert.match(text, /失败 1 个（如：ephemeral；原因：有道返回 code=1）/);
+  assert.deepEqual(youdao.requests.map((r) => r.path), [
+    "/wordbook/webapi/v2/ajax/add?lan=en&word=ubiquitous",
+    "/wordbook/webapi/v2/ajax/add?lan=en&word=ephemeral"
+  ]);
+  assert.equal(youdao.requests[0].headers.cookie, "OUTFOX=1");
+});
+
+test("有道 Cookie 失效（返回登录页）→ 明确要求重新填写，后续单词不再请求", async () => {
+  const ark = await stub(arkReplying(["ubiquitous", "ephemeral"]));
+  const youdao = await stub(() => ({ body: "<html>请登录</html>" }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "1", youdao_cookie: "expired" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [YOUDAO]: youdao.origin }
+  });
+
+  const payload = await runTranslate(sb, "Phones are ubiquitous; fame is ephemeral.");
+
+  assert.ok(payload.error);
+  assert.match(payloadText(payload), /^「有道 Cookie」已失效或有误，请在插件设置中重新填写。/);
+  assert.match(payloadText(payload), /认证失效 2 个（如：ubiquitous, ephemeral/);
+  assert.equal(youdao.requests.length, 1);
+});
+
+test("欧路 429 → 被限流的单词进入离线重试队列，而不是报成功", async () => {
+  const ark = await stub(arkReplying(["ubiquitous"]));
+  const eudic = await stub(() => ({ status: 429, body: { message: "Too Many Requests" } }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous."));
+
+  assert.match(text, /成功 0 个/);
+  assert.match(text, /待重试 1 个/);
+  const queue = JSON.parse(sb.files["$sandbox/retry_queue.json"]);
+  assert.match(queue.pending[0].lastError, /请求过于频繁（statusCode=429，Too Many Requests）/);
+});
+
+test("重试队列保存失败 → 单词按失败汇报，不计入待重试", async () => {
+  const ark = await stub(arkReplying(["ubiquitous"]));
+  const eudic = await stub(() => ({ status: 429, body: { message: "Too Many Requests" } }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+  const write = sb.ctx.$file.write;
+  sb.ctx.$file.write = (o) => (/retry_queue/.test(o.path) ? false : write(o));
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous."));
+
+  assert.match(text, /成功 0 个/);
+  assert.doesNotMatch(text, /待重试/);
+  assert.match(text, /写入重试队列失败/);
+  assert.equal(sb.files["$sandbox/retry_queue.json"], undefined);
+  const history = JSON.parse(sb.files["$sandbox/history.json"]).words;
+  assert.notEqual(history.ubiquitous.services["eudic@1"].status, "queued");
+});
+
+test("onStream：依次推送抽词中、抽出的单词、每个单词的写入结果，最后给出汇总", async () => {
+  const ark = await stub(arkReplying(["ubiquitous", "ephemeral"]));
+  const youdao = await stub((req) => ({ body: { code: /ephemeral/.test(req.path) ? 1 : 0 } }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "1", youdao_cookie: "OUTFOX=1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [YOUDAO]: youdao.origin }
+  });
+  const streamed = [];
+
+  const payload = await runTranslate(sb, "Phones are ubiquitous; fame is ephemeral.", {
+    onStream: (s) => streamed.push(s.result.toParagraphs[0])
+  });
+
+  assert.equal(streamed[0], "Agent: AI 抽词中…");
+  assert.match(streamed[1], /^Agent: 提取并优先排序 2 个英文单词.*→ ubiquitous, ephemeral$/);
+  const last = streamed[streamed.length - 1].split("\n");
+  assert.deepEqual(last.slice(1), [
+    "Add[有道]: ✓ ubiquitous",
+    "Add[有道]: ✗ ephemeral（有道返回 code=1）",
+    "Add[有道]: 写入中 2/2（成功 1 个）"
+  ]);
+  // 每个单词写完就推送一次（而不是全部写完后才推送）
+  assert.ok(streamed.some((t) => /✓ ubiquitous\nAdd\[有道\]: 写入中 1\/2（成功 1 个）$/.test(t)));
+  assert.match(payloadText(payload), /成功 1 个（ubiquitous）/);
+});
+
+test("扇贝：逐个上传到 words_bulk_upload", async () => {
+  const ark = await stub(arkReplying(["ubiquitous"]));
+  const shanbay = await stub(() => ({ body: {} }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "3", shanbay_token: "tok" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [SHANBAY]: shanbay.origin }
+  });
+
+  const payload = await runTranslate(sb, "Phones are ubiquitous.");
+
+  assert.ok(payload.result, payloadText(payload));
+  assert.equal(shanbay.requests[0].path, "/wordscollection/words_bulk_upload");
+  assert.equal(shanbay.requests[0].headers.cookie, "auth_token=tok");
+  assert.deepEqual(shanbay.requests[0].body, { business_id: 6, words: ["ubiquitous"] });
+});
+
+test("抽出的全是短语而扇贝不接受短语 → 没有写入任何单词，按失败返回", async () => {
+  const ark = await stub(arkReplying(["give up", "look after"]));
+  const shanbay = await stub(() => ({ body: {} }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "3", shanbay_token: "tok", word_only: "0" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [SHANBAY]: shanbay.origin }
+  });
+
+  const payload = await runTranslate(sb, "She gave up and looked after the kids.");
+
+  assert.ok(payload.error, payloadText(payload));
+  assert.match(payloadText(payload), /不支持短语，跳过 2 个/);
+  assert.equal(shanbay.requests.length, 0);
+});
+
+test("多词典模式：同一批单词写入所有已配置的服务", async () => {
+  const ark = await stub(arkReplying(["ubiquitous"]));
+  const youdao = await stub(() => ({ body: { code: 0 } }));
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const shanbay = await stub(() => ({ body: {} }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "0", youdao_cookie: "c", eudic_token: "t", wordbook_id: "1", shanbay_token: "s" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [YOUDAO]: youdao.origin, [EUDIC]: eudic.origin, [SHANBAY]: shanbay.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous."));
+
+  assert.match(text, /Add\[有道\]: 成功 1 个/);
+  assert.match(text, /Add\[欧路\]: 成功 1 个/);
+  assert.match(text, /Add\[扇贝\]: 成功 1 个/);
+  assert.equal(youdao.requests.length + eudic.requests.length + shanbay.requests.length, 3);
+});
+
+test("LLM 返回错误状态码时把真实报错返回给前端", async () => {
+  const ark = await stub(() => ({ status: 401, body: { error: { message: "invalid api key" } } }));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin }
+  });
+
+  const payload = await runTranslate(sb, "Phones are ubiquitous.");
+
+  assert.ok(payload.error);
+  assert.match(payloadText(payload), /401/);
+  assert.match(payloadText(payload), /invalid api key/);
+});
+
+test("写入时网络不可达 → 记入离线重试队列，下次查询时自动重试", async () => {
+  const ark = await stub(arkReplying(["ubiquitous"]));
+  const options = Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "1" }, ARK_OPTIONS);
+  // 欧路未映射 → 连接失败
+  const offline = createBobSandbox({ options, hosts: { [ARK]: ark.origin } });
+
+  const first = await runTranslate(offline, "Phones are ubiquitous.");
+  assert.ok(first.result, payloadText(first));
+  assert.match(payloadText(first), /待重试 1 个/);
+  const queue = JSON.parse(offline.files["$sandbox/retry_queue.json"]);
+  assert.deepEqual(queue.pending.map((x) => [x.dictType, x.word]), [["2", "ubiquitous"]]);
+
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const online = createBobSandbox({ options, files: offline.files, hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin } });
+  const second = await runTranslate(online, "Fame is fleeting.");
+  assert.match(payloadText(second), /Retry: 重试 1 个，成功 1 个，仍待重试 0 个/);
+  assert.deepEqual(eudic.requests[0].body.words, ["ubiquitous"]);
+});
+
+function queued(words, bookId) {
+  return words.map((word) => ({ dictType: "2", bookId, word, attempts: 1, lastError: "timeout", firstAt: 1, lastAt: 1 }));
+}
+
+test("重试队列按服务 + 单词本批量重试，成功的单词记入原单词本", async () => {
+  const ark = await stub(arkReplying(["fleeting"]));
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const pending = queued(["ubiquitous", "ephemeral"], "9").concat(queued(["quixotic"], ""));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin },
+    files: { "$sandbox/retry_queue.json": JSON.stringify({ pending, dead: [] }) }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Fame is fleeting."));
+
+  assert.match(text, /Retry: 重试 3 个，成功 3 个，仍待重试 0 个/);
+  assert.deepEqual(eudic.requests.slice(0, 2).map((r) => [r.body.category_id, r.body.words]), [["9", ["ubiquitous", "ephemeral"]], ["1", ["quixotic"]]]);
+  const history = JSON.parse(sb.files["$sandbox/history.json"]).words;
+  assert.deepEqual(Object.keys(history.ubiquitous.services), ["eudic@9"]);
+  assert.deepEqual(Object.keys(history.quixotic.services), ["eudic"]);
+});
+
+test("重试队列每次查询最多重试 200 个单词，其余留到下次", async () => {
+  const ark = await stub(arkReplying(["fleeting"]));
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const words = Array.from({ length: 205 }, (_, i) => "word" + String.fromCharCode(97 + (i % 26)) + String.fromCharCode(97 + Math.floor(i / 26)));
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin },
+    files: { "$sandbox/retry_queue.json": JSON.stringify({ pending: queued(words, "1"), dead: [] }) }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Fame is fleeting."));
+
+  assert.match(text, /Retry: 重试 200 个，成功 200 个，仍待重试 5 个/);
+  assert.deepEqual(eudic.requests.slice(0, 2).map((r) => r.body.words.length), [100, 100]);
+  assert.deepEqual(JSON.parse(sb.files["$sandbox/retry_queue.json"]).pending.map((x) => x.word), words.slice(200));
+});
+
+test("/queue 命令不调用任何远端接口", async () => {
+  const sb = createBobSandbox({ options: { dict_type: "2", eudic_token: "t" } });
+  const payload = await runTranslate(sb, "/queue");
+  assert.match(payloadText(payload), /待重试 0 个/);
+  assert.equal(sb.http.length, 0);
+});
+
+test("handler 模式（旧版 Bob）：httpRequestP 回退到回调，LLM 抽词照常工作", async () => {
+  const ark = await stub(arkReplying(["ubiquitous"]));
+  const sb = createBobSandbox({ mode: "handler", options: ARK_OPTIONS, hosts: { [ARK]: ark.origin } });
+
+  const info = await sb.ctx.extractWordsByLLM("Phones are ubiquitous.", null);
+
+  assert.equal(info.ok, true);
+  assert.deepEqual(Array.from(info.words), ["ubiquitous"]);
+  assert.equal(ark.requests.length, 1);
+});
+
+test("cancelSignal：取消后 LLM 请求立即结束", async () => {
+  const slow = await stub(() => ({ delayMs: 5000, body: {} }));
+  const sb = createBobSandbox({ options: ARK_OPTIONS, hosts: { [ARK]: slow.origin } });
+  const signal = createCancelSignal();
+
+  const started = Date.now();
+  const pending = sb.ctx.extractWordsByLLM("Phones are ubiquitous.", signal);
+  setTimeout(() => signal.send(), 50);
+  const info = await pending;
+
+  assert.equal(info.ok, false);
+  assert.match(String(info.errorMessage), /cancelled/);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test("handler 模式（旧版 Bob）：完整 translate 流程（抽词 + 写入）", async () => {
+  const ark = await stub(arkReplying(["ubiquitous"]));
+  const eudic = await stub(() => ({ status: 201, body: {} }));
+  const sb = createBobSandbox({
+    mode: "handler",
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "1" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+
+  const payload = await runTranslate(sb, "Phones are ubiquitous.");
+
+  assert.ok(payload.result, payloadText(payload));
+  assert.match(payloadText(payload), /成功 1 个（ubiquitous）/);
+});
@@ -0,0 +1,141 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub, extractionReply } = require("./helpers/stub-server");
+const { createBobSandbox, runTranslate, payloadText, plain } = require("./helpers/bob-sandbox");
+
+const ARK = "https://ark.cn-beijing.volces.com";
+const EUDIC = "https://api.frdic.com";
+const YOUDAO = "https://dict.youdao.com";
+const SHANBAY = "https://apiv3.shanbay.com";
+const ANKI = "http://127.0.0.1:8765";
+
+const ARK_OPTIONS = { volcano_api_key: "k", volcano_model: "m", context_gloss: "off", word_definition: "off" };
+
+test("/undo：整批撤销上一次新写入的单词，服务端已存在的不删", async () => {
+  const ark = await stub((req) => ({
+    body: extractionReply(/serendipity/.test(JSON.stringify(req.body.messages)) ? ["serendipity"] : ["ubiquitous", "ephemeral"])
+  }));
+  const eudic = await stub((req) => {
+    if (req.method === "DELETE") return { status: 204 };
+    return req.body.words.includes("serendipity") ? { status: 200, body: { message: "单词已存在" } } : { status: 201, body: {} };
+  });
+  const sb = createBobSandbox({
+    options: Object.assign({ dict_type: "2", eudic_token: "t", wordbook_id: "42" }, ARK_OPTIONS),
+    hosts: { [ARK]: ark.origin, [EUDIC]: eudic.origin }
+  });
+  // 第一次写入两个新词；第二次的词服务端已存在
+  await runTranslate(sb, "Phones are ubiquitous; fame is ephemeral.");
+  await runTranslate(sb, "What serendipity.");
+
+  // 第二次查询没有新写入，撤销的仍是第一次写入的单词
+  const payload = await runTranslate(sb, "/undo");
+
+  assert.ok(payload.result, payloadText(payload));
+  assert.equal(payloadText(payload), "Undo: 撤销上一次写入的 2 个单词\nDel[欧路]: 已删除 2 个（ubiquitous, ephemeral）");
+  const del = eudic.requests.filter((r) => r.method === "DELETE");
+  assert.equal(del.length, 1);
+  assert.equal(del[0].path, "/api/open/v1/studylist/words");
+  assert.deepEqual(del[0].body, { id: "42", language: "en", words: ["ubiquitous", "ephemeral"] });
+
+  const history = JSON.parse(sb.files["$sandbox/history.json"]).words;
+  assert.deepEqual(history.ubiquitous.services, {});
+  assert.equal(history.serendipity.services["eudic@42"].status, "duplicate");
+  assert.equal(payloadText(await runTranslate(sb, "/undo")), "Undo: 没有可撤销的写入记录");
+});
+
+test("-单词：按历史记录从写入过的服务删除，之后再查会重新写入", async () => {
+  const youdao = await stub(() => ({ body: { code: 0 } }));
+  const sb = createBobSandbox({
+    options: { dict_type: "1", youdao_cookie: "c", llm_provider: "none", word_definition: "off", context_gloss: "off" },
+    hosts: { [YOUDAO]: youdao.origin }
+  });
+  await runTranslate(sb, "ubiquitous");
+
+  const payload = await runTranslate(sb, "-Ubiquitous");
+
+  assert.equal(payloadText(payload), "Undo: 删除 ubiquitous\nDel[有道]: 已删除 1 个（ubiquitous）");
+  assert.equal(youdao.requests[1].path, "/wordbook/webapi/v2/ajax/delete?lan=en&word=ubiquitous");
+  assert.equal(youdao.requests[1].headers.cookie, "c");
+
+  assert.match(payloadText(await runTranslate(sb, "ubiquitous")), /^Agent: .*\nAdd: 成功 1 个/);
+  assert.equal(youdao.requests.length, 3);
+});
+
+test("-单词：只丢弃被删除的服务 + 单词本中待重试的同一单词，其他服务的待写入保留", async () => {
+  const eudic = await stub((req) => (req.method === "DELETE" ? { status: 204 } : { status: 201, body: {} }));
+  const sb = createBobSandbox({
+    options: { dict_type: "2", eudic_token: "t", wordbook_id: "42", llm_provider: "none", word_definition: "off", context_gloss: "off" },
+    hosts: { [EUDIC]: eudic.origin }
+  });
+  await runTranslate(sb, "ubiquitous");
+  const item = (dictType, bookId, word) => ({ dictType, bookId, word, attempts: 1, lastError: "timeout", firstAt: 1, lastAt: 1 });
+  sb.files["$sandbox/retry_queue.json"] = JSON.stringify({
+    pending: [item("2", "42", "ubiquitous"), item("2", "7", "ubiquitous"), item("4", "Default", "ubiquitous"), item("2", "42", "ephemeral")]
+  });
+
+  assert.equal(payloadText(await runTranslate(sb, "-ubiquitous")), "Undo: 删除 ubiquitous\nDel[欧路]: 已删除 1 个（ubiquitous）");
+
+  const pending = JSON.parse(sb.files["$sandbox/retry_queue.json"]).pending;
+  assert.deepEqual(pending.map((x) => [x.dictType, x.bookId, x.word]), [["2", "7", "ubiquitous"], ["4", "Default", "ubiquitous"], ["2", "42", "ephemeral"]]);
+});
+
+test("/undo 单词：历史中没有记录时从当前服务删除；单词本中没有也如实说明", async () => {
+  const shanbay = await stub(() => ({ status: 404, body: { msg: "not found" } }));
+  const sb = createBobSandbox({
+    options: { dict_type: "3", shanbay_token: "s" },
+    hosts: { [SHANBAY]: shanbay.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "/undo ubiquitous, ephemeral"));
+
+  assert.equal(text, "Undo: 删除 ubiquitous, ephemeral\nDel[扇贝]: 已删除 0 个\n  单词本中没有 2 个（ubiquitous, ephemeral）");
+  assert.equal(shanbay.requests[0].path, "/wordscollection/words_bulk_delete");
+  assert.deepEqual(shanbay.requests[0].body, { business_id: 6, words: ["ubiquitous", "ephemeral"] });
+});
+
+test("/undo 单词：Anki 按牌组与单词字段查找笔记后删除", async () => {
+  const anki = await stub((req) => {
+    if (req.body.action === "findNotes") return { body: { result: /ubiquitous/.test(req.body.params.query) ? [11, 12] : [], error: null } };
+    return { body: { result: null, error: null } };
+  });
+  const sb = createBobSandbox({
+    options: { dict_type: "4", anki_deck: "Vocab" },
+    hosts: { [ANKI]: anki.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "/undo ubiquitous ephemeral"));
+
+  assert.equal(text, "Undo: 删除 ubiquitous, ephemeral\nDel[Anki]: 已删除 1 个（ubiquitous）\n  单词本中没有 1 个（ephemeral）");
+  assert.deepEqual(plain(anki.requests.map((r) => r.body.params)), [
+    { query: "\"deck:Vocab\" \"Front:ubiquitous\"" },
+    { query: "\"deck:Vocab\" \"Front:ephemeral\"" },
+    { notes: [11, 12] }
+  ]);
+});
+
+test("删除时认证失效 → 报错并提示重新填写", async () => {
+  const eudic = await stub(() => ({ status: 401, body: { message: "unauthorized" } }));
+  const sb = createBobSandbox({
+    options: { dict_type: "2", eudic_token: "bad", wordbook_id: "42" },
+    hosts: { [EUDIC]: eudic.origin }
+  });
+
+  const payload = await runTranslate(sb, "-ubiquitous");
+
+  assert.ok(payload.error);
+  assert.match(payloadText(payload), /^「欧路 Token」已失效或有误，请在插件设置中重新填写。\nUndo: 删除 ubiquitous\nDel\[欧路\]: 已删除 0 个\n  认证失效 1 个/);
+});
+
+test("parseCommand：-单词 是 /undo 的简写，只接受单个单词，以连字符开头的普通文本不受影响", () => {
+  const { ctx } = createBobSandbox();
+  assert.deepEqual(plain(ctx.parseCommand("-Tesla")), { name: "undo", args: ["Tesla"] });
+  assert.equal(ctx.parseCommand("-Tesla, ubiquitous"), null);
+  assert.equal(ctx.parseCommand("-However, the ubiquitous phones changed everything…\nSecond line here."), null);
+  assert.equal(ctx.parseCommand("-give up"), null);
+  assert.equal(ctx.parseCommand("- a bullet point"), null);
+  const { ctx: phrases } = createBobSandbox({ options: { word_only: "0" } });
+  assert.deepEqual(plain(phrases.parseCommand("-give up on")), { name: "undo", args: ["give up on"] });
+  assert.deepEqual(plain(ctx.parseRemovalList("Tesla, give up;ubiquitous")), ["tesla", "give", "up", "ubiquitous"]);
+});
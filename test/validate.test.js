@@ -0,0 +1,72 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub, chatReply } = require("./helpers/stub-server");
+const { createBobSandbox } = require("./helpers/bob-sandbox");
+
+const ARK = "https://ark.cn-beijing.volces.com";
+const EUDIC = "https://api.frdic.com";
+const YOUDAO = "https://dict.youdao.com";
+const SHANBAY = "https://apiv3.shanbay.com";
+
+const ALL_SERVICES = {
+  dict_type: "0", youdao_cookie: "c", eudic_token: "t", wordbook_id: "42", shanbay_token: "s",
+  volcano_api_key: "k", volcano_model: "m"
+};
+
+function validate(sb) {
+  return new Promise((resolve) => sb.ctx.pluginValidate(resolve));
+}
+
+test("pluginValidate：全部通过，且只调用只读接口（不写入任何单词）", async () => {
+  const ark = await stub(() => ({ body: chatReply("OK") }));
+  const youdao = await stub(() => ({ body: { code: 0, data: { total: 12, itemList: [] } } }));
+  const eudic = await stub(() => ({ body: { data: [{ id: 42, name: "生词本" }] } }));
+  const shanbay = await stub(() => ({ body: { nickname: "reader" } }));
+  const sb = createBobSandbox({
+    options: ALL_SERVICES,
+    hosts: { [ARK]: ark.origin, [YOUDAO]: youdao.origin, [EUDIC]: eudic.origin, [SHANBAY]: shanbay.origin }
+  });
+
+  const res = await validate(sb);
+
+  assert.equal(res.result, true, res.error && res.error.message);
+  assert.deepEqual(youdao.requests.map((r) => [r.method, r.path]), [["GET", "/wordbook/webapi/v2/word/list?limit=1&offset=0&sort=time&lanFrom=en"]]);
+  assert.deepEqual(eudic.requests.map((r) => [r.method, r.path]), [["GET", "/api/open/v1/studylist/category?language=en"]]);
+  assert.deepEqual(shanbay.requests.map((r) => [r.method, r.path]), [["GET", "/uc/user/info"]]);
+  assert.equal(ark.requests[0].body.max_tokens, 5);
+  assert.match(sb.logs.map((l) => l.msg).join("\n"), /✓ 有道 Cookie：有效（单词本共 12 个单词）/);
+});
+
+test("pluginValidate：逐项列出失败原因", async () => {
+  const ark = await stub(() => ({ status: 401, body: { error: { message: "invalid api key" } } }));
+  const youdao = await stub(() => ({ body: "<html>请登录</html>" }));
+  const eudic = await stub(() => ({ body: { data: [{ id: 7, name: "TOEFL" }] } }));
+  const shanbay = await stub(() => ({ status: 401, body: { msg: "未登录" } }));
+  const sb = createBobSandbox({
+    options: ALL_SERVICES,
+    hosts: { [ARK]: ark.origin, [YOUDAO]: youdao.origin, [EUDIC]: eudic.origin, [SHANBAY]: shanbay.origin }
+  });
+
+  const res = await validate(sb);
+
+  assert.equal(res.result, false);
+  assert.equal(res.error.type, "secretKey");
+  assert.equal(res.error.message, [
+    "验证未通过：",
+    "✗ 有道 Cookie：有道认证失效（返回了登录页）",
+    "✗ 欧路 Token：有效，但单词本 id=42 不存在（现有：7 TOEFL）",
+    "✗ 扇贝 auth_token：扇贝认证失效（statusCode=401，未登录）",
+    "✗ LLM（火山方舟 m）：HTTP 401：invalid api key"
+  ].join("\n"));
+});
+
+test("pluginValidate：缺少凭据与未配置 LLM 时不发请求", async () => {
+  const sb = createBobSandbox({ options: { dict_type: "2", llm_provider: "local" } });
+
+  const res = await validate(sb);
+
+  assert.equal(res.error.message, "验证未通过：\n✗ 欧路 Token：未填写\n－ LLM：未使用（本地离线抽词）");
+  assert.equal(sb.http.length, 0);
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stub, extractionReply } = require("./helpers/stub-server");
+const { createBobSandbox, runTranslate, payloadText, plain } = require("./helpers/bob-sandbox");
+
+const ARK = "https://ark.cn-beijing.volces.com";
+const SHANBAY = "https://apiv3.shanbay.com";
+
+test("filterByVocabulary：已掌握词表按原形匹配，词频过滤按内置词频排名过滤，短语不按词频过滤", () => {
+  const { ctx } = createBobSandbox({ options: { vocab_level: "B1", known_words: "Ephemeral, ran" } });
+  const f = plain(ctx.filterByVocabulary(["time", "ubiquitous", "ephemeral", "running", "give up"]));
+  assert.deepEqual(f.kept, ["ubiquitous", "give up"]);
+  assert.deepEqual(f.known, ["ephemeral", "running"]);
+  assert.deepEqual(f.belowLevel, ["time"]);
+  assert.equal(f.level.label, "常用词前 1000");
+  // 单词列表只按已掌握词表过滤
+  assert.deepEqual(plain(ctx.filterByVocabulary(["time", "ephemeral"], false)).kept, ["time"]);
+});
+
+test("/known add / remove / clear 持久化到 $sandbox", async () => {
+  const sb = createBobSandbox();
+  assert.match(payloadText(await runTranslate(sb, "/known add Ubiquitous ran")), /已加入已掌握词表 2 个：ubiquitous, run/);
+  assert.deepEqual(Object.keys(JSON.parse(sb.files["$sandbox/known_words.json"]).words), ["ubiquitous", "run"]);
+  assert.match(payloadText(await runTranslate(sb, "/known remove run")), /移除 1 个：run/);
+  assert.match(payloadText(await runTranslate(sb, "/known")), /已掌握 1 个：ubiquitous/);
+  assert.match(payloadText(await runTranslate(sb, "/known clear")), /已清空已掌握词表 1 个/);
+  assert.equal(sb.http.length, 0);
+});
+
+test("候选词全部已掌握或属于所选常用词范围 → 不调用 LLM，说明跳过原因", async () => {
+  const ark = await stub(() => ({ body: {} }));
+  const sb = createBobSandbox({
+    options: { dict_type: "3", shanbay_token: "s", volcano_api_key: "k", volcano_model: "m", context_gloss: "off", word_definition: "off", vocab_level: "B1" },
+    hosts: { [ARK]: ark.origin },
+    files: { "$sandbox/known_words.json": JSON.stringify({ words: { ubiquitous: 1 } }) }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous."));
+
+  assert.match(text, /^Agent: 输入中的单词均已掌握或属于所选常用词范围（未调用 LLM）/);
+  assert.match(text, /Level: 已跳过 已掌握 1 个（ubiquitous），属于「常用词前 1000」的 1 个（phone）/);
+  assert.equal(ark.requests.length, 0);
+});
+
+test("LLM 返回的单词同样按已掌握词表与词频过滤后再写入", async () => {
+  const ark = await stub(() => ({ body: extractionReply(["ubiquitous", "ephemeral", "phone"]) }));
+  const shanbay = await stub(() => ({ body: {} }));
+  const sb = createBobSandbox({
+    options: { dict_type: "3", shanbay_token: "s", volcano_api_key: "k", volcano_model: "m", context_gloss: "off", word_definition: "off", vocab_level: "B1", known_words: "ephemeral" },
+    hosts: { [ARK]: ark.origin, [SHANBAY]: shanbay.origin }
+  });
+
+  const text = payloadText(await runTranslate(sb, "Phones are ubiquitous; fame is ephemeral."));
+
+  assert.match(text, /Level: 已跳过 已掌握 1 个（ephemeral），属于「常用词前 1000」的 1 个（phone）/);
+  assert.deepEqual(shanbay.requests[0].body.words, ["ubiquitous"]);
+});